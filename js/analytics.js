@@ -0,0 +1,231 @@
+/**
+ * Cross-Farm Analytics
+ * Compares every season of every farm, active or completed, for the analytics page.
+ * Each season counts on its own: a farm with three seasons adds three entries.
+ */
+
+// Outliers need enough seasons for the quartiles to mean something
+const MIN_OUTLIER_SEASONS = 4;
+
+// How far outside the middle half a value must be to count as an outlier (Tukey's fences)
+const OUTLIER_FENCE = 1.5;
+
+/**
+ * Every season of every farm, as a farm viewed at that season
+ */
+function getSeasonViews(farms = []) {
+    return farms.flatMap(farm =>
+        FarmSeasons.getSortedSeasons(farm).map(season => IndexedDBStorage.getFarmSeasonView(farm, season.id)));
+}
+
+/**
+ * Seasons matching the page filters
+ * @param {Array} views - Season views from getSeasonViews()
+ * @param {Object} filters - { cropping ('' for all), from, to (YYYY-MM-DD, '' for open) } on the season start date
+ */
+function filterSeasons(views = [], { cropping = '', from = '', to = '' } = {}) {
+    return views.filter(view =>
+        (!cropping || view.cropping === cropping) &&
+        (!from || view.startDate >= from) &&
+        (!to || view.startDate <= to));
+}
+
+/**
+ * Records grouped by the season they belong to
+ * @returns {Map} seasonId → records
+ */
+function groupBySeason(records = []) {
+    const bySeason = new Map();
+    records.forEach(record => {
+        const seasonId = IndexedDBStorage.getRecordSeasonId(record);
+        if (!bySeason.has(seasonId)) bySeason.set(seasonId, []);
+        bySeason.get(seasonId).push(record);
+    });
+    return bySeason;
+}
+
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Cost per hectare of each expense category across the seasons
+ * @param {Array} views - The seasons to include
+ * @param {Array} expenses - Expenses of all farms
+ * @returns {Object} { rows: [{ category, total, perHectare, lowest, highest }], totalPerHectare, hectares },
+ *   rows sorted by cost; hectares and every figure count only the seasons with any expenses, and
+ *   lowest and highest are per-season figures among them
+ */
+function getCostPerHectareByCategory(views = [], expenses = []) {
+    const bySeason = groupBySeason(expenses);
+    const byCategory = new Map();
+    const costedSeasons = [];
+
+    views.forEach(view => {
+        const seasonExpenses = bySeason.get(view.seasonId) || [];
+        if (!seasonExpenses.length) return;
+
+        const seasonTotals = new Map();
+        seasonExpenses.forEach(expense => {
+            const category = expense.category || 'Other';
+            seasonTotals.set(category, (seasonTotals.get(category) || 0) + (Number(expense.amount) || 0));
+        });
+        costedSeasons.push({ size: Number(view.size) || 0, totals: seasonTotals });
+        seasonTotals.forEach((amount, category) => byCategory.set(category, (byCategory.get(category) || 0) + amount));
+    });
+
+    // Seasons with nothing spent yet (such as upcoming ones) would only thin out the cost per hectare
+    const hectares = costedSeasons.reduce((sum, season) => sum + season.size, 0);
+
+    const rows = [...byCategory.entries()].map(([category, total]) => {
+        // Seasons without this category spent nothing on it
+        const perSeason = costedSeasons
+            .filter(season => season.size > 0)
+            .map(season => (season.totals.get(category) || 0) / season.size);
+        return {
+            category,
+            total,
+            perHectare: hectares > 0 ? total / hectares : 0,
+            lowest: perSeason.length ? Math.min(...perSeason) : 0,
+            highest: perSeason.length ? Math.max(...perSeason) : 0
+        };
+    }).sort((a, b) => b.total - a.total);
+
+    return {
+        rows,
+        totalPerHectare: rows.reduce((sum, row) => sum + row.perHectare, 0),
+        hectares
+    };
+}
+
+/**
+ * Average delay of the tasks recorded as done, per stage of the crop plans.
+ * Stages are matched by title, so crop plans that share stage names are counted together.
+ * @param {Array} views - The seasons to include
+ * @returns {Array} [{ title, order, tasks, averageDelay, lateTasks, seasons }] in crop plan order
+ */
+function getStageDelays(views = []) {
+    const byTitle = new Map();
+    views.forEach(view => {
+        const stages = RiceStages.getFarmStages(view);
+        (view.taskCompletions || []).forEach(completion => {
+            const stage = stages[completion.stageIndex];
+            if (!stage || completion.delayDays == null) return;
+
+            if (!byTitle.has(stage.title)) {
+                byTitle.set(stage.title, { title: stage.title, order: stage.offset, tasks: 0, totalDelay: 0, lateTasks: 0, seasons: new Set() });
+            }
+            const row = byTitle.get(stage.title);
+            row.tasks += 1;
+            row.totalDelay += completion.delayDays;
+            if (completion.delayDays > 0) row.lateTasks += 1;
+            row.seasons.add(view.seasonId);
+        });
+    });
+
+    return [...byTitle.values()]
+        .sort((a, b) => a.order - b.order)
+        .map(({ totalDelay, seasons, ...row }) => ({ ...row, averageDelay: totalDelay / row.tasks, seasons: seasons.size }));
+}
+
+/**
+ * Where each running season is today. Completed seasons are left out.
+ * @param {Array} views - The seasons to include
+ * @returns {Array} [{ key, title (null for 'upcoming' and 'finished'), order, farms: [view] }], in crop plan order:
+ *   'upcoming' seasons have not started, 'finished' ones are past their last stage but not marked completed
+ */
+function getStageCounts(views = [], today = new Date()) {
+    const groups = new Map();
+    const add = (key, title, order, view) => {
+        if (!groups.has(key)) groups.set(key, { key, title, order, farms: [] });
+        groups.get(key).farms.push(view);
+    };
+
+    views.filter(view => !view.completed).forEach(view => {
+        if (RiceStages.parseDate(view.startDate) > today) {
+            add('upcoming', null, -1, view);
+            return;
+        }
+        const progress = RiceStages.calculateProgress(view.startDate, view.taskCompletions, view);
+        if (progress.isComplete) {
+            add('finished', null, Infinity, view);
+            return;
+        }
+        const stage = RiceStages.getFarmStages(view)[progress.currentStageIndex];
+        add(`stage:${stage.title}`, stage.title, stage.offset, view);
+    });
+
+    return [...groups.values()].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Per-hectare cost and yield, cost per kg and average delay of each season
+ * @returns {Array} [{ view, costPerHa, yieldPerHa, costPerKg, averageDelay }]; figures are null when not known yet
+ */
+function getSeasonMetrics(views = [], { expenses = [], harvests = [], sales = [] } = {}) {
+    const expensesBySeason = groupBySeason(expenses);
+    const harvestsBySeason = groupBySeason(harvests);
+    const salesBySeason = groupBySeason(sales);
+
+    return views.map(view => {
+        const size = Number(view.size) || 0;
+        const seasonExpenses = expensesBySeason.get(view.seasonId) || [];
+        const summary = FarmFinance.summarize(seasonExpenses, harvestsBySeason.get(view.seasonId) || [], salesBySeason.get(view.seasonId) || []);
+        return {
+            view,
+            costPerHa: size > 0 && seasonExpenses.length ? summary.totalCost / size : null,
+            yieldPerHa: size > 0 && summary.harvestKg > 0 ? summary.harvestKg / size : null,
+            costPerKg: summary.costPerKg,
+            averageDelay: FarmSeasons.getSeasonDelays(view).averageDelay
+        };
+    });
+}
+
+/**
+ * Seasons whose cost, yield or delay is far from the other seasons: below the first quartile
+ * or above the third by more than 1.5 times the spread between them
+ * @param {Array} views - The seasons to include
+ * @param {Object} records - { expenses, harvests, sales } of all farms
+ * @returns {Array} [{ view, metric ('costPerHa' | 'yieldPerHa' | 'costPerKg' | 'averageDelay'), value, median,
+ *   direction ('high' | 'low') }], furthest from the median first
+ */
+function findOutliers(views = [], records = {}) {
+    const metrics = getSeasonMetrics(views, records);
+    const outliers = [];
+
+    ['costPerHa', 'yieldPerHa', 'costPerKg', 'averageDelay'].forEach(metric => {
+        const values = metrics.filter(row => row[metric] !== null).map(row => row[metric]).sort((a, b) => a - b);
+        if (values.length < MIN_OUTLIER_SEASONS) return;
+
+        const q1 = quantile(values, 0.25);
+        const q3 = quantile(values, 0.75);
+        const spread = q3 - q1;
+        const median = quantile(values, 0.5);
+        metrics.forEach(row => {
+            const value = row[metric];
+            if (value === null) return;
+            if (value > q3 + OUTLIER_FENCE * spread || value < q1 - OUTLIER_FENCE * spread) {
+                outliers.push({ view: row.view, metric, value, median, direction: value > median ? 'high' : 'low', spread });
+            }
+        });
+    });
+
+    return outliers
+        .sort((a, b) => Math.abs(b.value - b.median) / (b.spread || 1) - Math.abs(a.value - a.median) / (a.spread || 1))
+        .map(({ spread, ...outlier }) => outlier);
+}
+
+// Export for use in other scripts
+window.FarmAnalytics = {
+    MIN_OUTLIER_SEASONS,
+    getSeasonViews,
+    filterSeasons,
+    getCostPerHectareByCategory,
+    getStageDelays,
+    getStageCounts,
+    getSeasonMetrics,
+    findOutliers
+};
@@ -0,0 +1,707 @@
+/**
+ * Backup Format for MADB (MagtanimAyDiBiro)
+ * Schema, validation and upgrades for the JSON files made by "Backup My Data".
+ *
+ * Current format (version '8.0'):
+ *
+ *   {
+ *     version: '8.0',
+ *     exportDate: ISO date-time,
+ *     selectedFarmId: string | null,
+ *     farms: [{ id, name, size (ha > 0), currentSeasonId, seasons: [
+ *               { id, startDate (YYYY-MM-DD), cropping, templateId?, completed?, completedDate?,
+ *                 taskCompletions: [
+ *                   { stageIndex, taskIndex, scheduledDate, completedDate, delayDays,
+ *                     inputsUsed?: [{ kind, quantity, unit }] } ],
+ *                 budget?: { mode, perHectare?, categories: { category: amount ≥ 0 } },
+ *                 createdAt? } ],
+ *               createdAt?, updatedAt? }],
+ *     expenses: [{ id, farmId, seasonId?, name, category, date, amount (≥ 0), quantity?, unit?, updatedAt? }],
+ *     harvests: [{ id, farmId, seasonId?, date, quantity (≥ 0), unit ('sacks' | 'kg'), kgPerSack?,
+ *                  moisture? (0–100), grade }],
+ *     sales: [{ id, farmId, seasonId?, buyer, date, quantityKg, pricePerKg, amountPaid }],
+ *     cropTemplates: [{ id, name, stages: [{ title, offset, tasks: [{ text, offset }] }] }],
+ *     scouting: [{ id, farmId, seasonId?, date, pestId, severity (1–4), areaPercent (0–100),
+ *                  stageIndex?, expenseId?, notes?, updatedAt? }],
+ *     waterLog: [{ id, farmId, seasonId?, date, rainfallMm?, irrigated, irrigationHours?, waterDepthCm?,
+ *                  notes?, updatedAt? }],
+ *     workers: [{ id, name, rateType ('daily' | 'piece'), rate (₱ ≥ 0 per day or per unit), pieceUnit?,
+ *                 phone?, active?, updatedAt? }],
+ *     attendance: [{ id, farmId, seasonId?, workerId, date, stageIndex, taskIndex, days (> 0), quantity?,
+ *                    rateType, rate, amount (≥ 0), expenseId? (payroll Labor expense), notes?, updatedAt? }],
+ *     equipment: [{ id, name, ownership ('owned' | 'rented'), usageUnit ('hour' | 'day' | 'hectare'),
+ *                   purchaseDate?, purchasePrice?, salvageValue?, usefulSeasons?, rentalRate?, provider?,
+ *                   active?, updatedAt? }],
+ *     equipmentUsage: [{ id, farmId, seasonId?, equipmentId, date, stageIndex, taskIndex, quantity (> 0), unit,
+ *                        rate?, cost?, expenseId? (rental Equipment expense), notes?, updatedAt? }],
+ *     journal: [{ id, farmId, seasonId?, date, text, stageIndex?, taskIndex?, photoIds: [photo id],
+ *                 createdAt?, updatedAt? }],
+ *     journalPhotos: [{ id, entryId, farmId, type ('image/…'), width?, height?, data (base64) }]
+ *   }
+ *
+ * A record's seasonId must be one of its farm's seasons; records without one belong to
+ * the farm's first season (`${farmId}_season_1`).
+ *
+ * Photos are Blobs on the phone. toBackupBlob() writes them as base64 one at a time
+ * while building the file, and decodePhoto() turns them back into Blobs on restore.
+ *
+ * Older files are upgraded one version at a time before validation:
+ *   legacy  – single-farm app: { farmInfo: {...}, expenses | expenseEntries: [...] }, no version
+ *   1.0     – multi-farm backup; optional collections may be missing
+ *   2.0     – no farm journal
+ *   3.0     – no pest and disease scouting
+ *   4.0     – no water log
+ *   5.0     – no labor crew or attendance
+ *   6.0     – no equipment registry
+ *   7.0     – one season per farm, stored on the farm itself
+ */
+
+const CURRENT_BACKUP_VERSION = '8.0';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Field rules. Each returns an error message, or null when the value is fine.
+const rules = {
+    requiredString: value =>
+        typeof value === 'string' && value.trim() !== '' ? null : 'is required',
+    optionalString: value =>
+        value == null || typeof value === 'string' ? null : 'must be text',
+    date: value =>
+        typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value))
+            ? null : 'must be a date (YYYY-MM-DD)',
+    optionalDate: value =>
+        value == null ? null : rules.date(value),
+    positiveNumber: value =>
+        typeof value === 'number' && isFinite(value) && value > 0 ? null : 'must be a number greater than 0',
+    nonNegativeNumber: value =>
+        typeof value === 'number' && isFinite(value) && value >= 0 ? null : 'must be a number of 0 or more',
+    optionalNonNegativeNumber: value =>
+        value == null ? null : rules.nonNegativeNumber(value),
+    optionalBoolean: value =>
+        value == null || typeof value === 'boolean' ? null : 'must be true or false',
+    index: value =>
+        Number.isInteger(value) && value >= 0 ? null : 'must be a whole number of 0 or more',
+    optionalIndex: value =>
+        value == null ? null : rules.index(value),
+    array: value =>
+        Array.isArray(value) ? null : 'must be a list'
+};
+
+const oneOf = (...allowed) => value =>
+    allowed.includes(value) ? null : `must be one of: ${allowed.join(', ')}`;
+
+// Field rules for each record type in the current version
+const BACKUP_SCHEMA = {
+    farms: {
+        id: rules.requiredString,
+        name: rules.requiredString,
+        size: rules.positiveNumber,
+        currentSeasonId: rules.requiredString,
+        seasons: value => Array.isArray(value) && value.length > 0 ? null : 'must list at least one season'
+    },
+    seasons: {
+        id: rules.requiredString,
+        startDate: rules.date,
+        cropping: rules.requiredString,
+        templateId: rules.optionalString,
+        completed: rules.optionalBoolean,
+        completedDate: rules.optionalDate,
+        taskCompletions: rules.array,
+        budget: value => {
+            if (value == null) return null;
+            const categories = value && value.categories;
+            if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+                return 'must have a list of category amounts';
+            }
+            return Object.values(categories).every(amount => rules.nonNegativeNumber(amount) === null)
+                ? null : 'category amounts must be numbers of 0 or more';
+        }
+    },
+    taskCompletions: {
+        stageIndex: rules.index,
+        taskIndex: rules.index,
+        scheduledDate: rules.date,
+        completedDate: rules.date
+    },
+    expenses: {
+        id: rules.requiredString,
+        farmId: rules.requiredString,
+        seasonId: rules.optionalString,
+        name: rules.requiredString,
+        category: rules.requiredString,
+        date: rules.date,
+        amount: rules.nonNegativeNumber,
+        quantity: rules.optionalNonNegativeNumber,
+        unit: rules.optionalString
+    },
+    harvests: {
+        id: rules.requiredString,
+        farmId: rules.requiredString,
+        seasonId: rules.optionalString,
+        date: rules.date,
+        quantity: rules.nonNegativeNumber,
+        unit: oneOf('sacks', 'kg'),
+        kgPerSack: rules.optionalNonNegativeNumber,
+        moisture: value => value == null || (typeof value === 'number' && value >= 0 && value <= 100)
+            ? null : 'must be a percentage from 0 to 100',
+        grade: rules.requiredString
+    },
+    sales: {
+        id: rules.requiredString,
+        farmId: rules.requiredString,
+        seasonId: rules.optionalString,
+        buyer: rules.requiredString,
+        date: rules.date,
+        quantityKg: rules.nonNegativeNumber,
+        pricePerKg: rules.nonNegativeNumber,
+        amountPaid: rules.nonNegativeNumber
+    },
+    cropTemplates: {
+        id: rules.requiredString,
+        name: rules.requiredString,
+        stages: value => Array.isArray(value) && value.length > 0 ? null : 'must list at least one stage'
+    },
+    stages: {
+        title: rules.requiredString,
+        offset: rules.nonNegativeNumber,
+        tasks: rules.array
+    },
+    tasks: {
+        text: rules.requiredString,
+        offset: rules.nonNegativeNumber
+    },
+    scouting: {
+        id: rules.requiredString,
+        farmId: rules.requiredString,
+        seasonId: rules.optionalString,
+        date: rules.date,
+        pestId: rules.requiredString,
+        severity: value => Number.isInteger(value) && value >= 1 && value <= 4 ? null : 'must be a whole number from 1 to 4',
+        areaPercent: value => typeof value === 'number' && value >= 0 && value <= 100
+            ? null : 'must be a percentage from 0 to 100',
+        stageIndex: rules.optionalIndex,
+        expenseId: rules.optionalString,
+        notes: rules.optionalString
+    },
+    waterLog: {
+        id: rules.requiredString,
+        farmId: rules.requiredString,
+        seasonId: rules.optionalString,
+        date: rules.date,
+        rainfallMm: rules.optionalNonNegativeNumber,
+        irrigated: value => typeof value === 'boolean' ? null : 'must be true or false',
+        irrigationHours: rules.optionalNonNegativeNumber,
+        waterDepthCm: rules.optionalNonNegativeNumber,
+        notes: rules.optionalString
+    },
+    workers: {
+        id: rules.requiredString,
+        name: rules.requiredString,
+        rateType: oneOf('daily', 'piece'),
+        rate: rules.nonNegativeNumber,
+        pieceUnit: rules.optionalString,
+        phone: rules.optionalString,
+        active: rules.optionalBoolean
+    },
+    attendance: {
+        id: rules.requiredString,
+        farmId: rules.requiredString,
+        seasonId: rules.optionalString,
+        workerId: rules.requiredString,
+        date: rules.date,
+        stageIndex: rules.index,
+        taskIndex: rules.index,
+        days: rules.positiveNumber,
+        quantity: rules.optionalNonNegativeNumber,
+        rateType: oneOf('daily', 'piece'),
+        rate: rules.nonNegativeNumber,
+        amount: rules.nonNegativeNumber,
+        expenseId: rules.optionalString,
+        notes: rules.optionalString
+    },
+    equipment: {
+        id: rules.requiredString,
+        name: rules.requiredString,
+        ownership: oneOf('owned', 'rented'),
+        usageUnit: oneOf('hour', 'day', 'hectare'),
+        purchaseDate: rules.optionalDate,
+        purchasePrice: rules.optionalNonNegativeNumber,
+        salvageValue: rules.optionalNonNegativeNumber,
+        usefulSeasons: value => value == null || (Number.isInteger(value) && value > 0)
+            ? null : 'must be a whole number greater than 0',
+        rentalRate: rules.optionalNonNegativeNumber,
+        provider: rules.optionalString,
+        active: rules.optionalBoolean
+    },
+    equipmentUsage: {
+        id: rules.requiredString,
+        farmId: rules.requiredString,
+        seasonId: rules.optionalString,
+        equipmentId: rules.requiredString,
+        date: rules.date,
+        stageIndex: rules.index,
+        taskIndex: rules.index,
+        quantity: rules.positiveNumber,
+        unit: oneOf('hour', 'day', 'hectare'),
+        rate: rules.optionalNonNegativeNumber,
+        cost: rules.optionalNonNegativeNumber,
+        expenseId: rules.optionalString,
+        notes: rules.optionalString
+    },
+    journal: {
+        id: rules.requiredString,
+        farmId: rules.requiredString,
+        seasonId: rules.optionalString,
+        date: rules.date,
+        text: value => typeof value === 'string' ? null : 'must be text',
+        stageIndex: rules.optionalIndex,
+        taskIndex: rules.optionalIndex,
+        photoIds: rules.array
+    },
+    journalPhotos: {
+        id: rules.requiredString,
+        entryId: rules.requiredString,
+        farmId: rules.requiredString,
+        type: value => typeof value === 'string' && value.startsWith('image/') ? null : 'must be an image type',
+        data: value => typeof value === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(value) ? null : 'must be base64 image data'
+    }
+};
+
+const BACKUP_COLLECTION_KEYS = ['farms', 'expenses', 'harvests', 'sales', 'cropTemplates', 'scouting', 'waterLog', 'workers', 'attendance', 'equipment', 'equipmentUsage', 'journal', 'journalPhotos'];
+
+/**
+ * Check one record against its field rules
+ */
+function validateRecord(record, schema, location, errors) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push({ ...location, field: null, message: 'must be an object' });
+        return;
+    }
+    Object.entries(schema).forEach(([field, rule]) => {
+        const message = rule(record[field]);
+        if (message) {
+            errors.push({ ...location, field, message });
+        }
+    });
+}
+
+/**
+ * Validate a backup in the current format
+ * @param {Object} data - Backup data (already upgraded)
+ * @returns {Array} Errors as { collection, index, id, field, message }; empty when valid
+ */
+function validateBackup(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+        return [{ collection: null, index: null, id: null, field: null, message: 'Backup is not a JSON object' }];
+    }
+    if (data.version !== CURRENT_BACKUP_VERSION) {
+        errors.push({ collection: null, index: null, id: null, field: 'version', message: `must be ${CURRENT_BACKUP_VERSION}` });
+    }
+    if (data.selectedFarmId != null && typeof data.selectedFarmId !== 'string') {
+        errors.push({ collection: null, index: null, id: null, field: 'selectedFarmId', message: 'must be text' });
+    }
+
+    BACKUP_COLLECTION_KEYS.forEach(collection => {
+        const records = data[collection];
+        if (!Array.isArray(records)) {
+            errors.push({ collection, index: null, id: null, field: null, message: 'must be a list' });
+            return;
+        }
+
+        const seenIds = new Set();
+        records.forEach((record, index) => {
+            const location = { collection, index, id: record && record.id != null ? record.id : null };
+            validateRecord(record, BACKUP_SCHEMA[collection], location, errors);
+
+            if (record && record.id != null) {
+                if (seenIds.has(record.id)) {
+                    errors.push({ ...location, field: 'id', message: 'is used by more than one record' });
+                }
+                seenIds.add(record.id);
+            }
+
+            // Nested records
+            if (collection === 'farms' && record && Array.isArray(record.seasons)) {
+                record.seasons.forEach((season, i) => {
+                    validateRecord(season, BACKUP_SCHEMA.seasons, { ...location, path: `seasons[${i}]` }, errors);
+                    ((season && Array.isArray(season.taskCompletions)) ? season.taskCompletions : []).forEach((completion, t) => {
+                        validateRecord(completion, BACKUP_SCHEMA.taskCompletions,
+                            { ...location, path: `seasons[${i}].taskCompletions[${t}]` }, errors);
+                    });
+                });
+                if (typeof record.currentSeasonId === 'string' && !record.seasons.some(season => season && season.id === record.currentSeasonId)) {
+                    errors.push({ ...location, field: 'currentSeasonId', message: `is not one of the farm's seasons (${record.currentSeasonId})` });
+                }
+            }
+            if (collection === 'cropTemplates' && record && Array.isArray(record.stages)) {
+                record.stages.forEach((stage, i) => {
+                    validateRecord(stage, BACKUP_SCHEMA.stages, { ...location, path: `stages[${i}]` }, errors);
+                    (stage && Array.isArray(stage.tasks) ? stage.tasks : []).forEach((task, t) => {
+                        validateRecord(task, BACKUP_SCHEMA.tasks, { ...location, path: `stages[${i}].tasks[${t}]` }, errors);
+                    });
+                });
+            }
+        });
+    });
+
+    // Farm references must point at a farm in the same backup
+    if (Array.isArray(data.farms)) {
+        const farmIds = new Set(data.farms.map(farm => farm && farm.id));
+        ['expenses', 'harvests', 'sales', 'scouting', 'waterLog', 'attendance', 'equipmentUsage', 'journal', 'journalPhotos'].forEach(collection => {
+            (Array.isArray(data[collection]) ? data[collection] : []).forEach((record, index) => {
+                if (record && typeof record.farmId === 'string' && !farmIds.has(record.farmId)) {
+                    errors.push({ collection, index, id: record.id, field: 'farmId', message: `refers to a farm that is not in the backup (${record.farmId})` });
+                }
+            });
+        });
+
+        // ...and a season of that farm
+        const seasonIds = new Map(data.farms.map(farm => [
+            farm && farm.id,
+            new Set((farm && Array.isArray(farm.seasons) ? farm.seasons : []).map(season => season && season.id))
+        ]));
+        ['expenses', 'harvests', 'sales', 'scouting', 'waterLog', 'attendance', 'equipmentUsage', 'journal'].forEach(collection => {
+            (Array.isArray(data[collection]) ? data[collection] : []).forEach((record, index) => {
+                if (record && typeof record.seasonId === 'string' && seasonIds.has(record.farmId)
+                    && !seasonIds.get(record.farmId).has(record.seasonId)) {
+                    errors.push({ collection, index, id: record.id, field: 'seasonId', message: `refers to a season that is not in its farm (${record.seasonId})` });
+                }
+            });
+        });
+    }
+
+    // Attendance must belong to a worker in the same backup
+    if (Array.isArray(data.workers) && Array.isArray(data.attendance)) {
+        const workerIds = new Set(data.workers.map(worker => worker && worker.id));
+        data.attendance.forEach((record, index) => {
+            if (record && typeof record.workerId === 'string' && !workerIds.has(record.workerId)) {
+                errors.push({ collection: 'attendance', index, id: record.id, field: 'workerId', message: `refers to a worker that is not in the backup (${record.workerId})` });
+            }
+        });
+    }
+
+    // Equipment usage must belong to an item in the same backup
+    if (Array.isArray(data.equipment) && Array.isArray(data.equipmentUsage)) {
+        const equipmentIds = new Set(data.equipment.map(item => item && item.id));
+        data.equipmentUsage.forEach((record, index) => {
+            if (record && typeof record.equipmentId === 'string' && !equipmentIds.has(record.equipmentId)) {
+                errors.push({ collection: 'equipmentUsage', index, id: record.id, field: 'equipmentId', message: `refers to equipment that is not in the backup (${record.equipmentId})` });
+            }
+        });
+    }
+
+    // Photos must belong to a journal entry in the same backup
+    if (Array.isArray(data.journal) && Array.isArray(data.journalPhotos)) {
+        const entryIds = new Set(data.journal.map(entry => entry && entry.id));
+        data.journalPhotos.forEach((photo, index) => {
+            if (photo && typeof photo.entryId === 'string' && !entryIds.has(photo.entryId)) {
+                errors.push({ collection: 'journalPhotos', index, id: photo.id, field: 'entryId', message: `refers to a journal entry that is not in the backup (${photo.entryId})` });
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Turn a string like "1,250.50" or "₱300" into a number; other values pass through
+ */
+function toNumber(value) {
+    if (typeof value === 'string' && value.trim() !== '') {
+        const parsed = Number(value.replace(/[₱,\s]/g, ''));
+        return isNaN(parsed) ? value : parsed;
+    }
+    return value;
+}
+
+/**
+ * Upgrade each record of a collection. Records that are not objects, and collections that are
+ * not lists, are left as they are so validateBackup() can report them; a missing collection is empty.
+ */
+function mapRecords(records, upgrade) {
+    if (records == null) return [];
+    if (!Array.isArray(records)) return records;
+    return records.map(record => (record && typeof record === 'object' && !Array.isArray(record) ? upgrade(record) : record));
+}
+
+/**
+ * Upgrade steps, keyed by the version they upgrade FROM.
+ * Each step receives a copy of the data and returns the next version.
+ */
+const UPGRADES = {
+    // Single-farm app: one farmInfo object, expenses without a farmId
+    legacy(data) {
+        const farmInfo = data.farmInfo && typeof data.farmInfo === 'object' ? data.farmInfo : {};
+        const farmId = farmInfo.id || `farm_${Date.now()}`;
+        const expenses = data.expenses || data.expenseEntries || [];
+
+        return {
+            version: '1.0',
+            exportDate: data.exportDate || new Date().toISOString(),
+            selectedFarmId: farmId,
+            farms: data.farmInfo ? [{
+                id: farmId,
+                name: farmInfo.name,
+                size: farmInfo.size,
+                startDate: farmInfo.startDate,
+                cropping: farmInfo.cropping,
+                createdAt: farmInfo.createdAt || new Date().toISOString()
+            }] : [],
+            expenses: mapRecords(expenses, expense => ({ ...expense, farmId: expense.farmId || farmId }))
+        };
+    },
+
+    // First multi-farm backups: optional collections may be missing and numbers may be strings
+    '1.0'(data) {
+        return {
+            ...data,
+            version: '2.0',
+            selectedFarmId: data.selectedFarmId || null,
+            farms: mapRecords(data.farms, farm => ({
+                ...farm,
+                size: toNumber(farm.size),
+                taskCompletions: farm.taskCompletions || []
+            })),
+            expenses: mapRecords(data.expenses, expense => ({
+                ...expense,
+                amount: toNumber(expense.amount),
+                quantity: expense.quantity === '' ? null : toNumber(expense.quantity)
+            })),
+            harvests: data.harvests || [],
+            sales: data.sales || [],
+            cropTemplates: data.cropTemplates || []
+        };
+    },
+
+    // Backups from before the farm journal
+    '2.0'(data) {
+        return {
+            ...data,
+            version: '3.0',
+            journal: data.journal || [],
+            journalPhotos: data.journalPhotos || []
+        };
+    },
+
+    // Backups from before pest and disease scouting
+    '3.0'(data) {
+        return {
+            ...data,
+            version: '4.0',
+            scouting: data.scouting || []
+        };
+    },
+
+    // Backups from before the water log
+    '4.0'(data) {
+        return {
+            ...data,
+            version: '5.0',
+            waterLog: data.waterLog || []
+        };
+    },
+
+    // Backups from before the labor crew
+    '5.0'(data) {
+        return {
+            ...data,
+            version: '6.0',
+            workers: data.workers || [],
+            attendance: data.attendance || []
+        };
+    },
+
+    // Backups from before the equipment registry
+    '6.0'(data) {
+        return {
+            ...data,
+            version: '7.0',
+            equipment: data.equipment || [],
+            equipmentUsage: data.equipmentUsage || []
+        };
+    },
+
+    // Backups from before seasons: each farm becomes a parcel whose one season keeps all its records.
+    // The season ID is the one the app gives a farm's first season, so records without one still match.
+    '7.0'(data) {
+        const firstSeasonId = farmId => `${farmId}_season_1`;
+        const withSeason = records => mapRecords(records, record => ({
+            ...record,
+            seasonId: record.seasonId || firstSeasonId(record.farmId)
+        }));
+
+        return {
+            ...data,
+            version: '8.0',
+            farms: mapRecords(data.farms, farm => {
+                const { startDate, cropping, templateId, taskCompletions, budget, completed, completedDate, ...parcel } = farm;
+                const seasonId = firstSeasonId(farm.id);
+                return {
+                    ...parcel,
+                    currentSeasonId: seasonId,
+                    seasons: [{
+                        id: seasonId,
+                        startDate,
+                        cropping,
+                        templateId,
+                        taskCompletions: taskCompletions || [],
+                        budget,
+                        completed,
+                        completedDate,
+                        createdAt: farm.createdAt
+                    }]
+                };
+            }),
+            expenses: withSeason(data.expenses),
+            harvests: withSeason(data.harvests),
+            sales: withSeason(data.sales),
+            scouting: withSeason(data.scouting),
+            waterLog: withSeason(data.waterLog),
+            attendance: withSeason(data.attendance),
+            equipmentUsage: withSeason(data.equipmentUsage),
+            journal: withSeason(data.journal)
+        };
+    }
+};
+
+/**
+ * Version a backup is in ('legacy' for files from the single-farm app)
+ */
+function getBackupVersion(data) {
+    if (data && data.version) return String(data.version);
+    if (data && data.farmInfo) return 'legacy';
+    return null;
+}
+
+/**
+ * Upgrade a backup to the current version without changing the original object
+ * @param {Object} data - Backup data in any known version
+ * @returns {Object} Backup data in the current version
+ */
+function upgradeBackup(data) {
+    let version = getBackupVersion(data);
+    if (!version) {
+        throw new Error('Invalid backup file format: no version');
+    }
+
+    // Photo data is the bulk of a backup and is never changed, so it is not deep-copied
+    const { journalPhotos, ...rest } = data;
+    let upgraded = JSON.parse(JSON.stringify(rest));
+    if (journalPhotos) {
+        upgraded.journalPhotos = mapRecords(journalPhotos, photo => ({ ...photo }));
+    }
+    while (version !== CURRENT_BACKUP_VERSION) {
+        const step = UPGRADES[version];
+        if (!step) {
+            throw new Error(`Unsupported backup version: ${version}`);
+        }
+        upgraded = step(upgraded);
+        console.log(`[Backup] Upgraded backup from ${version} to ${upgraded.version}`);
+        version = upgraded.version;
+    }
+    return upgraded;
+}
+
+/**
+ * Upgrade and validate a backup before anything is written.
+ * Throws an Error with `validationErrors` set when the backup is invalid.
+ * @param {Object} data - Backup data in any known version
+ * @returns {Object} Valid backup data in the current version
+ */
+function prepareBackup(data) {
+    const upgraded = upgradeBackup(data);
+    const errors = validateBackup(upgraded);
+
+    if (errors.length > 0) {
+        const error = new Error(`Backup failed validation with ${errors.length} problem(s)`);
+        error.validationErrors = errors;
+        throw error;
+    }
+    return upgraded;
+}
+
+/**
+ * Describe a validation error for display, e.g. "expenses #3 (exp_123) amount: must be a number of 0 or more"
+ */
+function formatValidationError(error) {
+    const where = error.collection
+        ? `${error.collection}${error.index != null ? ` #${error.index + 1}` : ''}${error.id ? ` (${error.id})` : ''}${error.path ? ` ${error.path}` : ''}`
+        : 'backup';
+    return `${where}${error.field ? ` ${error.field}` : ''}: ${error.message}`;
+}
+
+/**
+ * Read a Blob as base64 text (without the data: URL prefix)
+ */
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).slice(String(reader.result).indexOf(',') + 1));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Turn base64 text back into a Blob, decoding in slices to keep memory use flat
+ */
+function base64ToBlob(base64, type) {
+    const binary = atob(base64);
+    const parts = [];
+    const sliceSize = 512 * 1024;
+    for (let offset = 0; offset < binary.length; offset += sliceSize) {
+        const slice = binary.slice(offset, offset + sliceSize);
+        const bytes = new Uint8Array(slice.length);
+        for (let i = 0; i < slice.length; i++) {
+            bytes[i] = slice.charCodeAt(i);
+        }
+        parts.push(bytes);
+    }
+    return new Blob(parts, { type });
+}
+
+/**
+ * Stored photo record for a backup photo ({ data } becomes { blob })
+ */
+function decodePhoto(photo) {
+    const { data, ...record } = photo;
+    return { ...record, blob: base64ToBlob(data, photo.type) };
+}
+
+/**
+ * Build the backup file from exportAllData() output.
+ * Photos are appended to the file one at a time, so only one photo is held as
+ * base64 text at once instead of the whole backup as a single string.
+ * @param {Object} data - Backup data; journalPhotos carry Blobs in `blob`
+ * @returns {Blob} JSON file contents
+ */
+async function toBackupBlob(data) {
+    const { journalPhotos = [], ...rest } = data;
+    const json = JSON.stringify(rest, null, 2);
+    // Reopen the object (drop the closing brace) and append the photo list last
+    let file = new Blob([json.slice(0, json.lastIndexOf('}')).trimEnd(), ',\n  "journalPhotos": ['], { type: 'application/json' });
+
+    for (let i = 0; i < journalPhotos.length; i++) {
+        const { blob, ...photo } = journalPhotos[i];
+        photo.data = await blobToBase64(blob);
+        file = new Blob([file, `${i > 0 ? ',' : ''}\n    ${JSON.stringify(photo)}`], { type: 'application/json' });
+    }
+
+    return new Blob([file, `${journalPhotos.length ? '\n  ' : ''}]\n}\n`], { type: 'application/json' });
+}
+
+// Export for use in other scripts
+window.BackupFormat = {
+    CURRENT_VERSION: CURRENT_BACKUP_VERSION,
+    COLLECTIONS: BACKUP_COLLECTION_KEYS,
+    SCHEMA: BACKUP_SCHEMA,
+    getBackupVersion,
+    upgradeBackup,
+    validateBackup,
+    prepareBackup,
+    formatValidationError,
+    toBackupBlob,
+    decodePhoto
+};
@@ -0,0 +1,87 @@
+/**
+ * Farm Budget Calculations
+ * Budgets are stored on the farm record as `farm.budget`:
+ *   { mode: 'perHectare' | 'manual', perHectare?: { category: ₱ per ha },
+ *     categories: { category: ₱ for the whole farm }, updatedAt }
+ * Shared between the resource tracker, the dashboard and NotificationManager.
+ */
+
+const BUDGET_CATEGORIES = ['Seeds/Seedlings', 'Fertilizer', 'Pesticides', 'Equipment', 'Labor', 'Other'];
+
+// Suggested per-hectare costs for one inbred rice cropping
+const DEFAULT_BUDGET_PER_HECTARE = {
+    'Seeds/Seedlings': 3000,
+    'Fertilizer': 10000,
+    'Pesticides': 3500,
+    'Equipment': 8000,
+    'Labor': 15000,
+    'Other': 2500
+};
+
+/**
+ * Turn per-hectare amounts into whole-farm amounts
+ * @param {Object} perHectare - { category: amount per hectare }
+ * @param {number} size - Farm size in hectares
+ * @returns {Object} { category: amount for the farm }
+ */
+function buildFromPerHectare(perHectare, size) {
+    const categories = {};
+    Object.entries(perHectare || {}).forEach(([category, amount]) => {
+        categories[category] = Math.round((Number(amount) || 0) * (Number(size) || 0) * 100) / 100;
+    });
+    return categories;
+}
+
+/**
+ * Budget line an expense counts against. Custom categories (entered through "Other")
+ * fall under "Other" unless the budget has a line of their own.
+ */
+function getBudgetCategory(category, budget) {
+    if (budget && budget.categories && category in budget.categories) return category;
+    return BUDGET_CATEGORIES.includes(category) ? category : 'Other';
+}
+
+/**
+ * Compare a farm's budget with what was spent
+ * @param {Object} budget - The farm's budget (may be null)
+ * @param {Array} expenses - Expense records for the farm
+ * @returns {Object} { rows: [{ category, budget, spent, remaining, percentUsed, overBudget }],
+ *   totalBudget, totalSpent }; percentUsed is null for categories without a budget
+ */
+function compareBudget(budget, expenses = []) {
+    const planned = (budget && budget.categories) || {};
+    const spent = {};
+    expenses.forEach(e => {
+        const category = getBudgetCategory(e.category, budget);
+        spent[category] = (spent[category] || 0) + (Number(e.amount) || 0);
+    });
+
+    const categories = [...new Set([...Object.keys(planned), ...Object.keys(spent)])];
+    const rows = categories.map(category => {
+        const budgetAmount = Number(planned[category]) || 0;
+        const spentAmount = spent[category] || 0;
+        return {
+            category,
+            budget: budgetAmount,
+            spent: spentAmount,
+            remaining: budgetAmount - spentAmount,
+            percentUsed: budgetAmount > 0 ? (spentAmount / budgetAmount) * 100 : null,
+            overBudget: budgetAmount > 0 && spentAmount > budgetAmount
+        };
+    });
+
+    return {
+        rows,
+        totalBudget: rows.reduce((sum, row) => sum + row.budget, 0),
+        totalSpent: rows.reduce((sum, row) => sum + row.spent, 0)
+    };
+}
+
+// Export for use in other scripts
+window.FarmBudget = {
+    CATEGORIES: BUDGET_CATEGORIES,
+    DEFAULT_PER_HECTARE: DEFAULT_BUDGET_PER_HECTARE,
+    buildFromPerHectare,
+    getBudgetCategory,
+    compareBudget
+};
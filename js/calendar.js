@@ -0,0 +1,197 @@
+/**
+ * Calendar export for MADB (MagtanimAyDiBiro)
+ * Writes a farm's task schedule as an iCalendar (.ics) file for phone calendars (RFC 5545)
+ *
+ * Every task keeps the same UID across exports and each export carries a higher
+ * SEQUENCE, so importing the file again updates the events instead of adding copies.
+ */
+
+const CALENDAR_PRODUCT_ID = '-//MagtanimAyDiBiro//MADB Farm Schedule//EN';
+const CALENDAR_UID_DOMAIN = 'magtanimaydibiro';
+const ALARM_HOUR = 6; // Alarms ring at 6 AM on the reminder day
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape text for a TEXT property value
+ */
+function escapeICSText(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ */
+function foldICSLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const codePoint = char.codePointAt(0);
+        const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        // Continuation lines start with a space, which counts toward their length
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function formatICSDate(date) {
+    return RiceStages.toDateKey(date).replace(/-/g, '');
+}
+
+function getNextDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+}
+
+function formatICSTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Alarm trigger relative to the start of an all-day event (local midnight)
+ * @param {number} daysBefore - 0 rings on the day itself
+ */
+function formatAlarmTrigger(daysBefore) {
+    const hours = ALARM_HOUR - daysBefore * 24;
+    return `${hours < 0 ? '-' : ''}PT${Math.abs(hours)}H`;
+}
+
+// Events are written in the app's language when translations are loaded
+function translateICSText(text, params = {}) {
+    if (window.I18n) return I18n.t(text, params);
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? params[name] : match));
+}
+
+function formatICSDisplayDate(date) {
+    return window.I18n ? I18n.formatDate(date) : RiceStages.toDateKey(date);
+}
+
+function translateICSContent(text) {
+    return window.I18n ? I18n.translateContent(text) : text;
+}
+
+/**
+ * Stable event UID for one task of a farm's season. The first season keeps the UIDs
+ * exported before farms had seasons, so re-exporting it still updates those events;
+ * later seasons get their own, so their events are added instead of replacing them.
+ */
+function getTaskUID(farm, stageIndex, taskIndex) {
+    const firstSeason = !farm.seasonId || farm.seasonId === IndexedDBStorage.getFirstSeasonId(farm.id);
+    // Season IDs already start with the farm ID
+    const key = firstSeason ? farm.id : farm.seasonId;
+    return `madb-${key}-s${stageIndex}-t${taskIndex}@${CALENDAR_UID_DOMAIN}`;
+}
+
+/**
+ * Build the .ics text for every task of a farm.
+ * Open tasks use the re-projected date; done tasks sit on the day they were done, without alarms.
+ * @param {Object} farm - Farm with startDate, taskCompletions and templateId
+ * @param {Array} stages - The farm's stages (RiceStages.getFarmStages)
+ * @param {Object} options - { leadDays: days before a task to ring the first alarm, now }
+ * @returns {string} Calendar text with CRLF line endings
+ */
+function buildFarmCalendar(farm, stages = RiceStages.STAGES, options = {}) {
+    const { leadDays = 1, now = new Date() } = options;
+    const schedule = RiceStages.buildSchedule(farm.startDate, farm.taskCompletions || [], stages);
+    const stamp = formatICSTimestamp(now);
+    // Seconds since 1970 grow with every export, so a re-import always wins
+    const sequence = Math.floor(now.getTime() / 1000);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(`MADB - ${farm.name}`)}`
+    ];
+
+    schedule.stages.forEach(stage => {
+        stage.tasks.forEach(task => {
+            const date = task.completed ? RiceStages.parseDate(task.completedDate) : task.projectedDate;
+            const taskText = translateICSContent(task.text);
+            const description = [
+                `${translateICSText('Farm')}: ${farm.name}`,
+                translateICSContent(stage.title),
+                task.completed
+                    ? translateICSText('Done {date}', { date: formatICSDisplayDate(date) })
+                    : translateICSText('planned {date}', { date: formatICSDisplayDate(task.plannedDate) })
+            ].join('\n');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${getTaskUID(farm, task.stageIndex, task.taskIndex)}`,
+                `SEQUENCE:${sequence}`,
+                `DTSTAMP:${stamp}`,
+                `LAST-MODIFIED:${stamp}`,
+                `DTSTART;VALUE=DATE:${formatICSDate(date)}`,
+                `DTEND;VALUE=DATE:${formatICSDate(getNextDay(date))}`,
+                `SUMMARY:${escapeICSText(`${task.completed ? '✔ ' : ''}${taskText}`)}`,
+                `DESCRIPTION:${escapeICSText(description)}`,
+                `CATEGORIES:${escapeICSText(farm.name)}`,
+                'TRANSP:TRANSPARENT'
+            );
+
+            if (!task.completed) {
+                const alarmDays = leadDays > 0 ? [leadDays, 0] : [0];
+                alarmDays.forEach(daysBefore => {
+                    lines.push(
+                        'BEGIN:VALARM',
+                        'ACTION:DISPLAY',
+                        `DESCRIPTION:${escapeICSText(taskText)}`,
+                        `TRIGGER:${formatAlarmTrigger(daysBefore)}`,
+                        'END:VALARM'
+                    );
+                });
+            }
+
+            lines.push('END:VEVENT');
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * File name for a farm's calendar, e.g. MADB-schedule-north-field.ics
+ */
+function getCalendarFilename(farm) {
+    const slug = String(farm.name || 'farm').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    return `MADB-schedule-${slug}.ics`;
+}
+
+/**
+ * Save calendar text as a file download
+ */
+function downloadICS(filename, icsText) {
+    const blob = new Blob([icsText], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Export for use in other scripts
+window.CalendarExport = {
+    buildFarmCalendar,
+    getCalendarFilename,
+    downloadICS
+};
@@ -0,0 +1,138 @@
+/**
+ * CSV Helpers for MADB (MagtanimAyDiBiro)
+ * Reading and writing spreadsheet-friendly CSV (RFC 4180 quoting)
+ */
+
+/**
+ * Quote a value for CSV when it contains a comma, quote or line break
+ */
+function escapeCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array} columns - [{ header, value: row => any }]
+ * @param {Array} rows - Records to write
+ * @returns {string} CSV text with a header line, CRLF line endings
+ */
+function toCSV(columns, rows) {
+    const lines = [columns.map(col => escapeCSVValue(col.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(col => escapeCSVValue(col.value(row))).join(','));
+    });
+    return lines.join('\r\n');
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields with commas, escaped quotes and line breaks; blank lines are dropped.
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    // Strip a UTF-8 byte order mark written by some spreadsheet programs
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Save CSV text as a file download
+ */
+function downloadCSV(filename, csvText) {
+    // BOM so Excel opens UTF-8 (₱, ñ) correctly
+    const blob = new Blob(['\uFEFF' + csvText], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse a date from a spreadsheet cell: YYYY-MM-DD or MM/DD/YYYY (also with 2-digit years)
+ * @returns {string|null} 'YYYY-MM-DD', or null when the value is not a real date
+ */
+function parseCSVDate(value) {
+    const text = (value || '').trim();
+    let year, month, day;
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+        [, month, day, year] = match.map(Number);
+        if (year < 100) year += 2000;
+    } else {
+        return null;
+    }
+
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a number from a spreadsheet cell, ignoring ₱, PHP, commas and spaces
+ * @returns {number|null} The number, or null when the value is not numeric
+ */
+function parseCSVNumber(value) {
+    const text = (value || '').replace(/₱|PHP|,|\s/gi, '');
+    if (text === '' || !/^-?\d*\.?\d+$/.test(text)) return null;
+    return Number(text);
+}
+
+// Export for use in other scripts
+window.CSVUtils = {
+    toCSV,
+    parseCSV,
+    downloadCSV,
+    parseCSVDate,
+    parseCSVNumber
+};
@@ -1,19 +1,53 @@
 /**
  * IndexedDB utility for MADB (MagtanimAyDiBiro)
  * Replaces localStorage with IndexedDB for better storage and offline capabilities
+ *
+ * Every read and write goes through runTransaction(), which opens one transaction over the
+ * stores it is given and resolves only once that transaction has committed. Changes that
+ * touch several stores (a farm and its records, a payroll, a restore) are made in one such
+ * transaction, so they are saved together or not at all.
  */
 
 const DB_NAME = 'MADB';
-const DB_VERSION = 2; // v2: Multi-farm support
+const DB_VERSION = 12; // v2: Multi-farm support, v3: Crop templates, v4: Harvests and sales, v5: Sync outbox, v6: Notification ledger, v7: Farm journal, v8: Pest and disease scouting, v9: Water log, v10: Labor crew and attendance, v11: Equipment registry and usage, v12: Compound indexes
 
 // Object stores
 const STORES = {
   FARMS: 'farms',
   FARM_INFO: 'farmInfo', // Legacy - will migrate to 'farms'
   EXPENSES: 'expenses',
-  SETTINGS: 'settings'
+  SETTINGS: 'settings',
+  CROP_TEMPLATES: 'cropTemplates',
+  HARVESTS: 'harvests',
+  SALES: 'sales',
+  OUTBOX: 'outbox',
+  NOTIFICATIONS: 'notifications',
+  JOURNAL: 'journal',
+  JOURNAL_PHOTOS: 'journalPhotos',
+  SCOUTING: 'scouting',
+  WATER_LOG: 'waterLog',
+  WORKERS: 'workers',
+  ATTENDANCE: 'attendance',
+  EQUIPMENT: 'equipment',
+  EQUIPMENT_USAGE: 'equipmentUsage'
 };
 
+// Stores whose changes are queued in the outbox and sent by background sync.
+// Journal photos are too large to sync and stay on the phone that took them (and in its backups).
+const SYNCED_STORES = [STORES.FARMS, STORES.EXPENSES, STORES.CROP_TEMPLATES, STORES.HARVESTS, STORES.SALES, STORES.SCOUTING, STORES.WATER_LOG, STORES.WORKERS, STORES.ATTENDANCE, STORES.EQUIPMENT, STORES.EQUIPMENT_USAGE, STORES.JOURNAL];
+
+// Stores whose records belong to one season of a farm (they carry farmId and seasonId)
+const SEASON_STORES = [STORES.EXPENSES, STORES.HARVESTS, STORES.SALES, STORES.SCOUTING, STORES.WATER_LOG, STORES.ATTENDANCE, STORES.EQUIPMENT_USAGE, STORES.JOURNAL];
+
+// Stores holding a farm's records, all emptied when the farm is deleted
+const FARM_RECORD_STORES = [...SEASON_STORES, STORES.JOURNAL_PHOTOS, STORES.NOTIFICATIONS];
+
+// Farm fields that belong to a season rather than to the parcel itself
+const SEASON_FIELDS = ['startDate', 'cropping', 'templateId', 'taskCompletions', 'budget', 'completed', 'completedDate'];
+
+// Records per page when reading a farm's history a page at a time
+const DEFAULT_PAGE_SIZE = 20;
+
 // IndexedDB connection promise
 let dbPromise = null;
 
@@ -67,12 +101,164 @@ function initDB() {
         db.createObjectStore(STORES.SETTINGS);
         console.log('[IndexedDB] Created settings store');
       }
+
+      // Create crop templates store (per-variety stage plans)
+      if (!db.objectStoreNames.contains(STORES.CROP_TEMPLATES)) {
+        const templatesStore = db.createObjectStore(STORES.CROP_TEMPLATES, { keyPath: 'id' });
+        templatesStore.createIndex('name', 'name', { unique: false });
+        console.log('[IndexedDB] Created cropTemplates store');
+      }
+
+      // Create harvest and sales stores (farm output and income)
+      if (!db.objectStoreNames.contains(STORES.HARVESTS)) {
+        const harvestsStore = db.createObjectStore(STORES.HARVESTS, { keyPath: 'id' });
+        harvestsStore.createIndex('farmId', 'farmId', { unique: false });
+        harvestsStore.createIndex('date', 'date', { unique: false });
+        console.log('[IndexedDB] Created harvests store');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.SALES)) {
+        const salesStore = db.createObjectStore(STORES.SALES, { keyPath: 'id' });
+        salesStore.createIndex('farmId', 'farmId', { unique: false });
+        salesStore.createIndex('date', 'date', { unique: false });
+        console.log('[IndexedDB] Created sales store');
+      }
+
+      // Create outbox store (local changes waiting to be synced)
+      if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+        db.createObjectStore(STORES.OUTBOX, { keyPath: 'seq', autoIncrement: true });
+        console.log('[IndexedDB] Created outbox store');
+      }
+
+      // Create notification ledger store (reminders shown on this device)
+      if (!db.objectStoreNames.contains(STORES.NOTIFICATIONS)) {
+        const notificationsStore = db.createObjectStore(STORES.NOTIFICATIONS, { keyPath: 'id' });
+        notificationsStore.createIndex('farmId', 'farmId', { unique: false });
+        notificationsStore.createIndex('shownAt', 'shownAt', { unique: false });
+        console.log('[IndexedDB] Created notifications store');
+      }
+
+      // Create farm journal stores (field notes, and their photos kept apart so the timeline loads without Blobs)
+      if (!db.objectStoreNames.contains(STORES.JOURNAL)) {
+        const journalStore = db.createObjectStore(STORES.JOURNAL, { keyPath: 'id' });
+        journalStore.createIndex('farmId', 'farmId', { unique: false });
+        journalStore.createIndex('date', 'date', { unique: false });
+        console.log('[IndexedDB] Created journal store');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.JOURNAL_PHOTOS)) {
+        const photosStore = db.createObjectStore(STORES.JOURNAL_PHOTOS, { keyPath: 'id' });
+        photosStore.createIndex('entryId', 'entryId', { unique: false });
+        photosStore.createIndex('farmId', 'farmId', { unique: false });
+        console.log('[IndexedDB] Created journalPhotos store');
+      }
+
+      // Create scouting store (pest and disease observations)
+      if (!db.objectStoreNames.contains(STORES.SCOUTING)) {
+        const scoutingStore = db.createObjectStore(STORES.SCOUTING, { keyPath: 'id' });
+        scoutingStore.createIndex('farmId', 'farmId', { unique: false });
+        scoutingStore.createIndex('date', 'date', { unique: false });
+        console.log('[IndexedDB] Created scouting store');
+      }
+
+      // Create water log store (daily rainfall, irrigation and standing water)
+      if (!db.objectStoreNames.contains(STORES.WATER_LOG)) {
+        const waterStore = db.createObjectStore(STORES.WATER_LOG, { keyPath: 'id' });
+        waterStore.createIndex('farmId', 'farmId', { unique: false });
+        waterStore.createIndex('date', 'date', { unique: false });
+        console.log('[IndexedDB] Created waterLog store');
+      }
+
+      // Create labor stores (the crew, shared by all farms, and the days each worker put in per farm and task)
+      if (!db.objectStoreNames.contains(STORES.WORKERS)) {
+        db.createObjectStore(STORES.WORKERS, { keyPath: 'id' });
+        console.log('[IndexedDB] Created workers store');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.ATTENDANCE)) {
+        const attendanceStore = db.createObjectStore(STORES.ATTENDANCE, { keyPath: 'id' });
+        attendanceStore.createIndex('farmId', 'farmId', { unique: false });
+        attendanceStore.createIndex('workerId', 'workerId', { unique: false });
+        attendanceStore.createIndex('date', 'date', { unique: false });
+        console.log('[IndexedDB] Created attendance store');
+      }
+
+      // Create equipment stores (owned and rented machinery, shared by all farms, and its use per farm and task)
+      if (!db.objectStoreNames.contains(STORES.EQUIPMENT)) {
+        db.createObjectStore(STORES.EQUIPMENT, { keyPath: 'id' });
+        console.log('[IndexedDB] Created equipment store');
+      }
+
+      if (!db.objectStoreNames.contains(STORES.EQUIPMENT_USAGE)) {
+        const usageStore = db.createObjectStore(STORES.EQUIPMENT_USAGE, { keyPath: 'id' });
+        usageStore.createIndex('farmId', 'farmId', { unique: false });
+        usageStore.createIndex('equipmentId', 'equipmentId', { unique: false });
+        usageStore.createIndex('date', 'date', { unique: false });
+        console.log('[IndexedDB] Created equipmentUsage store');
+      }
+
+      createCompoundIndexes(event.target.transaction, event.oldVersion);
     };
   });
 
   return dbPromise;
 }
 
+/**
+ * Indexes for the queries pages make most: a farm's records in date order (farmId + date),
+ * one season's records (farmId + seasonId) and farms by the state of their current season
+ * (status: 'active' or 'completed'). Records saved before v12 are given the fields these
+ * indexes read, so none of them are left out of the queries.
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ * @param {number} oldVersion - The version being upgraded from (0 for a new database)
+ */
+function createCompoundIndexes(transaction, oldVersion) {
+  const farmsStore = transaction.objectStore(STORES.FARMS);
+  if (!farmsStore.indexNames.contains('status')) {
+    farmsStore.createIndex('status', 'status', { unique: false });
+  }
+
+  SEASON_STORES.forEach(storeName => {
+    const store = transaction.objectStore(storeName);
+    if (!store.indexNames.contains('farmId_date')) {
+      store.createIndex('farmId_date', ['farmId', 'date'], { unique: false });
+    }
+    if (!store.indexNames.contains('farmId_seasonId')) {
+      store.createIndex('farmId_seasonId', ['farmId', 'seasonId'], { unique: false });
+    }
+  });
+
+  if (oldVersion === 0 || oldVersion >= 12) {
+    return;
+  }
+
+  // Farms from before seasons are left to migrateFarmSeasons(), which also queues them for sync.
+  // The status is worked out from the seasons on every device, so adding it is not synced.
+  farmsStore.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    if (Array.isArray(cursor.value.seasons) && !cursor.value.status) {
+      cursor.update(toStoredFarm(cursor.value));
+    }
+    cursor.continue();
+  };
+
+  // Records given their season are queued like any other change, so the server's copies get it too
+  SEASON_STORES.forEach(storeName => {
+    transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.farmId && !cursor.value.seasonId) {
+        const stamped = normalizeRecord(storeName, cursor.value);
+        cursor.update(stamped);
+        queueChange(transaction, storeName, 'put', stamped.id, stamped);
+      }
+      cursor.continue();
+    };
+  });
+  console.log('[IndexedDB] Created compound indexes');
+}
+
 /**
  * Get database instance
  */
@@ -83,6 +269,259 @@ async function getDB() {
   return dbPromise;
 }
 
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise} Resolves with the request's result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run some work in one transaction and wait for it to commit.
+ * `work` may await requests made in the transaction (see requestToPromise) but nothing else,
+ * or the transaction commits before it is done. If `work` throws, the transaction is aborted
+ * and none of its writes are kept.
+ * @param {string|Array} storeNames - The stores the work uses
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - (transaction) => result, or a promise of it
+ * @returns {Promise} Resolves with the work's result once the transaction has committed
+ */
+async function runTransaction(storeNames, mode, work) {
+  const db = await getDB();
+  const transaction = db.transaction(storeNames, mode);
+  const committed = new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+  let result;
+  try {
+    result = await work(transaction);
+  } catch (error) {
+    committed.catch(() => {});
+    try {
+      transaction.abort();
+    } catch (abortError) {
+      // Already aborted by the failed request
+    }
+    throw error;
+  }
+
+  await committed;
+  return result;
+}
+
+/**
+ * Add a change to the sync outbox inside the caller's readwrite transaction,
+ * so the change and its outbox entry are saved (or rolled back) together.
+ * The transaction must include STORES.OUTBOX.
+ * @param {IDBTransaction} transaction - The transaction doing the write
+ * @param {string} storeName - The store that changed
+ * @param {string} op - 'put' or 'delete'
+ * @param {string} id - The record ID
+ * @param {Object} record - The saved record (for 'put')
+ */
+function queueChange(transaction, storeName, op, id, record = null) {
+  // Built-in crop templates ship with the app and are never synced
+  if (!SYNCED_STORES.includes(storeName) || (record && record.builtIn)) {
+    return;
+  }
+
+  transaction.objectStore(STORES.OUTBOX).add({
+    store: storeName,
+    op,
+    id,
+    record: op === 'put' ? record : null,
+    changedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Tell listeners (FarmSync) that the outbox has new changes
+ */
+function notifyOutboxChanged() {
+  if (typeof self !== 'undefined' && typeof self.dispatchEvent === 'function' && typeof Event === 'function') {
+    self.dispatchEvent(new Event('madb-outbox-changed'));
+  }
+}
+
+/**
+ * Stores a write to `storeNames` needs: the outbox is added when any of them is synced
+ */
+function withOutbox(storeNames) {
+  return storeNames.some(storeName => SYNCED_STORES.includes(storeName)) ? [...storeNames, STORES.OUTBOX] : storeNames;
+}
+
+/**
+ * The record as it is kept in its store: farms in their stored shape, and farm records
+ * from before seasons (from an old backup or an older phone) in the farm's first season
+ */
+function normalizeRecord(storeName, record) {
+  if (storeName === STORES.FARMS) {
+    return toStoredFarm(record);
+  }
+  if (SEASON_STORES.includes(storeName) && record.farmId && !record.seasonId) {
+    return { ...record, seasonId: getFirstSeasonId(record.farmId) };
+  }
+  return record;
+}
+
+/**
+ * Get every record of a store, or those an index has under a key or key range
+ * @param {string} storeName - The store
+ * @param {string} indexName - The index to query (optional)
+ * @param {*} query - Key or IDBKeyRange (optional)
+ */
+function getRecords(storeName, indexName = null, query = undefined) {
+  return runTransaction([storeName], 'readonly', transaction => {
+    const store = transaction.objectStore(storeName);
+    return requestToPromise((indexName ? store.index(indexName) : store).getAll(query));
+  });
+}
+
+/**
+ * Get one record (or settings value) by key
+ * @returns {*} The record, or undefined
+ */
+function getRecord(storeName, key) {
+  return runTransaction([storeName], 'readonly', transaction =>
+    requestToPromise(transaction.objectStore(storeName).get(key)));
+}
+
+/**
+ * Save a record, queueing it for sync in the same transaction when its store is synced
+ * @returns {Object} The record as stored
+ */
+async function putRecord(storeName, record) {
+  const stored = normalizeRecord(storeName, record);
+  await runTransaction(withOutbox([storeName]), 'readwrite', transaction => {
+    transaction.objectStore(storeName).put(stored);
+    queueChange(transaction, storeName, 'put', stored.id, stored);
+  });
+  if (SYNCED_STORES.includes(storeName)) {
+    notifyOutboxChanged();
+  }
+  return stored;
+}
+
+/**
+ * Delete a record, queueing the delete for sync in the same transaction when its store is synced
+ */
+async function deleteRecord(storeName, id) {
+  await runTransaction(withOutbox([storeName]), 'readwrite', transaction => {
+    transaction.objectStore(storeName).delete(id);
+    queueChange(transaction, storeName, 'delete', id);
+  });
+  if (SYNCED_STORES.includes(storeName)) {
+    notifyOutboxChanged();
+  }
+}
+
+/**
+ * A farm's records in a store, all of them or one season's
+ * @param {string} storeName - One of SEASON_STORES
+ * @param {string} farmId - The farm ID
+ * @param {string} seasonId - Only this season's records (optional)
+ */
+function getFarmRecords(storeName, farmId, seasonId = null) {
+  return seasonId
+    ? getRecords(storeName, 'farmId_seasonId', [farmId, seasonId])
+    : getRecords(storeName, 'farmId', farmId);
+}
+
+/**
+ * Delete every record of a farm from a store inside the caller's transaction,
+ * queueing each delete for sync
+ * @returns {Array} IDs of the deleted records
+ */
+async function deleteFarmRecords(transaction, storeName, farmId) {
+  const store = transaction.objectStore(storeName);
+  const ids = await requestToPromise(store.index('farmId').getAllKeys(farmId));
+  ids.forEach(id => {
+    store.delete(id);
+    queueChange(transaction, storeName, 'delete', id);
+  });
+  return ids;
+}
+
+/**
+ * Delete every record of a farm from some stores, in one transaction
+ * @returns {number} How many records were deleted
+ */
+async function deleteRecordsByFarm(storeNames, farmId) {
+  const deleted = await runTransaction(withOutbox(storeNames), 'readwrite', async transaction => {
+    const ids = await Promise.all(storeNames.map(storeName => deleteFarmRecords(transaction, storeName, farmId)));
+    return ids.reduce((sum, list) => sum + list.length, 0);
+  });
+  if (storeNames.some(storeName => SYNCED_STORES.includes(storeName))) {
+    notifyOutboxChanged();
+  }
+  return deleted;
+}
+
+/**
+ * One page of a farm's records in date order, read with a cursor on the farmId+date index
+ * so a long history is never loaded all at once
+ * @param {string} storeName - One of SEASON_STORES
+ * @param {string} farmId - The farm ID
+ * @param {Object} options - { seasonId?, from?, to? (YYYY-MM-DD, both included), limit?,
+ *   oldestFirst? (newest first by default), after? (the nextCursor of the page before) }
+ * @returns {Object} { records, nextCursor: { date, id } of the last record, or null on the last page }
+ */
+function getFarmRecordsPage(storeName, farmId, options = {}) {
+  const { seasonId = null, from = '', to = '', limit = DEFAULT_PAGE_SIZE, oldestFirst = false, after = null } = options;
+  // '\uffff' sorts after any date, so dates saved with a time still count on the `to` day
+  const range = IDBKeyRange.bound([farmId, from], [farmId, `${to}\uffff`]);
+  const afterKey = after ? [farmId, after.date] : null;
+
+  return runTransaction([storeName], 'readonly', transaction => new Promise((resolve, reject) => {
+    const records = [];
+    let pastAfter = !after;
+    const request = transaction.objectStore(storeName).index('farmId_date').openCursor(range, oldestFirst ? 'next' : 'prev');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ records, nextCursor: null });
+        return;
+      }
+
+      // Jump to where the page before stopped, then step past that record
+      if (!pastAfter) {
+        const order = indexedDB.cmp(cursor.key, afterKey) || indexedDB.cmp(cursor.primaryKey, after.id);
+        if (order === 0) {
+          pastAfter = true;
+          cursor.continue();
+          return;
+        }
+        if (oldestFirst ? order < 0 : order > 0) {
+          cursor.continuePrimaryKey(afterKey, after.id);
+          return;
+        }
+        pastAfter = true;
+      }
+
+      const record = cursor.value;
+      if (!seasonId || getRecordSeasonId(record) === seasonId) {
+        // One record more than the page holds means there is another page
+        if (records.length === limit) {
+          const last = records[records.length - 1];
+          resolve({ records, nextCursor: { date: last.date, id: last.id } });
+          return;
+        }
+        records.push(record);
+      }
+      cursor.continue();
+    };
+  }));
+}
+
 /**
  * Store data in IndexedDB (replaces localStorage.setItem)
  * @param {string} key - The key to store data under
@@ -90,15 +529,9 @@ async function getDB() {
  */
 async function setItem(key, value) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([getStoreName(key)], 'readwrite');
-    const store = transaction.objectStore(getStoreName(key));
-
     const serializedValue = JSON.stringify(value);
-    await new Promise((resolve, reject) => {
-      const request = store.put(serializedValue, key);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+    await runTransaction([getStoreName(key)], 'readwrite', transaction => {
+      transaction.objectStore(getStoreName(key)).put(serializedValue, key);
     });
 
     console.log(`[IndexedDB] Stored ${key}`);
@@ -115,16 +548,7 @@ async function setItem(key, value) {
  */
 async function getItem(key) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([getStoreName(key)], 'readonly');
-    const store = transaction.objectStore(getStoreName(key));
-
-    const result = await new Promise((resolve, reject) => {
-      const request = store.get(key);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
+    const result = await getRecord(getStoreName(key), key);
     if (result === undefined) {
       return null;
     }
@@ -144,14 +568,8 @@ async function getItem(key) {
  */
 async function removeItem(key) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([getStoreName(key)], 'readwrite');
-    const store = transaction.objectStore(getStoreName(key));
-
-    await new Promise((resolve, reject) => {
-      const request = store.delete(key);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+    await runTransaction([getStoreName(key)], 'readwrite', transaction => {
+      transaction.objectStore(getStoreName(key)).delete(key);
     });
 
     console.log(`[IndexedDB] Removed ${key}`);
@@ -167,14 +585,8 @@ async function removeItem(key) {
  */
 async function clearStore(storeName) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([storeName], 'readwrite');
-    const store = transaction.objectStore(storeName);
-
-    await new Promise((resolve, reject) => {
-      const request = store.clear();
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+    await runTransaction([storeName], 'readwrite', transaction => {
+      transaction.objectStore(storeName).clear();
     });
 
     console.log(`[IndexedDB] Cleared store ${storeName}`);
@@ -190,16 +602,7 @@ async function clearStore(storeName) {
  */
 async function getAllExpenses() {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.EXPENSES], 'readonly');
-    const store = transaction.objectStore(STORES.EXPENSES);
-
-    const results = await new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
+    const results = await getRecords(STORES.EXPENSES);
     console.log(`[IndexedDB] Retrieved ${results.length} expenses`);
     return results;
   } catch (error) {
@@ -214,16 +617,7 @@ async function getAllExpenses() {
  */
 async function saveExpense(expense) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.EXPENSES], 'readwrite');
-    const store = transaction.objectStore(STORES.EXPENSES);
-
-    await new Promise((resolve, reject) => {
-      const request = store.put(expense);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
-
+    await putRecord(STORES.EXPENSES, expense);
     console.log(`[IndexedDB] Saved expense ${expense.id}`);
   } catch (error) {
     console.error(`[IndexedDB] Error saving expense:`, error);
@@ -237,16 +631,7 @@ async function saveExpense(expense) {
  */
 async function deleteExpense(expenseId) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.EXPENSES], 'readwrite');
-    const store = transaction.objectStore(STORES.EXPENSES);
-
-    await new Promise((resolve, reject) => {
-      const request = store.delete(expenseId);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
-
+    await deleteRecord(STORES.EXPENSES, expenseId);
     console.log(`[IndexedDB] Deleted expense ${expenseId}`);
   } catch (error) {
     console.error(`[IndexedDB] Error deleting expense:`, error);
@@ -261,17 +646,7 @@ async function deleteExpense(expenseId) {
  */
 async function getExpensesByCategory(category) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.EXPENSES], 'readonly');
-    const store = transaction.objectStore(STORES.EXPENSES);
-    const index = store.index('category');
-
-    const results = await new Promise((resolve, reject) => {
-      const request = index.getAll(category);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
+    const results = await getRecords(STORES.EXPENSES, 'category', category);
     console.log(`[IndexedDB] Retrieved ${results.length} expenses for category ${category}`);
     return results;
   } catch (error) {
@@ -288,18 +663,8 @@ async function getExpensesByCategory(category) {
  */
 async function getExpensesByDateRange(startDate, endDate) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.EXPENSES], 'readonly');
-    const store = transaction.objectStore(STORES.EXPENSES);
-    const index = store.index('date');
-
     const range = IDBKeyRange.bound(startDate.toISOString(), endDate.toISOString());
-    const results = await new Promise((resolve, reject) => {
-      const request = index.getAll(range);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
+    const results = await getRecords(STORES.EXPENSES, 'date', range);
     console.log(`[IndexedDB] Retrieved ${results.length} expenses between ${startDate.toISOString()} and ${endDate.toISOString()}`);
     return results;
   } catch (error) {
@@ -309,23 +674,93 @@ async function getExpensesByDateRange(startDate, endDate) {
 }
 
 /**
- * Get all farms
+ * Farms are permanent parcels with a list of seasons. A farm is stored as
+ *   { id, name, size, currentSeasonId, status, seasons: [{ id, startDate, cropping, templateId?,
+ *     taskCompletions, budget?, completed?, completedDate?, createdAt? }], createdAt?, updatedAt? }
+ * where `status` ('active' or 'completed') follows the current season and is only there to be indexed.
+ * getFarm() and getAllFarms() return a view of one season: the parcel with that season's fields
+ * copied on top and `seasonId` set, so pages keep reading farm.startDate or farm.taskCompletions.
+ * saveFarm() takes such a view (its season fields go back into its season), a stored farm,
+ * or a farm from before seasons, which becomes a parcel with one season.
+ */
+
+/**
+ * ID of a farm's first season. It never changes, so records saved before seasons
+ * existed (which have no seasonId) belong to it on every phone.
+ * @param {string} farmId - The farm ID
+ */
+function getFirstSeasonId(farmId) {
+  return `${farmId}_season_1`;
+}
+
+/**
+ * The season an expense, harvest or other farm record belongs to
+ * @param {Object} record - A record with farmId and, since seasons, seasonId
+ */
+function getRecordSeasonId(record) {
+  return record.seasonId || getFirstSeasonId(record.farmId);
+}
+
+/**
+ * Stored shape of a farm view, a stored farm or a farm from before seasons
+ */
+function toStoredFarm(farm) {
+  const { seasonId, ...record } = farm;
+  const seasonFields = {};
+  SEASON_FIELDS.forEach(field => {
+    if (field in record) {
+      seasonFields[field] = record[field];
+      delete record[field];
+    }
+  });
+
+  const seasons = (record.seasons || []).map(season => ({ ...season }));
+  if (Object.keys(seasonFields).length > 0) {
+    const id = seasonId || record.currentSeasonId || getFirstSeasonId(record.id);
+    const index = seasons.findIndex(season => season.id === id);
+    const createdAt = index >= 0 ? seasons[index].createdAt : (record.createdAt || new Date().toISOString());
+    // The view holds the whole season, so fields it no longer has (such as a removed budget) are dropped
+    const season = { id, createdAt, ...seasonFields, taskCompletions: seasonFields.taskCompletions || [] };
+    if (index >= 0) {
+      seasons[index] = season;
+    } else {
+      seasons.push(season);
+    }
+  }
+
+  record.seasons = seasons;
+  if (!seasons.some(season => season.id === record.currentSeasonId)) {
+    record.currentSeasonId = seasons.length > 0 ? seasons[seasons.length - 1].id : null;
+  }
+  const current = seasons.find(season => season.id === record.currentSeasonId);
+  record.status = current && current.completed ? 'completed' : 'active';
+  return record;
+}
+
+/**
+ * View of one season of a farm (stored or already a view): the current season unless another is asked for
+ * @returns {Object|null} The view, or null when the farm has no such season
+ */
+function toFarmView(record, seasonId = null) {
+  const farm = toStoredFarm(record);
+  const season = farm.seasons.find(s => s.id === (seasonId || farm.currentSeasonId));
+  if (!season) {
+    return null;
+  }
+
+  const { id, createdAt, ...seasonFields } = season;
+  return { ...farm, ...seasonFields, taskCompletions: seasonFields.taskCompletions || [], seasonId: id };
+}
+
+/**
+ * Get all farms, each viewed at its current season
  * @returns {Array} Array of farm objects
  */
 async function getAllFarms() {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.FARMS], 'readonly');
-    const store = transaction.objectStore(STORES.FARMS);
-
-    const results = await new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
+    const results = await getRecords(STORES.FARMS);
     console.log(`[IndexedDB] Retrieved ${results.length} farms`);
-    return results;
+    return results.map(record => toFarmView(record)).filter(Boolean);
   } catch (error) {
     console.error('[IndexedDB] Error retrieving farms:', error);
     return [];
@@ -333,24 +768,16 @@ async function getAllFarms() {
 }
 
 /**
- * Get a single farm by ID
+ * Get a single farm by ID, viewed at one of its seasons
  * @param {string} farmId - The farm ID
+ * @param {string} seasonId - The season to view (optional, defaults to the current season)
  * @returns {Object|null} The farm object or null
  */
-async function getFarm(farmId) {
+async function getFarm(farmId, seasonId = null) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.FARMS], 'readonly');
-    const store = transaction.objectStore(STORES.FARMS);
-
-    const result = await new Promise((resolve, reject) => {
-      const request = store.get(farmId);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
+    const result = await getRecord(STORES.FARMS, farmId);
     console.log(`[IndexedDB] Retrieved farm ${farmId}`);
-    return result || null;
+    return result ? toFarmView(result, seasonId) : null;
   } catch (error) {
     console.error(`[IndexedDB] Error retrieving farm ${farmId}:`, error);
     return null;
@@ -359,24 +786,16 @@ async function getFarm(farmId) {
 
 /**
  * Save a farm (create or update)
- * @param {Object} farm - The farm object to store
+ * @param {Object} farm - The farm object to store: a season view, a stored farm,
+ *   or a new farm with its first season's fields (startDate, cropping, ...) on top
  */
 async function saveFarm(farm) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.FARMS], 'readwrite');
-    const store = transaction.objectStore(STORES.FARMS);
-
     // Ensure farm has an ID
     if (!farm.id) {
       farm.id = `farm_${Date.now()}`;
     }
-
-    await new Promise((resolve, reject) => {
-      const request = store.put(farm);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
+    await putRecord(STORES.FARMS, farm);
 
     console.log(`[IndexedDB] Saved farm ${farm.id}`);
     return farm.id;
@@ -387,22 +806,55 @@ async function saveFarm(farm) {
 }
 
 /**
- * Delete a farm
+ * Read a farm, change it and save it in one transaction, so changes made close together
+ * (such as two tasks ticked off quickly) cannot overwrite each other
+ * @param {string} farmId - The farm ID
+ * @param {Function} change - Edits the farm, viewed at its current season, in place; it may
+ *   return a stored farm to save instead. It must not await anything.
+ * @returns {Object|null} The saved farm viewed at its current season, or null when there is no such farm
+ */
+async function updateFarm(farmId, change) {
+  const saved = await runTransaction([STORES.FARMS, STORES.OUTBOX], 'readwrite', async transaction => {
+    const store = transaction.objectStore(STORES.FARMS);
+    const current = await requestToPromise(store.get(farmId));
+    const view = current ? toFarmView(current) : null;
+    if (!view) {
+      return null;
+    }
+
+    const record = toStoredFarm(change(view) || view);
+    store.put(record);
+    queueChange(transaction, STORES.FARMS, 'put', record.id, record);
+    return record;
+  });
+
+  if (!saved) {
+    return null;
+  }
+  notifyOutboxChanged();
+  return toFarmView(saved);
+}
+
+/**
+ * Delete a farm together with everything recorded for it (expenses, harvests, sales, scouting,
+ * the water log, attendance, equipment use with its rental expenses, the journal and its photos,
+ * and its reminders), in one transaction so a failure cannot leave records without their farm
  * @param {string} farmId - The ID of the farm to delete
+ * @returns {number} How many records were deleted with the farm
  */
 async function deleteFarm(farmId) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.FARMS], 'readwrite');
-    const store = transaction.objectStore(STORES.FARMS);
+    const deleted = await runTransaction([STORES.FARMS, ...FARM_RECORD_STORES, STORES.OUTBOX], 'readwrite', async transaction => {
+      transaction.objectStore(STORES.FARMS).delete(farmId);
+      queueChange(transaction, STORES.FARMS, 'delete', farmId);
 
-    await new Promise((resolve, reject) => {
-      const request = store.delete(farmId);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      const ids = await Promise.all(FARM_RECORD_STORES.map(storeName => deleteFarmRecords(transaction, storeName, farmId)));
+      return ids.reduce((sum, list) => sum + list.length, 0);
     });
+    notifyOutboxChanged();
 
-    console.log(`[IndexedDB] Deleted farm ${farmId}`);
+    console.log(`[IndexedDB] Deleted farm ${farmId} and ${deleted} records`);
+    return deleted;
   } catch (error) {
     console.error(`[IndexedDB] Error deleting farm:`, error);
     throw error;
@@ -415,16 +867,7 @@ async function deleteFarm(farmId) {
  */
 async function getSelectedFarmId() {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.SETTINGS], 'readonly');
-    const store = transaction.objectStore(STORES.SETTINGS);
-
-    const result = await new Promise((resolve, reject) => {
-      const request = store.get('selectedFarmId');
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
+    const result = await getRecord(STORES.SETTINGS, 'selectedFarmId');
     return result || null;
   } catch (error) {
     console.error('[IndexedDB] Error getting selected farm ID:', error);
@@ -438,14 +881,8 @@ async function getSelectedFarmId() {
  */
 async function setSelectedFarmId(farmId) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.SETTINGS], 'readwrite');
-    const store = transaction.objectStore(STORES.SETTINGS);
-
-    await new Promise((resolve, reject) => {
-      const request = store.put(farmId, 'selectedFarmId');
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+    await runTransaction([STORES.SETTINGS], 'readwrite', transaction => {
+      transaction.objectStore(STORES.SETTINGS).put(farmId, 'selectedFarmId');
     });
 
     console.log(`[IndexedDB] Selected farm ${farmId}`);
@@ -458,21 +895,12 @@ async function setSelectedFarmId(farmId) {
 /**
  * Get expenses for a specific farm
  * @param {string} farmId - The farm ID to filter by
+ * @param {string} seasonId - Only this season's records (optional)
  * @returns {Array} Array of expense objects for the farm
  */
-async function getExpensesByFarm(farmId) {
+async function getExpensesByFarm(farmId, seasonId = null) {
   try {
-    const db = await getDB();
-    const transaction = db.transaction([STORES.EXPENSES], 'readonly');
-    const store = transaction.objectStore(STORES.EXPENSES);
-    const index = store.index('farmId');
-
-    const results = await new Promise((resolve, reject) => {
-      const request = index.getAll(farmId);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-
+    const results = await getFarmRecords(STORES.EXPENSES, farmId, seasonId);
     console.log(`[IndexedDB] Retrieved ${results.length} expenses for farm ${farmId}`);
     return results;
   } catch (error) {
@@ -481,16 +909,28 @@ async function getExpensesByFarm(farmId) {
   }
 }
 
+/**
+ * Get one page of a farm's expenses, newest first (see getFarmRecordsPage for the options)
+ * @param {string} farmId - The farm ID
+ * @param {Object} options - { seasonId?, from?, to?, limit?, oldestFirst?, after? }
+ * @returns {Object} { records, nextCursor }
+ */
+async function getExpensesPage(farmId, options = {}) {
+  try {
+    return await getFarmRecordsPage(STORES.EXPENSES, farmId, options);
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving a page of expenses:', error);
+    return { records: [], nextCursor: null };
+  }
+}
+
 /**
  * Delete all expenses for a specific farm
  * @param {string} farmId - The farm ID
  */
 async function deleteExpensesByFarm(farmId) {
   try {
-    const expenses = await getExpensesByFarm(farmId);
-    for (const expense of expenses) {
-      await deleteExpense(expense.id);
-    }
+    await deleteRecordsByFarm([STORES.EXPENSES], farmId);
     console.log(`[IndexedDB] Deleted all expenses for farm ${farmId}`);
   } catch (error) {
     console.error(`[IndexedDB] Error deleting expenses for farm:`, error);
@@ -502,6 +942,15 @@ async function deleteExpensesByFarm(farmId) {
  * Migrate legacy single-farm data to multi-farm structure
  */
 async function migrateLegacyData() {
+  await migrateLegacyFarmInfo();
+  await migrateFarmSeasons();
+  await migrateJournalSync();
+}
+
+/**
+ * Turn the single-farm farmInfo record of the first versions into a farm
+ */
+async function migrateLegacyFarmInfo() {
   try {
     // Check if there's legacy farmInfo data
     const legacyFarm = await getItem('farmInfo');
@@ -535,6 +984,7 @@ async function migrateLegacyData() {
     for (const expense of allExpenses) {
       if (!expense.farmId) {
         expense.farmId = newFarm.id;
+        expense.seasonId = getFirstSeasonId(newFarm.id);
         await saveExpense(expense);
       }
     }
@@ -546,83 +996,1200 @@ async function migrateLegacyData() {
 }
 
 /**
- * Mark a farm as completed
- * @param {string} farmId - The farm ID to mark as completed
+ * Turn farms saved before seasons into a parcel with one season, and give that
+ * season the farm's expenses, harvests and other records
  */
-async function markFarmCompleted(farmId) {
+async function migrateFarmSeasons() {
   try {
-    const farm = await getFarm(farmId);
-    if (!farm) {
-      throw new Error('Farm not found');
+    const records = await getRecords(STORES.FARMS);
+    const legacyFarms = records.filter(farm => !Array.isArray(farm.seasons));
+    if (legacyFarms.length === 0) {
+      return;
     }
 
-    farm.completed = true;
-    farm.completedDate = new Date().toISOString();
-    farm.updatedAt = new Date().toISOString();
+    await runTransaction([STORES.FARMS, ...SEASON_STORES, STORES.OUTBOX], 'readwrite', async transaction => {
+      for (const farm of legacyFarms) {
+        const record = toStoredFarm(farm);
+        transaction.objectStore(STORES.FARMS).put(record);
+        queueChange(transaction, STORES.FARMS, 'put', record.id, record);
+
+        for (const storeName of SEASON_STORES) {
+          const store = transaction.objectStore(storeName);
+          const items = await requestToPromise(store.index('farmId').getAll(farm.id));
+          items.filter(item => !item.seasonId).forEach(item => {
+            const stamped = { ...item, seasonId: record.currentSeasonId };
+            store.put(stamped);
+            queueChange(transaction, storeName, 'put', stamped.id, stamped);
+          });
+        }
+      }
+    });
 
-    await saveFarm(farm);
-    console.log(`[IndexedDB] Marked farm ${farmId} as completed`);
+    notifyOutboxChanged();
+    console.log(`[IndexedDB] Moved ${legacyFarms.length} farms to seasons`);
   } catch (error) {
-    console.error(`[IndexedDB] Error marking farm as completed:`, error);
-    throw error;
+    console.error('[IndexedDB] Error moving farms to seasons:', error);
   }
 }
 
 /**
- * Mark a farm as active (unmark completed)
- * @param {string} farmId - The farm ID to mark as active
+ * Queue the journal entries written before the journal was synced, once, so other devices get them too
  */
-async function markFarmActive(farmId) {
+async function migrateJournalSync() {
   try {
-    const farm = await getFarm(farmId);
-    if (!farm) {
-      throw new Error('Farm not found');
-    }
+    const queued = await runTransaction([STORES.JOURNAL, STORES.SETTINGS, STORES.OUTBOX], 'readwrite', async transaction => {
+      const settings = transaction.objectStore(STORES.SETTINGS);
+      if (await requestToPromise(settings.get('journalSyncQueued'))) {
+        return null;
+      }
+
+      const entries = await requestToPromise(transaction.objectStore(STORES.JOURNAL).getAll());
+      entries.forEach(entry => queueChange(transaction, STORES.JOURNAL, 'put', entry.id, entry));
+      settings.put(true, 'journalSyncQueued');
+      return entries.length;
+    });
+    if (!queued) {
+      return;
+    }
+
+    notifyOutboxChanged();
+    console.log(`[IndexedDB] Queued ${queued} journal entries for sync`);
+  } catch (error) {
+    console.error('[IndexedDB] Error queueing journal entries for sync:', error);
+  }
+}
+
+/**
+ * Mark a farm's current season as completed
+ * @param {string} farmId - The farm ID to mark as completed
+ */
+async function markFarmCompleted(farmId) {
+  try {
+    const farm = await updateFarm(farmId, view => {
+      view.completed = true;
+      view.completedDate = new Date().toISOString();
+      view.updatedAt = new Date().toISOString();
+    });
+    if (!farm) {
+      throw new Error('Farm not found');
+    }
+
+    console.log(`[IndexedDB] Marked farm ${farmId} as completed`);
+  } catch (error) {
+    console.error(`[IndexedDB] Error marking farm as completed:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a farm's current season as active (unmark completed)
+ * @param {string} farmId - The farm ID to mark as active
+ */
+async function markFarmActive(farmId) {
+  try {
+    const farm = await updateFarm(farmId, view => {
+      view.completed = false;
+      view.completedDate = null;
+      view.updatedAt = new Date().toISOString();
+    });
+    if (!farm) {
+      throw new Error('Farm not found');
+    }
+
+    console.log(`[IndexedDB] Marked farm ${farmId} as active`);
+  } catch (error) {
+    console.error(`[IndexedDB] Error marking farm as active:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Start the next season on a farm. The current season is marked completed if it was not already,
+ * and its budget is carried over so the new season starts with the same plan.
+ * @param {string} farmId - The farm ID
+ * @param {Object} details - { startDate, cropping, templateId } of the new season
+ * @returns {Object} The farm, viewed at its new season
+ */
+async function startFarmSeason(farmId, details) {
+  try {
+    const now = new Date().toISOString();
+    const season = {
+      id: `${farmId}_season_${Date.now()}`,
+      startDate: details.startDate,
+      cropping: details.cropping,
+      templateId: details.templateId,
+      taskCompletions: [],
+      createdAt: now
+    };
+
+    const farm = await updateFarm(farmId, view => {
+      const record = toStoredFarm(view);
+      const previous = record.seasons.find(s => s.id === record.currentSeasonId);
+      if (previous && !previous.completed) {
+        previous.completed = true;
+        previous.completedDate = now;
+      }
+      if (previous && previous.budget) {
+        season.budget = { ...previous.budget, updatedAt: now };
+      }
+
+      record.seasons.push(season);
+      record.currentSeasonId = season.id;
+      record.updatedAt = now;
+      return record;
+    });
+    if (!farm) {
+      throw new Error('Farm not found');
+    }
+
+    console.log(`[IndexedDB] Started season ${season.id} on farm ${farmId}`);
+    return farm;
+  } catch (error) {
+    console.error('[IndexedDB] Error starting farm season:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a farm's budget (see FarmBudget for the budget shape)
+ * @param {string} farmId - The farm ID
+ * @param {Object|null} budget - The budget, or null to remove it
+ */
+async function saveFarmBudget(farmId, budget) {
+  try {
+    const farm = await updateFarm(farmId, view => {
+      if (budget) {
+        view.budget = { ...budget, updatedAt: new Date().toISOString() };
+      } else {
+        delete view.budget;
+      }
+      view.updatedAt = new Date().toISOString();
+    });
+    if (!farm) {
+      throw new Error('Farm not found');
+    }
+
+    console.log(`[IndexedDB] Saved budget for farm ${farmId}`);
+    return farm;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving farm budget:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all active farms (current season not completed)
+ * @returns {Array} Array of active farm objects
+ */
+async function getActiveFarms() {
+  try {
+    const records = await getRecords(STORES.FARMS, 'status', 'active');
+    const activeFarms = records.map(record => toFarmView(record)).filter(Boolean);
+    console.log(`[IndexedDB] Retrieved ${activeFarms.length} active farms`);
+    return activeFarms;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving active farms:', error);
+    return [];
+  }
+}
+
+/**
+ * Get all completed farms (current season completed)
+ * @returns {Array} Array of completed farm objects
+ */
+async function getCompletedFarms() {
+  try {
+    const records = await getRecords(STORES.FARMS, 'status', 'completed');
+    const completedFarms = records.map(record => toFarmView(record)).filter(Boolean);
+    console.log(`[IndexedDB] Retrieved ${completedFarms.length} completed farms`);
+    return completedFarms;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving completed farms:', error);
+    return [];
+  }
+}
+
+/**
+ * Get all crop templates (built-in and user-made)
+ * @returns {Array} Array of crop template objects
+ */
+async function getAllCropTemplates() {
+  try {
+    const results = await getRecords(STORES.CROP_TEMPLATES);
+    console.log(`[IndexedDB] Retrieved ${results.length} crop templates`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving crop templates:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a single crop template by ID
+ * @param {string} templateId - The template ID
+ * @returns {Object|null} The template object or null
+ */
+async function getCropTemplate(templateId) {
+  try {
+    const result = await getRecord(STORES.CROP_TEMPLATES, templateId);
+    return result || null;
+  } catch (error) {
+    console.error(`[IndexedDB] Error retrieving crop template ${templateId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a crop template (create or update)
+ * @param {Object} template - The template object to store
+ * @returns {string} The template ID
+ */
+async function saveCropTemplate(template) {
+  try {
+    // Ensure template has an ID
+    if (!template.id) {
+      template.id = `tpl_${Date.now()}`;
+    }
+    await putRecord(STORES.CROP_TEMPLATES, template);
+
+    console.log(`[IndexedDB] Saved crop template ${template.id}`);
+    return template.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving crop template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a user-made crop template. Built-in templates cannot be deleted.
+ * @param {string} templateId - The ID of the template to delete
+ */
+async function deleteCropTemplate(templateId) {
+  try {
+    await runTransaction([STORES.CROP_TEMPLATES, STORES.OUTBOX], 'readwrite', async transaction => {
+      const store = transaction.objectStore(STORES.CROP_TEMPLATES);
+      const template = await requestToPromise(store.get(templateId));
+      if (template && template.builtIn) {
+        throw new Error('Built-in templates cannot be deleted');
+      }
+      store.delete(templateId);
+      queueChange(transaction, STORES.CROP_TEMPLATES, 'delete', templateId);
+    });
+    notifyOutboxChanged();
+
+    console.log(`[IndexedDB] Deleted crop template ${templateId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting crop template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all harvest records
+ * @returns {Array} Array of harvest objects
+ */
+async function getAllHarvests() {
+  try {
+    const results = await getRecords(STORES.HARVESTS);
+    console.log(`[IndexedDB] Retrieved ${results.length} harvest records`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving harvest records:', error);
+    return [];
+  }
+}
+
+/**
+ * Get harvest records for a specific farm
+ * @param {string} farmId - The farm ID to filter by
+ * @param {string} seasonId - Only this season's records (optional)
+ * @returns {Array} Array of harvest objects for the farm
+ */
+async function getHarvestsByFarm(farmId, seasonId = null) {
+  try {
+    const results = await getFarmRecords(STORES.HARVESTS, farmId, seasonId);
+    console.log(`[IndexedDB] Retrieved ${results.length} harvest records for farm ${farmId}`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving harvest records for farm:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update a harvest record
+ * @param {Object} record - The harvest object to store
+ * @returns {string} The record ID
+ */
+async function saveHarvest(record) {
+  try {
+    if (!record.id) {
+      record.id = `harv_${Date.now()}`;
+    }
+    await putRecord(STORES.HARVESTS, record);
+
+    console.log(`[IndexedDB] Saved harvest ${record.id}`);
+    return record.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving harvest:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a harvest record
+ * @param {string} recordId - The ID of the record to delete
+ */
+async function deleteHarvest(recordId) {
+  try {
+    await deleteRecord(STORES.HARVESTS, recordId);
+    console.log(`[IndexedDB] Deleted harvest ${recordId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting harvest:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all sale records
+ * @returns {Array} Array of sale objects
+ */
+async function getAllSales() {
+  try {
+    const results = await getRecords(STORES.SALES);
+    console.log(`[IndexedDB] Retrieved ${results.length} sale records`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving sale records:', error);
+    return [];
+  }
+}
+
+/**
+ * Get sale records for a specific farm
+ * @param {string} farmId - The farm ID to filter by
+ * @param {string} seasonId - Only this season's records (optional)
+ * @returns {Array} Array of sale objects for the farm
+ */
+async function getSalesByFarm(farmId, seasonId = null) {
+  try {
+    const results = await getFarmRecords(STORES.SALES, farmId, seasonId);
+    console.log(`[IndexedDB] Retrieved ${results.length} sale records for farm ${farmId}`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving sale records for farm:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update a sale record
+ * @param {Object} record - The sale object to store
+ * @returns {string} The record ID
+ */
+async function saveSale(record) {
+  try {
+    if (!record.id) {
+      record.id = `sale_${Date.now()}`;
+    }
+    await putRecord(STORES.SALES, record);
+
+    console.log(`[IndexedDB] Saved sale ${record.id}`);
+    return record.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving sale:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a sale record
+ * @param {string} recordId - The ID of the record to delete
+ */
+async function deleteSale(recordId) {
+  try {
+    await deleteRecord(STORES.SALES, recordId);
+    console.log(`[IndexedDB] Deleted sale ${recordId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting sale:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete all harvest and sales records for a specific farm
+ * @param {string} farmId - The farm ID
+ */
+async function deleteHarvestsAndSalesByFarm(farmId) {
+  try {
+    await deleteRecordsByFarm([STORES.HARVESTS, STORES.SALES], farmId);
+    console.log(`[IndexedDB] Deleted all harvests and sales for farm ${farmId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting harvests and sales for farm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all pest and disease scouting records
+ * @returns {Array} Array of scouting objects
+ */
+async function getAllScoutingRecords() {
+  try {
+    const results = await getRecords(STORES.SCOUTING);
+    console.log(`[IndexedDB] Retrieved ${results.length} scouting records`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving scouting records:', error);
+    return [];
+  }
+}
+
+/**
+ * Get scouting records for a specific farm
+ * @param {string} farmId - The farm ID to filter by
+ * @param {string} seasonId - Only this season's records (optional)
+ * @returns {Array} Array of scouting objects for the farm
+ */
+async function getScoutingByFarm(farmId, seasonId = null) {
+  try {
+    const results = await getFarmRecords(STORES.SCOUTING, farmId, seasonId);
+    console.log(`[IndexedDB] Retrieved ${results.length} scouting records for farm ${farmId}`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving scouting records for farm:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update a scouting record
+ * @param {Object} record - The scouting object to store
+ * @returns {string} The record ID
+ */
+async function saveScoutingRecord(record) {
+  try {
+    if (!record.id) {
+      record.id = `scout_${Date.now()}`;
+    }
+    await putRecord(STORES.SCOUTING, record);
+
+    console.log(`[IndexedDB] Saved scouting record ${record.id}`);
+    return record.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving scouting record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a scouting record
+ * @param {string} recordId - The ID of the record to delete
+ */
+async function deleteScoutingRecord(recordId) {
+  try {
+    await deleteRecord(STORES.SCOUTING, recordId);
+    console.log(`[IndexedDB] Deleted scouting record ${recordId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting scouting record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete all scouting records for a specific farm
+ * @param {string} farmId - The farm ID
+ */
+async function deleteScoutingByFarm(farmId) {
+  try {
+    await deleteRecordsByFarm([STORES.SCOUTING], farmId);
+    console.log(`[IndexedDB] Deleted all scouting records for farm ${farmId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting scouting records for farm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all water log records
+ * @returns {Array} Array of water log objects
+ */
+async function getAllWaterLogs() {
+  try {
+    const results = await getRecords(STORES.WATER_LOG);
+    console.log(`[IndexedDB] Retrieved ${results.length} water log records`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving water log records:', error);
+    return [];
+  }
+}
+
+/**
+ * Get water log records for a specific farm
+ * @param {string} farmId - The farm ID to filter by
+ * @param {string} seasonId - Only this season's records (optional)
+ * @returns {Array} Array of water log objects for the farm
+ */
+async function getWaterLogByFarm(farmId, seasonId = null) {
+  try {
+    const results = await getFarmRecords(STORES.WATER_LOG, farmId, seasonId);
+    console.log(`[IndexedDB] Retrieved ${results.length} water log records for farm ${farmId}`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving water log records for farm:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update a day in the water log; new days get an ID made from the farm and date
+ * @param {Object} record - The water log object to store
+ * @returns {string} The record ID
+ */
+async function saveWaterLog(record) {
+  try {
+    if (!record.id) {
+      record.id = `water_${record.farmId}_${record.date}`;
+    }
+    await putRecord(STORES.WATER_LOG, record);
+
+    console.log(`[IndexedDB] Saved water log record ${record.id}`);
+    return record.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving water log record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a day from the water log
+ * @param {string} recordId - The ID of the record to delete
+ */
+async function deleteWaterLog(recordId) {
+  try {
+    await deleteRecord(STORES.WATER_LOG, recordId);
+    console.log(`[IndexedDB] Deleted water log record ${recordId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting water log record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the whole water log for a specific farm
+ * @param {string} farmId - The farm ID
+ */
+async function deleteWaterLogByFarm(farmId) {
+  try {
+    await deleteRecordsByFarm([STORES.WATER_LOG], farmId);
+    console.log(`[IndexedDB] Deleted all water log records for farm ${farmId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting water log records for farm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every worker in the crew list (workers are shared by all farms)
+ * @returns {Array} Array of worker objects
+ */
+async function getAllWorkers() {
+  try {
+    const results = await getRecords(STORES.WORKERS);
+    console.log(`[IndexedDB] Retrieved ${results.length} workers`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving workers:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update a worker
+ * @param {Object} worker - The worker object to store
+ * @returns {string} The worker ID
+ */
+async function saveWorker(worker) {
+  try {
+    if (!worker.id) {
+      worker.id = `worker_${Date.now()}`;
+    }
+    await putRecord(STORES.WORKERS, worker);
+
+    console.log(`[IndexedDB] Saved worker ${worker.id}`);
+    return worker.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving worker:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a worker
+ * @param {string} workerId - The ID of the worker to delete
+ */
+async function deleteWorker(workerId) {
+  try {
+    await deleteRecord(STORES.WORKERS, workerId);
+    console.log(`[IndexedDB] Deleted worker ${workerId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting worker:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all attendance records
+ * @returns {Array} Array of attendance objects
+ */
+async function getAllAttendance() {
+  try {
+    const results = await getRecords(STORES.ATTENDANCE);
+    console.log(`[IndexedDB] Retrieved ${results.length} attendance records`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving attendance records:', error);
+    return [];
+  }
+}
+
+/**
+ * Get attendance records for a specific farm
+ * @param {string} farmId - The farm ID to filter by
+ * @param {string} seasonId - Only this season's records (optional)
+ * @returns {Array} Array of attendance objects for the farm
+ */
+async function getAttendanceByFarm(farmId, seasonId = null) {
+  try {
+    const results = await getFarmRecords(STORES.ATTENDANCE, farmId, seasonId);
+    console.log(`[IndexedDB] Retrieved ${results.length} attendance records for farm ${farmId}`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving attendance records for farm:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update an attendance record
+ * @param {Object} record - The attendance object to store
+ * @returns {string} The record ID
+ */
+async function saveAttendance(record) {
+  try {
+    if (!record.id) {
+      record.id = `att_${record.workerId}_${Date.now()}`;
+    }
+    await putRecord(STORES.ATTENDANCE, record);
+
+    console.log(`[IndexedDB] Saved attendance record ${record.id}`);
+    return record.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving attendance record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an attendance record
+ * @param {string} recordId - The ID of the record to delete
+ */
+async function deleteAttendance(recordId) {
+  try {
+    await deleteRecord(STORES.ATTENDANCE, recordId);
+    console.log(`[IndexedDB] Deleted attendance record ${recordId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting attendance record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete all attendance records for a specific farm
+ * @param {string} farmId - The farm ID
+ */
+async function deleteAttendanceByFarm(farmId) {
+  try {
+    await deleteRecordsByFarm([STORES.ATTENDANCE], farmId);
+    console.log(`[IndexedDB] Deleted all attendance records for farm ${farmId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting attendance records for farm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a payroll: save its Labor expense and mark the paid attendance records with the
+ * expense ID in one transaction, so wages are never paid twice or left without an expense
+ * @param {Object} expense - The Labor expense for the payroll
+ * @param {Array} records - Attendance records covered by the payroll
+ */
+async function savePayroll(expense, records) {
+  try {
+    const stored = normalizeRecord(STORES.EXPENSES, expense);
+    const paid = records.map(record => normalizeRecord(STORES.ATTENDANCE, { ...record, expenseId: expense.id, updatedAt: expense.updatedAt }));
+
+    await runTransaction([STORES.EXPENSES, STORES.ATTENDANCE, STORES.OUTBOX], 'readwrite', transaction => {
+      transaction.objectStore(STORES.EXPENSES).put(stored);
+      queueChange(transaction, STORES.EXPENSES, 'put', stored.id, stored);
+      const attendanceStore = transaction.objectStore(STORES.ATTENDANCE);
+      paid.forEach(record => {
+        attendanceStore.put(record);
+        queueChange(transaction, STORES.ATTENDANCE, 'put', record.id, record);
+      });
+    });
+    notifyOutboxChanged();
+
+    console.log(`[IndexedDB] Saved payroll ${expense.id} for ${paid.length} attendance records`);
+  } catch (error) {
+    console.error('[IndexedDB] Error saving payroll:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every item in the equipment registry (shared by all farms)
+ * @returns {Array} Array of equipment objects
+ */
+async function getAllEquipment() {
+  try {
+    const results = await getRecords(STORES.EQUIPMENT);
+    console.log(`[IndexedDB] Retrieved ${results.length} equipment items`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving equipment:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update an equipment item
+ * @param {Object} item - The equipment object to store
+ * @returns {string} The equipment ID
+ */
+async function saveEquipment(item) {
+  try {
+    if (!item.id) {
+      item.id = `equip_${Date.now()}`;
+    }
+    await putRecord(STORES.EQUIPMENT, item);
+
+    console.log(`[IndexedDB] Saved equipment ${item.id}`);
+    return item.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving equipment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an equipment item
+ * @param {string} itemId - The ID of the equipment to delete
+ */
+async function deleteEquipment(itemId) {
+  try {
+    await deleteRecord(STORES.EQUIPMENT, itemId);
+    console.log(`[IndexedDB] Deleted equipment ${itemId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting equipment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all equipment usage records
+ * @returns {Array} Array of usage objects
+ */
+async function getAllEquipmentUsage() {
+  try {
+    const results = await getRecords(STORES.EQUIPMENT_USAGE);
+    console.log(`[IndexedDB] Retrieved ${results.length} equipment usage records`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving equipment usage:', error);
+    return [];
+  }
+}
+
+/**
+ * Get equipment usage records for a specific farm
+ * @param {string} farmId - The farm ID to filter by
+ * @param {string} seasonId - Only this season's records (optional)
+ * @returns {Array} Array of usage objects for the farm
+ */
+async function getEquipmentUsageByFarm(farmId, seasonId = null) {
+  try {
+    const results = await getFarmRecords(STORES.EQUIPMENT_USAGE, farmId, seasonId);
+    console.log(`[IndexedDB] Retrieved ${results.length} equipment usage records for farm ${farmId}`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving equipment usage for farm:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update an equipment usage record. A rented item's usage is saved together with
+ * its rental expense, and a rental expense the record no longer needs is removed with it.
+ * @param {Object} record - The usage object to store
+ * @param {Object} expense - The rental expense for the usage, or null for owned equipment.
+ *   Left out, the record's expenseId is kept as it is (used when restoring a backup).
+ * @returns {string} The record ID
+ */
+async function saveEquipmentUsage(record, expense) {
+  try {
+    if (!record.id) {
+      record.id = `use_${Date.now()}`;
+    }
+
+    await runTransaction([STORES.EQUIPMENT_USAGE, STORES.EXPENSES, STORES.OUTBOX], 'readwrite', async transaction => {
+      const usageStore = transaction.objectStore(STORES.EQUIPMENT_USAGE);
+      const expenseStore = transaction.objectStore(STORES.EXPENSES);
+
+      if (expense !== undefined) {
+        const previous = await requestToPromise(usageStore.get(record.id));
+        if (previous && previous.expenseId && (!expense || previous.expenseId !== expense.id)) {
+          expenseStore.delete(previous.expenseId);
+          queueChange(transaction, STORES.EXPENSES, 'delete', previous.expenseId);
+        }
+
+        record.expenseId = expense ? expense.id : null;
+        if (expense) {
+          const storedExpense = normalizeRecord(STORES.EXPENSES, expense);
+          expenseStore.put(storedExpense);
+          queueChange(transaction, STORES.EXPENSES, 'put', storedExpense.id, storedExpense);
+        }
+      }
 
-    farm.completed = false;
-    farm.completedDate = null;
-    farm.updatedAt = new Date().toISOString();
+      const stored = normalizeRecord(STORES.EQUIPMENT_USAGE, record);
+      usageStore.put(stored);
+      queueChange(transaction, STORES.EQUIPMENT_USAGE, 'put', stored.id, stored);
+    });
+    notifyOutboxChanged();
 
-    await saveFarm(farm);
-    console.log(`[IndexedDB] Marked farm ${farmId} as active`);
+    console.log(`[IndexedDB] Saved equipment usage ${record.id}`);
+    return record.id;
   } catch (error) {
-    console.error(`[IndexedDB] Error marking farm as active:`, error);
+    console.error('[IndexedDB] Error saving equipment usage:', error);
     throw error;
   }
 }
 
 /**
- * Get all active farms (not completed)
- * @returns {Array} Array of active farm objects
+ * Delete equipment usage records and their rental expenses inside the caller's transaction
  */
-async function getActiveFarms() {
+function deleteUsageRecords(transaction, records) {
+  const usageStore = transaction.objectStore(STORES.EQUIPMENT_USAGE);
+  records.forEach(record => {
+    if (record.expenseId) {
+      transaction.objectStore(STORES.EXPENSES).delete(record.expenseId);
+      queueChange(transaction, STORES.EXPENSES, 'delete', record.expenseId);
+    }
+    usageStore.delete(record.id);
+    queueChange(transaction, STORES.EQUIPMENT_USAGE, 'delete', record.id);
+  });
+}
+
+/**
+ * Delete an equipment usage record and its rental expense
+ * @param {string} recordId - The ID of the record to delete
+ */
+async function deleteEquipmentUsage(recordId) {
   try {
-    const allFarms = await getAllFarms();
-    const activeFarms = allFarms.filter(farm => !farm.completed);
-    console.log(`[IndexedDB] Retrieved ${activeFarms.length} active farms`);
-    return activeFarms;
+    await runTransaction([STORES.EQUIPMENT_USAGE, STORES.EXPENSES, STORES.OUTBOX], 'readwrite', async transaction => {
+      const record = await requestToPromise(transaction.objectStore(STORES.EQUIPMENT_USAGE).get(recordId));
+      deleteUsageRecords(transaction, [record || { id: recordId }]);
+    });
+    notifyOutboxChanged();
+
+    console.log(`[IndexedDB] Deleted equipment usage ${recordId}`);
   } catch (error) {
-    console.error('[IndexedDB] Error retrieving active farms:', error);
+    console.error('[IndexedDB] Error deleting equipment usage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete all equipment usage records (and their rental expenses) for a specific farm
+ * @param {string} farmId - The farm ID
+ */
+async function deleteEquipmentUsageByFarm(farmId) {
+  try {
+    await runTransaction([STORES.EQUIPMENT_USAGE, STORES.EXPENSES, STORES.OUTBOX], 'readwrite', async transaction => {
+      const records = await requestToPromise(transaction.objectStore(STORES.EQUIPMENT_USAGE).index('farmId').getAll(farmId));
+      deleteUsageRecords(transaction, records);
+    });
+    notifyOutboxChanged();
+
+    console.log(`[IndexedDB] Deleted all equipment usage for farm ${farmId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting equipment usage for farm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the expenses the app works out itself (such as equipment depreciation) with a new set.
+ * Expenses whose ID starts with the prefix and are not in the set are deleted; only changed
+ * expenses are written, so an unchanged set queues nothing for sync.
+ * @param {string} idPrefix - ID prefix shared by every expense in the set
+ * @param {Array} expenses - The expenses that should exist now
+ * @returns {Object} { saved, deleted } counts
+ */
+async function syncDerivedExpenses(idPrefix, expenses) {
+  try {
+    const stats = await runTransaction([STORES.EXPENSES, STORES.OUTBOX], 'readwrite', async transaction => {
+      const store = transaction.objectStore(STORES.EXPENSES);
+      const counts = { saved: 0, deleted: 0 };
+      // Only the expenses with the prefix: every ID from the prefix up to the prefix followed by the last character
+      const current = await requestToPromise(store.getAll(IDBKeyRange.bound(idPrefix, `${idPrefix}\uffff`)));
+      const existing = new Map(current.map(expense => [expense.id, expense]));
+      const sameExpense = (a, b) => ['farmId', 'seasonId', 'name', 'category', 'date', 'amount', 'quantity', 'unit']
+        .every(field => a[field] === b[field]);
+
+      expenses.forEach(expense => {
+        const previous = existing.get(expense.id);
+        existing.delete(expense.id);
+        if (previous && sameExpense(previous, expense)) return;
+
+        const stored = normalizeRecord(STORES.EXPENSES, expense);
+        store.put(stored);
+        queueChange(transaction, STORES.EXPENSES, 'put', stored.id, stored);
+        counts.saved++;
+      });
+      existing.forEach((expense, id) => {
+        store.delete(id);
+        queueChange(transaction, STORES.EXPENSES, 'delete', id);
+        counts.deleted++;
+      });
+      return counts;
+    });
+    if (stats.saved || stats.deleted) {
+      notifyOutboxChanged();
+    }
+
+    console.log(`[IndexedDB] Updated ${idPrefix} expenses: ${stats.saved} saved, ${stats.deleted} deleted`);
+    return stats;
+  } catch (error) {
+    console.error('[IndexedDB] Error updating derived expenses:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every entry in the notification ledger, newest first.
+ * Entries are per device and are not synced or backed up.
+ * @returns {Array} [{ id, farmId, farmName, stageIndex, taskIndex, text, dueDate, urgency, status, shownAt, ... }]
+ */
+async function getAllNotifications() {
+  try {
+    const entries = await getRecords(STORES.NOTIFICATIONS);
+    return entries.sort((a, b) => (b.shownAt || '').localeCompare(a.shownAt || ''));
+  } catch (error) {
+    console.error('[IndexedDB] Error getting notifications:', error);
     return [];
   }
 }
 
 /**
- * Get all completed farms
- * @returns {Array} Array of completed farm objects
+ * Save a notification ledger entry
+ * @param {Object} entry - The entry, keyed by `id` (farm, task and due date)
  */
-async function getCompletedFarms() {
+async function saveNotification(entry) {
   try {
-    const allFarms = await getAllFarms();
-    const completedFarms = allFarms.filter(farm => farm.completed);
-    console.log(`[IndexedDB] Retrieved ${completedFarms.length} completed farms`);
-    return completedFarms;
+    await putRecord(STORES.NOTIFICATIONS, entry);
+    console.log(`[IndexedDB] Saved notification ${entry.id}`);
   } catch (error) {
-    console.error('[IndexedDB] Error retrieving completed farms:', error);
+    console.error('[IndexedDB] Error saving notification:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the notification ledger entries of a farm
+ * @param {string} farmId - The farm ID
+ */
+async function deleteNotificationsByFarm(farmId) {
+  try {
+    await deleteRecordsByFarm([STORES.NOTIFICATIONS], farmId);
+    console.log(`[IndexedDB] Deleted notifications for farm ${farmId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting notifications for farm:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the journal entries of a farm, newest first.
+ * Entries are synced to other devices; their photos stay on this device and in its backups.
+ * @param {string} farmId - The farm ID
+ * @param {string} seasonId - Only this season's entries (optional)
+ * @returns {Array} [{ id, farmId, seasonId, date, text, stageIndex, taskIndex, photoIds, createdAt, updatedAt }]
+ */
+async function getJournalEntriesByFarm(farmId, seasonId = null) {
+  try {
+    const entries = await getFarmRecords(STORES.JOURNAL, farmId, seasonId);
+    console.log(`[IndexedDB] Retrieved ${entries.length} journal entries for farm ${farmId}`);
+    return entries.sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || '').localeCompare(a.createdAt || ''));
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving journal entries for farm:', error);
+    return [];
+  }
+}
+
+/**
+ * Get one page of a farm's journal, newest first (see getFarmRecordsPage for the options)
+ * @param {string} farmId - The farm ID
+ * @param {Object} options - { seasonId?, from?, to?, limit?, oldestFirst?, after? }
+ * @returns {Object} { records, nextCursor }
+ */
+async function getJournalPage(farmId, options = {}) {
+  try {
+    return await getFarmRecordsPage(STORES.JOURNAL, farmId, options);
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving a page of journal entries:', error);
+    return { records: [], nextCursor: null };
+  }
+}
+
+/**
+ * Get every journal entry
+ * @returns {Array} Array of journal entries
+ */
+async function getAllJournalEntries() {
+  try {
+    const results = await getRecords(STORES.JOURNAL);
+    console.log(`[IndexedDB] Retrieved ${results.length} journal entries`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving journal entries:', error);
+    return [];
+  }
+}
+
+/**
+ * Add or update a journal entry together with its photo changes, in one transaction
+ * @param {Object} entry - The journal entry to store
+ * @param {Array} newPhotos - Photos to attach: [{ blob, width, height }]
+ * @param {Array} removedPhotoIds - IDs of attached photos to delete
+ * @returns {string} The entry ID
+ */
+async function saveJournalEntry(entry, newPhotos = [], removedPhotoIds = []) {
+  try {
+    const now = new Date().toISOString();
+
+    if (!entry.id) {
+      entry.id = `jrnl_${Date.now()}`;
+    }
+    entry.createdAt = entry.createdAt || now;
+    entry.updatedAt = now;
+
+    const photos = newPhotos.map((photo, i) => ({
+      id: `photo_${Date.now()}_${i}`,
+      entryId: entry.id,
+      farmId: entry.farmId,
+      type: photo.blob.type || 'image/jpeg',
+      width: photo.width || null,
+      height: photo.height || null,
+      blob: photo.blob,
+      createdAt: now
+    }));
+    entry.photoIds = (entry.photoIds || [])
+      .filter(id => !removedPhotoIds.includes(id))
+      .concat(photos.map(photo => photo.id));
+
+    const stored = normalizeRecord(STORES.JOURNAL, entry);
+    await runTransaction([STORES.JOURNAL, STORES.JOURNAL_PHOTOS, STORES.OUTBOX], 'readwrite', transaction => {
+      const photosStore = transaction.objectStore(STORES.JOURNAL_PHOTOS);
+      removedPhotoIds.forEach(id => photosStore.delete(id));
+      photos.forEach(photo => photosStore.put(photo));
+      transaction.objectStore(STORES.JOURNAL).put(stored);
+      queueChange(transaction, STORES.JOURNAL, 'put', stored.id, stored);
+    });
+    notifyOutboxChanged();
+
+    console.log(`[IndexedDB] Saved journal entry ${entry.id} (${photos.length} new photos)`);
+    return entry.id;
+  } catch (error) {
+    console.error('[IndexedDB] Error saving journal entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete the photos of a journal entry inside the caller's transaction
+ */
+function deleteEntryPhotos(transaction, entryId) {
+  const photosStore = transaction.objectStore(STORES.JOURNAL_PHOTOS);
+  photosStore.index('entryId').getAllKeys(entryId).onsuccess = (event) => {
+    event.target.result.forEach(id => photosStore.delete(id));
+  };
+}
+
+/**
+ * Delete a journal entry and its photos
+ * @param {string} entryId - The ID of the entry to delete
+ */
+async function deleteJournalEntry(entryId) {
+  try {
+    await runTransaction([STORES.JOURNAL, STORES.JOURNAL_PHOTOS, STORES.OUTBOX], 'readwrite', transaction => {
+      transaction.objectStore(STORES.JOURNAL).delete(entryId);
+      queueChange(transaction, STORES.JOURNAL, 'delete', entryId);
+      deleteEntryPhotos(transaction, entryId);
+    });
+    notifyOutboxChanged();
+
+    console.log(`[IndexedDB] Deleted journal entry ${entryId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting journal entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the photos attached to a journal entry
+ * @param {string} entryId - The journal entry ID
+ * @returns {Array} [{ id, entryId, farmId, type, width, height, blob, createdAt }]
+ */
+async function getJournalPhotos(entryId) {
+  try {
+    return await getRecords(STORES.JOURNAL_PHOTOS, 'entryId', entryId);
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving journal photos:', error);
+    return [];
+  }
+}
+
+/**
+ * Get every journal photo (for backups)
+ * @returns {Array} Photo records with their Blobs
+ */
+async function getAllJournalPhotos() {
+  try {
+    const results = await getRecords(STORES.JOURNAL_PHOTOS);
+    console.log(`[IndexedDB] Retrieved ${results.length} journal photos`);
+    return results;
+  } catch (error) {
+    console.error('[IndexedDB] Error retrieving journal photos:', error);
     return [];
   }
 }
 
+/**
+ * Delete every journal entry and photo of a farm
+ * @param {string} farmId - The farm ID
+ */
+async function deleteJournalByFarm(farmId) {
+  try {
+    await deleteRecordsByFarm([STORES.JOURNAL, STORES.JOURNAL_PHOTOS], farmId);
+    console.log(`[IndexedDB] Deleted journal for farm ${farmId}`);
+  } catch (error) {
+    console.error('[IndexedDB] Error deleting journal for farm:', error);
+    throw error;
+  }
+}
+
 /**
  * Determine which store to use based on the key
  * @param {string} key - The key being accessed
@@ -645,31 +2212,18 @@ function getStoreName(key) {
  * @param {number} taskIndex - The task index within the stage
  * @param {string} scheduledDate - The original scheduled date (ISO string)
  * @param {string} completedDate - The actual completion date (ISO string)
+ * @param {Array} inputsUsed - Optional fertilizer/pesticide used: [{ kind, quantity, unit }]
  */
-async function saveTaskCompletion(farmId, stageIndex, taskIndex, scheduledDate, completedDate) {
+async function saveTaskCompletion(farmId, stageIndex, taskIndex, scheduledDate, completedDate, inputsUsed = null) {
   try {
-    const farm = await getFarm(farmId);
-    if (!farm) {
-      throw new Error('Farm not found');
-    }
-
-    // Initialize taskCompletions array if it doesn't exist
-    if (!farm.taskCompletions) {
-      farm.taskCompletions = [];
+    // Calculate delay in days, between local midnights (rounded, as a day may be 23 or 25 hours long)
+    const scheduled = RiceStages.parseDate(scheduledDate);
+    const completed = RiceStages.parseDate(completedDate);
+    const delayDays = Math.round((completed - scheduled) / (1000 * 60 * 60 * 24));
+    if (!Number.isFinite(delayDays)) {
+      throw new Error(`Invalid task dates: ${scheduledDate}, ${completedDate}`);
     }
 
-    // Calculate delay in days
-    const scheduled = new Date(scheduledDate);
-    const completed = new Date(completedDate);
-    scheduled.setHours(0, 0, 0, 0);
-    completed.setHours(0, 0, 0, 0);
-    const delayDays = Math.floor((completed - scheduled) / (1000 * 60 * 60 * 24));
-
-    // Check if completion already exists
-    const existingIndex = farm.taskCompletions.findIndex(
-      tc => tc.stageIndex === stageIndex && tc.taskIndex === taskIndex
-    );
-
     const completion = {
       stageIndex,
       taskIndex,
@@ -678,18 +2232,22 @@ async function saveTaskCompletion(farmId, stageIndex, taskIndex, scheduledDate,
       delayDays,
       timestamp: new Date().toISOString()
     };
+    if (inputsUsed && inputsUsed.length > 0) {
+      completion.inputsUsed = inputsUsed;
+    }
 
-    if (existingIndex >= 0) {
-      // Update existing completion
-      farm.taskCompletions[existingIndex] = completion;
-    } else {
-      // Add new completion
-      farm.taskCompletions.push(completion);
+    const farm = await updateFarm(farmId, view => {
+      // Replace the task's earlier completion, if any
+      view.taskCompletions = view.taskCompletions.filter(
+        tc => !(tc.stageIndex === stageIndex && tc.taskIndex === taskIndex)
+      );
+      view.taskCompletions.push(completion);
+      view.updatedAt = new Date().toISOString();
+    });
+    if (!farm) {
+      throw new Error('Farm not found');
     }
 
-    farm.updatedAt = new Date().toISOString();
-    await saveFarm(farm);
-    
     console.log(`[IndexedDB] Saved task completion for farm ${farmId}, stage ${stageIndex}, task ${taskIndex}`);
     return completion;
   } catch (error) {
@@ -724,18 +2282,13 @@ async function getTaskCompletions(farmId) {
  */
 async function deleteTaskCompletion(farmId, stageIndex, taskIndex) {
   try {
-    const farm = await getFarm(farmId);
-    if (!farm || !farm.taskCompletions) {
-      return;
-    }
-
-    farm.taskCompletions = farm.taskCompletions.filter(
-      tc => !(tc.stageIndex === stageIndex && tc.taskIndex === taskIndex)
-    );
+    await updateFarm(farmId, view => {
+      view.taskCompletions = view.taskCompletions.filter(
+        tc => !(tc.stageIndex === stageIndex && tc.taskIndex === taskIndex)
+      );
+      view.updatedAt = new Date().toISOString();
+    });
 
-    farm.updatedAt = new Date().toISOString();
-    await saveFarm(farm);
-    
     console.log(`[IndexedDB] Deleted task completion for farm ${farmId}, stage ${stageIndex}, task ${taskIndex}`);
   } catch (error) {
     console.error('[IndexedDB] Error deleting task completion:', error);
@@ -743,25 +2296,77 @@ async function deleteTaskCompletion(farmId, stageIndex, taskIndex) {
   }
 }
 
+// Backup collections and the stores they are written to.
+// `fromBackup` turns a backup record into the stored record when they differ.
+const BACKUP_COLLECTIONS = [
+  { key: 'farms', store: STORES.FARMS },
+  { key: 'expenses', store: STORES.EXPENSES },
+  { key: 'harvests', store: STORES.HARVESTS },
+  { key: 'sales', store: STORES.SALES },
+  { key: 'cropTemplates', store: STORES.CROP_TEMPLATES },
+  { key: 'scouting', store: STORES.SCOUTING },
+  { key: 'waterLog', store: STORES.WATER_LOG },
+  { key: 'workers', store: STORES.WORKERS },
+  { key: 'attendance', store: STORES.ATTENDANCE },
+  { key: 'equipment', store: STORES.EQUIPMENT },
+  { key: 'equipmentUsage', store: STORES.EQUIPMENT_USAGE },
+  { key: 'journal', store: STORES.JOURNAL },
+  { key: 'journalPhotos', store: STORES.JOURNAL_PHOTOS, fromBackup: photo => BackupFormat.decodePhoto(photo) }
+];
+
+const BACKUP_STORES = BACKUP_COLLECTIONS.map(collection => collection.store);
+
+/**
+ * A backup record as it is kept in its store
+ */
+function fromBackupRecord({ store, fromBackup }, record) {
+  return normalizeRecord(store, fromBackup ? fromBackup(record) : record);
+}
+
 /**
- * Export all data as JSON for backup
+ * Export all data for backup, read in one transaction so the backup is a consistent snapshot.
+ * Journal photos keep their Blobs here; BackupFormat.toBackupBlob() writes them into the backup file.
  * @returns {Object} All data including farms and expenses
  */
 async function exportAllData() {
   try {
-    const farms = await getAllFarms();
-    const expenses = await getAllExpenses();
-    const selectedFarmId = await getSelectedFarmId();
-    
+    const data = await runTransaction([...BACKUP_STORES, STORES.SETTINGS], 'readonly', async transaction => {
+      const collections = {};
+      for (const { key, store } of BACKUP_COLLECTIONS) {
+        collections[key] = await requestToPromise(transaction.objectStore(store).getAll());
+      }
+      collections.selectedFarmId = await requestToPromise(transaction.objectStore(STORES.SETTINGS).get('selectedFarmId'));
+      return collections;
+    });
+
+    // The farm status only feeds an index, so it is left out of the backup
+    const farms = data.farms
+      .map(farm => toStoredFarm(farm))
+      .filter(farm => farm.seasons.length > 0)
+      .map(({ status, ...farm }) => farm);
+    // Built-in templates ship with the app, so only user-made ones are backed up
+    const cropTemplates = data.cropTemplates.filter(template => !template.builtIn);
+
     const exportData = {
-      version: '1.0',
+      version: BackupFormat.CURRENT_VERSION,
       exportDate: new Date().toISOString(),
-      selectedFarmId: selectedFarmId,
+      selectedFarmId: data.selectedFarmId || null,
       farms: farms,
-      expenses: expenses
+      expenses: data.expenses,
+      cropTemplates: cropTemplates,
+      harvests: data.harvests,
+      sales: data.sales,
+      scouting: data.scouting,
+      waterLog: data.waterLog,
+      workers: data.workers,
+      attendance: data.attendance,
+      equipment: data.equipment,
+      equipmentUsage: data.equipmentUsage,
+      journal: data.journal,
+      journalPhotos: data.journalPhotos
     };
-    
-    console.log(`[IndexedDB] Exported ${farms.length} farms and ${expenses.length} expenses`);
+
+    console.log(`[IndexedDB] Exported ${farms.length} farms, ${data.expenses.length} expenses, ${data.harvests.length} harvests, ${data.sales.length} sales, ${data.scouting.length} scouting records, ${data.waterLog.length} water log days, ${data.attendance.length} attendance records, ${data.equipmentUsage.length} equipment usage records and ${data.journal.length} journal entries (${data.journalPhotos.length} photos)`);
     return exportData;
   } catch (error) {
     console.error('[IndexedDB] Error exporting data:', error);
@@ -769,62 +2374,136 @@ async function exportAllData() {
   }
 }
 
+/**
+ * Last-modified time of a record, used to pick the newer copy when merging.
+ * Records without any timestamp count as oldest.
+ * @param {Object} record - A farm, expense or other stored record
+ * @returns {number} Milliseconds since epoch, or 0
+ */
+function getRecordTimestamp(record) {
+  const value = record.updatedAt || record.timestamp || record.createdAt;
+  const time = value ? new Date(value).getTime() : 0;
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Sort a prepared backup's records into add, update and skip against the stores,
+ * reading them inside the caller's transaction
+ * @returns {Object} Per collection: { add: [], update: [], skip: [] }
+ */
+async function planImport(transaction, data) {
+  const plan = {};
+
+  for (const { key, store } of BACKUP_COLLECTIONS) {
+    const incoming = Array.isArray(data[key]) ? data[key] : [];
+    const existing = await requestToPromise(transaction.objectStore(store).getAll());
+    const existingById = new Map(existing.map(record => [record.id, record]));
+
+    plan[key] = { add: [], update: [], skip: [] };
+    incoming.forEach(record => {
+      const current = existingById.get(record.id);
+      if (!current) {
+        plan[key].add.push(record);
+      } else if (current.builtIn) {
+        // Built-in crop templates always come from the app itself
+        plan[key].skip.push(record);
+      } else if (getRecordTimestamp(record) > getRecordTimestamp(current)) {
+        plan[key].update.push(record);
+      } else {
+        plan[key].skip.push(record);
+      }
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Work out what a merge import would do without writing anything.
+ * Records are matched by `id`; a matching record is updated only when the
+ * backup copy is newer by updatedAt/timestamp, otherwise it is skipped.
+ * Older backups are upgraded first; an invalid backup throws (see BackupFormat.prepareBackup).
+ * @param {Object} data - The backup data
+ * @returns {Object} Per collection: { add: [], update: [], skip: [] }
+ */
+async function previewImport(data) {
+  try {
+    data = BackupFormat.prepareBackup(data);
+    return await runTransaction(BACKUP_STORES, 'readonly', transaction => planImport(transaction, data));
+  } catch (error) {
+    console.error('[IndexedDB] Error previewing import:', error);
+    throw error;
+  }
+}
+
 /**
  * Import data from JSON backup
- * @param {Object} data - The backup data to import
+ * @param {Object} data - The backup data to import. Older versions are upgraded
+ *   first, and the whole import is rejected before anything is written if the
+ *   backup fails validation (the thrown error carries `validationErrors`).
+ * @param {Object} options - { mode: 'replace' | 'merge' }. Replace (the default)
+ *   clears farms, expenses, harvests, sales, scouting, the water log, attendance, equipment usage and the journal first; merge keeps this device's
+ *   records and only adds missing ones or updates older ones. Either way the import
+ *   is written in one transaction, so a failed import leaves the data as it was.
+ *   Imported records are queued for sync; records a replace clears are not deleted
+ *   on other synced devices.
  * @returns {Object} Import statistics
  */
-async function importAllData(data) {
-  try {
-    if (!data || !data.version) {
-      throw new Error('Invalid backup file format');
-    }
-    
-    const db = await getDB();
-    
-    // Clear existing data
-    const clearTransaction = db.transaction([STORES.FARMS, STORES.EXPENSES], 'readwrite');
-    const farmsStore = clearTransaction.objectStore(STORES.FARMS);
-    const expensesStore = clearTransaction.objectStore(STORES.EXPENSES);
-    
-    await Promise.all([
-      new Promise((resolve, reject) => {
-        const request = farmsStore.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      }),
-      new Promise((resolve, reject) => {
-        const request = expensesStore.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-      })
-    ]);
-    
-    // Import farms
-    if (data.farms && Array.isArray(data.farms)) {
-      for (const farm of data.farms) {
-        await saveFarm(farm);
-      }
-    }
-    
-    // Import expenses
-    if (data.expenses && Array.isArray(data.expenses)) {
-      for (const expense of data.expenses) {
-        await saveExpense(expense);
-      }
-    }
-    
-    // Restore selected farm
-    if (data.selectedFarmId) {
-      await setSelectedFarmId(data.selectedFarmId);
+async function importAllData(data, options = {}) {
+  const mode = options.mode || 'replace';
+
+  try {
+    data = BackupFormat.prepareBackup(data);
+
+    if (mode === 'merge') {
+      return await mergeAllData(data);
     }
-    
+
+    // Photos come back from the backup's base64 text as Blobs before the transaction starts,
+    // since it would commit early while waiting on anything else
+    const collections = BACKUP_COLLECTIONS.map(collection => ({
+      store: collection.store,
+      records: (Array.isArray(data[collection.key]) ? data[collection.key] : []).map(record => fromBackupRecord(collection, record))
+    }));
+
+    // The crew, equipment registry and user-made crop templates are kept alongside the backup's
+    const clearStores = [STORES.FARMS, STORES.EXPENSES, STORES.HARVESTS, STORES.SALES, STORES.SCOUTING, STORES.WATER_LOG, STORES.ATTENDANCE, STORES.EQUIPMENT_USAGE, STORES.JOURNAL, STORES.JOURNAL_PHOTOS];
+
+    await runTransaction([...BACKUP_STORES, STORES.SETTINGS, STORES.OUTBOX], 'readwrite', transaction => {
+      // Clear existing data on this device only: restoring a backup must not delete
+      // records on other synced devices, so no deletes are queued
+      clearStores.forEach(storeName => transaction.objectStore(storeName).clear());
+
+      collections.forEach(({ store, records }) => {
+        const objectStore = transaction.objectStore(store);
+        records.forEach(record => {
+          objectStore.put(record);
+          queueChange(transaction, store, 'put', record.id, record);
+        });
+      });
+
+      // Restore selected farm
+      if (data.selectedFarmId) {
+        transaction.objectStore(STORES.SETTINGS).put(data.selectedFarmId, 'selectedFarmId');
+      }
+    });
+    notifyOutboxChanged();
+
     const stats = {
+      mode,
       farmsImported: data.farms?.length || 0,
-      expensesImported: data.expenses?.length || 0
+      expensesImported: data.expenses?.length || 0,
+      harvestsImported: data.harvests?.length || 0,
+      salesImported: data.sales?.length || 0,
+      scoutingImported: data.scouting?.length || 0,
+      waterLogImported: data.waterLog?.length || 0,
+      workersImported: data.workers?.length || 0,
+      attendanceImported: data.attendance?.length || 0,
+      equipmentUsageImported: data.equipmentUsage?.length || 0,
+      journalImported: data.journal?.length || 0
     };
-    
-    console.log(`[IndexedDB] Imported ${stats.farmsImported} farms and ${stats.expensesImported} expenses`);
+
+    console.log(`[IndexedDB] Imported ${stats.farmsImported} farms, ${stats.expensesImported} expenses, ${stats.harvestsImported} harvests and ${stats.salesImported} sales`);
     return stats;
   } catch (error) {
     console.error('[IndexedDB] Error importing data:', error);
@@ -832,6 +2511,174 @@ async function importAllData(data) {
   }
 }
 
+/**
+ * Merge a prepared backup into the existing data (see previewImport for the rules).
+ * The plan is made and written in one transaction, so nothing can change in between
+ * and a failed merge leaves nothing behind.
+ * @param {Object} data - The backup data, already upgraded and validated
+ * @returns {Object} Import statistics including added/updated/skipped counts
+ */
+async function mergeAllData(data) {
+  // Photos are decoded up front, as the transaction cannot wait on anything but its own requests
+  const decoded = new Map(BACKUP_COLLECTIONS.map(collection => [
+    collection.key,
+    new Map((Array.isArray(data[collection.key]) ? data[collection.key] : []).map(record => [record, fromBackupRecord(collection, record)]))
+  ]));
+
+  const plan = await runTransaction([...BACKUP_STORES, STORES.SETTINGS, STORES.OUTBOX], 'readwrite', async transaction => {
+    const importPlan = await planImport(transaction, data);
+
+    BACKUP_COLLECTIONS.forEach(({ key, store }) => {
+      const objectStore = transaction.objectStore(store);
+      [...importPlan[key].add, ...importPlan[key].update].forEach(record => {
+        const stored = decoded.get(key).get(record);
+        objectStore.put(stored);
+        queueChange(transaction, store, 'put', stored.id, stored);
+      });
+    });
+
+    // Keep this device's selected farm; only take the backup's when none is selected
+    const settings = transaction.objectStore(STORES.SETTINGS);
+    if (data.selectedFarmId && !(await requestToPromise(settings.get('selectedFarmId')))) {
+      settings.put(data.selectedFarmId, 'selectedFarmId');
+    }
+    return importPlan;
+  });
+  notifyOutboxChanged();
+
+  const stats = { mode: 'merge', added: 0, updated: 0, skipped: 0 };
+  BACKUP_COLLECTIONS.forEach(({ key }) => {
+    stats[key] = {
+      added: plan[key].add.length,
+      updated: plan[key].update.length,
+      skipped: plan[key].skip.length
+    };
+    stats.added += plan[key].add.length;
+    stats.updated += plan[key].update.length;
+    stats.skipped += plan[key].skip.length;
+  });
+
+  console.log(`[IndexedDB] Merged backup: ${stats.added} added, ${stats.updated} updated, ${stats.skipped} skipped`);
+  return stats;
+}
+
+/**
+ * Get a value from the settings store
+ * @param {string} key - The setting name
+ * @returns {*} The stored value or null
+ */
+async function getSetting(key) {
+  try {
+    const result = await getRecord(STORES.SETTINGS, key);
+    return result === undefined ? null : result;
+  } catch (error) {
+    console.error(`[IndexedDB] Error getting setting ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save a value in the settings store
+ * @param {string} key - The setting name
+ * @param {*} value - The value to store
+ */
+async function setSetting(key, value) {
+  try {
+    await runTransaction([STORES.SETTINGS], 'readwrite', transaction => {
+      transaction.objectStore(STORES.SETTINGS).put(value, key);
+    });
+  } catch (error) {
+    console.error(`[IndexedDB] Error saving setting ${key}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get all changes waiting in the sync outbox, oldest first
+ * @returns {Array} Outbox entries: { seq, store, op, id, record, changedAt }
+ */
+async function getOutbox() {
+  try {
+    return await getRecords(STORES.OUTBOX);
+  } catch (error) {
+    console.error('[IndexedDB] Error reading outbox:', error);
+    return [];
+  }
+}
+
+/**
+ * Remove sent changes from the outbox
+ * @param {Array} seqs - Outbox sequence numbers to remove
+ */
+async function removeOutboxEntries(seqs) {
+  try {
+    await runTransaction([STORES.OUTBOX], 'readwrite', transaction => {
+      const store = transaction.objectStore(STORES.OUTBOX);
+      seqs.forEach(seq => store.delete(seq));
+    });
+
+    console.log(`[IndexedDB] Removed ${seqs.length} outbox entries`);
+  } catch (error) {
+    console.error('[IndexedDB] Error removing outbox entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply changes pulled from the sync server without queueing them again.
+ * A change is skipped when a pending local change to the same record wins
+ * under FarmSync's conflict rule (`isNewer`); otherwise it is written and any
+ * losing local changes to that record are dropped from the outbox.
+ * The outbox is read in the same transaction, so a change queued meanwhile is never lost.
+ * @param {Array} changes - [{ store, op, id, record, changedAt, deviceId }]
+ * @param {Function} isNewer - (a, b) => true when change a wins over change b
+ * @param {string} deviceId - This device's ID, used for local outbox entries
+ * @returns {Object} { applied, skipped }
+ */
+async function applyRemoteChanges(changes, isNewer, deviceId) {
+  try {
+    const stats = await runTransaction([...SYNCED_STORES, STORES.JOURNAL_PHOTOS, STORES.OUTBOX], 'readwrite', async transaction => {
+      const counts = { applied: 0, skipped: 0 };
+      const outbox = transaction.objectStore(STORES.OUTBOX);
+      const pending = await requestToPromise(outbox.getAll());
+
+      changes.forEach(change => {
+        if (!SYNCED_STORES.includes(change.store)) {
+          counts.skipped++;
+          return;
+        }
+
+        const local = pending.filter(entry => entry.store === change.store && entry.id === change.id);
+        if (local.some(entry => isNewer({ ...entry, deviceId }, change))) {
+          counts.skipped++;
+          return;
+        }
+
+        const store = transaction.objectStore(change.store);
+        if (change.op === 'delete') {
+          store.delete(change.id);
+          // Photos this phone took for a journal entry deleted elsewhere go with it
+          if (change.store === STORES.JOURNAL) {
+            deleteEntryPhotos(transaction, change.id);
+          }
+        } else {
+          // Records from phones on older versions may lack the fields the indexes read
+          store.put(normalizeRecord(change.store, change.record));
+        }
+        local.forEach(entry => outbox.delete(entry.seq));
+        counts.applied++;
+      });
+      return counts;
+    });
+
+    console.log(`[IndexedDB] Applied ${stats.applied} remote changes, skipped ${stats.skipped}`);
+    return stats;
+  } catch (error) {
+    console.error('[IndexedDB] Error applying remote changes:', error);
+    throw error;
+  }
+}
+
 /**
  * Export IndexedDB API that mimics localStorage but uses IndexedDB
  */
@@ -846,6 +2693,7 @@ const IndexedDBStorage = {
   getExpensesByCategory,
   getExpensesByDateRange,
   getExpensesByFarm,
+  getExpensesPage,
   deleteExpensesByFarm,
   getAllFarms,
   getFarm,
@@ -855,14 +2703,77 @@ const IndexedDBStorage = {
   setSelectedFarmId,
   markFarmCompleted,
   markFarmActive,
+  startFarmSeason,
+  getFirstSeasonId,
+  getRecordSeasonId,
+  getFarmSeasonView: toFarmView,
+  saveFarmBudget,
   getActiveFarms,
   getCompletedFarms,
+  getAllCropTemplates,
+  getCropTemplate,
+  saveCropTemplate,
+  deleteCropTemplate,
+  getAllHarvests,
+  getHarvestsByFarm,
+  saveHarvest,
+  deleteHarvest,
+  getAllSales,
+  getSalesByFarm,
+  saveSale,
+  deleteSale,
+  deleteHarvestsAndSalesByFarm,
+  getAllScoutingRecords,
+  getScoutingByFarm,
+  saveScoutingRecord,
+  deleteScoutingRecord,
+  deleteScoutingByFarm,
+  getAllWaterLogs,
+  getWaterLogByFarm,
+  saveWaterLog,
+  deleteWaterLog,
+  deleteWaterLogByFarm,
+  getAllWorkers,
+  saveWorker,
+  deleteWorker,
+  getAllAttendance,
+  getAttendanceByFarm,
+  saveAttendance,
+  deleteAttendance,
+  deleteAttendanceByFarm,
+  savePayroll,
+  getAllEquipment,
+  saveEquipment,
+  deleteEquipment,
+  getAllEquipmentUsage,
+  getEquipmentUsageByFarm,
+  saveEquipmentUsage,
+  deleteEquipmentUsage,
+  deleteEquipmentUsageByFarm,
+  syncDerivedExpenses,
+  getAllNotifications,
+  saveNotification,
+  deleteNotificationsByFarm,
+  getJournalEntriesByFarm,
+  getJournalPage,
+  getAllJournalEntries,
+  saveJournalEntry,
+  deleteJournalEntry,
+  getJournalPhotos,
+  getAllJournalPhotos,
+  deleteJournalByFarm,
   migrateLegacyData,
   exportAllData,
   importAllData,
+  previewImport,
   saveTaskCompletion,
   getTaskCompletions,
   deleteTaskCompletion,
+  getSetting,
+  setSetting,
+  getOutbox,
+  removeOutboxEntries,
+  applyRemoteChanges,
   initDB
 };
 
@@ -0,0 +1,282 @@
+/**
+ * Equipment Registry, Usage and Depreciation
+ * Owned and rented machinery is shared by all farms in the 'equipment' store:
+ *   { id, name, ownership ('owned' | 'rented'), usageUnit ('hour' | 'day' | 'hectare'),
+ *     purchaseDate?, purchasePrice?, salvageValue?, usefulSeasons? (owned),
+ *     rentalRate? (₱ per usage unit), provider? (rented), active, updatedAt }
+ * Use is recorded per farm season and crop-plan task in the 'equipmentUsage' store:
+ *   { id, farmId, seasonId, equipmentId, date, stageIndex, taskIndex, quantity, unit,
+ *     rate?, cost? (rented), expenseId? (the rental's Equipment expense), notes?, updatedAt }
+ *
+ * Costs reach each farm season as Equipment expenses, so budgets, reports and profit need nothing extra:
+ * a rental becomes one expense per use, and an owned item's price (less its salvage value) is
+ * spread over the seasons it is used in, each season's share split between the farms that used it.
+ */
+
+const OWNERSHIP_TYPES = [
+    { value: 'owned', label: 'Owned' },
+    { value: 'rented', label: 'Rented' }
+];
+
+const USAGE_UNITS = [
+    { value: 'hour', label: 'hour' },
+    { value: 'day', label: 'day' },
+    { value: 'hectare', label: 'hectare' }
+];
+
+// Five years of two croppings
+const DEFAULT_USEFUL_SEASONS = 10;
+
+const EQUIPMENT_EXPENSE_CATEGORY = 'Equipment';
+const RENTAL_EXPENSE_PREFIX = 'exp_rental_';
+const DEPRECIATION_EXPENSE_PREFIX = 'exp_depr_';
+
+function roundPeso(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function getUsefulSeasons(item) {
+    return Math.max(1, Math.floor(Number(item.usefulSeasons) || DEFAULT_USEFUL_SEASONS));
+}
+
+/**
+ * Depreciation charged for each season an owned item is used in
+ */
+function getSeasonDepreciation(item) {
+    const depreciable = Math.max(0, (Number(item.purchasePrice) || 0) - (Number(item.salvageValue) || 0));
+    return depreciable / getUsefulSeasons(item);
+}
+
+/**
+ * Farm seasons planted in the same year and cropping share one depreciation season
+ * @param {Object} season - A farm season (or a farm viewed at one)
+ */
+function getSeasonKey(season) {
+    return `${RiceStages.parseDate(season.startDate).getFullYear()}-${season.cropping}`;
+}
+
+/**
+ * Usage record for an item; rented items get the current rental rate and the cost of the use
+ * @param {Object} item - The equipment
+ * @param {Object} fields - { id?, farmId, seasonId, date, stageIndex, taskIndex, quantity, notes? }
+ */
+function buildUsageRecord(item, fields) {
+    const quantity = Number(fields.quantity) || 0;
+    const rented = item.ownership === 'rented';
+    return {
+        ...fields,
+        equipmentId: item.id,
+        quantity,
+        unit: item.usageUnit,
+        rate: rented ? Number(item.rentalRate) || 0 : null,
+        cost: rented ? roundPeso(quantity * (Number(item.rentalRate) || 0)) : null,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Equipment expense for a rented item's use, or null for owned equipment
+ */
+function buildRentalExpense(item, record) {
+    if (record.cost == null) return null;
+    return {
+        id: `${RENTAL_EXPENSE_PREFIX}${record.id}`,
+        name: I18n.t('{name} rental', { name: item.name }),
+        category: EQUIPMENT_EXPENSE_CATEGORY,
+        date: record.date,
+        amount: record.cost,
+        quantity: record.quantity,
+        unit: record.unit,
+        farmId: record.farmId,
+        seasonId: record.seasonId,
+        updatedAt: record.updatedAt
+    };
+}
+
+/**
+ * Depreciation owed by each farm season for the owned equipment it used. Seasons are charged in the
+ * order the item was first used in them, until its useful seasons run out; within a season the
+ * charge is split by how much each farm used the item.
+ * @param {Array} items - All equipment
+ * @param {Array} usage - All usage records
+ * @param {Array} farms - All farms, with their seasons
+ * @returns {Array} [{ equipmentId, farmId, seasonId, seasonKey, seasonNumber, usefulSeasons, quantity, unit, amount, date }]
+ */
+function getDepreciationCharges(items = [], usage = [], farms = []) {
+    const farmSeasons = new Map();
+    farms.forEach(farm => farm.seasons.forEach(season => farmSeasons.set(season.id, { farmId: farm.id, season })));
+    const charges = [];
+
+    items.filter(item => item.ownership === 'owned').forEach(item => {
+        const perSeason = getSeasonDepreciation(item);
+        const usefulSeasons = getUsefulSeasons(item);
+        const seasons = new Map();
+
+        usage.filter(record => record.equipmentId === item.id).forEach(record => {
+            const seasonId = IndexedDBStorage.getRecordSeasonId(record);
+            if (!farmSeasons.has(seasonId)) return;
+
+            const seasonKey = getSeasonKey(farmSeasons.get(seasonId).season);
+            if (!seasons.has(seasonKey)) {
+                seasons.set(seasonKey, { seasonKey, firstDate: record.date, bySeason: new Map() });
+            }
+            const season = seasons.get(seasonKey);
+            if (record.date < season.firstDate) season.firstDate = record.date;
+
+            const farmUse = season.bySeason.get(seasonId) || { quantity: 0, lastDate: record.date };
+            farmUse.quantity += Number(record.quantity) || 0;
+            if (record.date > farmUse.lastDate) farmUse.lastDate = record.date;
+            season.bySeason.set(seasonId, farmUse);
+        });
+
+        [...seasons.values()]
+            .sort((a, b) => a.firstDate.localeCompare(b.firstDate))
+            .slice(0, usefulSeasons)
+            .forEach((season, index) => {
+                const farmUses = [...season.bySeason.entries()];
+                const totalQuantity = farmUses.reduce((sum, [, use]) => sum + use.quantity, 0);
+                let allocated = 0;
+
+                farmUses.forEach(([seasonId, use], i) => {
+                    const share = totalQuantity > 0 ? use.quantity / totalQuantity : 1 / farmUses.length;
+                    // The last farm takes the rounding remainder so the season adds up exactly
+                    const amount = i === farmUses.length - 1
+                        ? roundPeso(perSeason - allocated)
+                        : roundPeso(perSeason * share);
+                    allocated += amount;
+                    charges.push({
+                        equipmentId: item.id,
+                        farmId: farmSeasons.get(seasonId).farmId,
+                        seasonId,
+                        seasonKey: season.seasonKey,
+                        seasonNumber: index + 1,
+                        usefulSeasons,
+                        quantity: use.quantity,
+                        unit: item.usageUnit,
+                        amount,
+                        date: use.lastDate
+                    });
+                });
+            });
+    });
+
+    return charges;
+}
+
+/**
+ * Equipment expenses for the depreciation charges, one per item and farm season
+ */
+function buildDepreciationExpenses(items = [], usage = [], farms = []) {
+    const now = new Date().toISOString();
+    return getDepreciationCharges(items, usage, farms)
+        .filter(charge => charge.amount > 0)
+        .map(charge => {
+            const item = items.find(i => i.id === charge.equipmentId);
+            return {
+                id: `${DEPRECIATION_EXPENSE_PREFIX}${charge.equipmentId}_${charge.seasonId}`,
+                name: I18n.t('{name} depreciation (season {number} of {total})', {
+                    name: item.name,
+                    number: charge.seasonNumber,
+                    total: charge.usefulSeasons
+                }),
+                category: EQUIPMENT_EXPENSE_CATEGORY,
+                date: charge.date,
+                amount: charge.amount,
+                quantity: charge.quantity,
+                unit: charge.unit,
+                farmId: charge.farmId,
+                seasonId: charge.seasonId,
+                updatedAt: now
+            };
+        });
+}
+
+/**
+ * Bring the depreciation expenses of every farm season up to date with the registry and its usage.
+ * Call after equipment or usage changes, or after farms are deleted.
+ */
+async function syncDepreciation() {
+    const [items, usage, farms] = await Promise.all([
+        IndexedDBStorage.getAllEquipment(),
+        IndexedDBStorage.getAllEquipmentUsage(),
+        IndexedDBStorage.getAllFarms()
+    ]);
+    return IndexedDBStorage.syncDerivedExpenses(DEPRECIATION_EXPENSE_PREFIX, buildDepreciationExpenses(items, usage, farms));
+}
+
+/**
+ * Seasons charged so far and the value left to depreciate for an owned item
+ * @returns {Object} { seasonsCharged, usefulSeasons, perSeason, remainingValue }
+ */
+function getDepreciationStatus(item, charges = []) {
+    const seasonsCharged = new Set(charges
+        .filter(charge => charge.equipmentId === item.id)
+        .map(charge => charge.seasonKey)).size;
+    const perSeason = getSeasonDepreciation(item);
+    return {
+        seasonsCharged,
+        usefulSeasons: getUsefulSeasons(item),
+        perSeason,
+        remainingValue: Math.max(Number(item.salvageValue) || 0, roundPeso((Number(item.purchasePrice) || 0) - perSeason * seasonsCharged))
+    };
+}
+
+/**
+ * What one farm season used and what it costs, per item
+ * @param {Array} items - All equipment
+ * @param {Array} usage - The season's usage records
+ * @param {Array} expenses - The season's expenses (holding its depreciation charges)
+ * @returns {Object} { rows: [{ item (or null when deleted), equipmentId, quantity, unit, rental, depreciation }],
+ *   rentalTotal, depreciationTotal }
+ */
+function summarizeFarmEquipment(items = [], usage = [], expenses = []) {
+    const byItem = new Map();
+    usage.forEach(record => {
+        if (!byItem.has(record.equipmentId)) {
+            byItem.set(record.equipmentId, {
+                equipmentId: record.equipmentId,
+                item: items.find(i => i.id === record.equipmentId) || null,
+                quantity: 0,
+                unit: record.unit,
+                rental: 0,
+                depreciation: 0
+            });
+        }
+        const row = byItem.get(record.equipmentId);
+        row.quantity += Number(record.quantity) || 0;
+        row.rental += Number(record.cost) || 0;
+    });
+
+    expenses
+        .filter(expense => expense.id.startsWith(DEPRECIATION_EXPENSE_PREFIX))
+        .forEach(expense => {
+            const seasonId = IndexedDBStorage.getRecordSeasonId(expense);
+            const row = [...byItem.values()].find(r => expense.id === `${DEPRECIATION_EXPENSE_PREFIX}${r.equipmentId}_${seasonId}`);
+            if (row) row.depreciation += Number(expense.amount) || 0;
+        });
+
+    const rows = [...byItem.values()].sort((a, b) => (b.rental + b.depreciation) - (a.rental + a.depreciation));
+    return {
+        rows,
+        rentalTotal: rows.reduce((sum, row) => sum + row.rental, 0),
+        depreciationTotal: rows.reduce((sum, row) => sum + row.depreciation, 0)
+    };
+}
+
+// Export for use in other scripts
+window.EquipmentRegistry = {
+    OWNERSHIP_TYPES,
+    USAGE_UNITS,
+    DEFAULT_USEFUL_SEASONS,
+    RENTAL_EXPENSE_PREFIX,
+    DEPRECIATION_EXPENSE_PREFIX,
+    getSeasonDepreciation,
+    getSeasonKey,
+    buildUsageRecord,
+    buildRentalExpense,
+    getDepreciationCharges,
+    buildDepreciationExpenses,
+    syncDepreciation,
+    getDepreciationStatus,
+    summarizeFarmEquipment
+};
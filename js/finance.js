@@ -0,0 +1,70 @@
+/**
+ * Farm Finance Calculations
+ * Turns expenses, harvests and sales into income and profit figures.
+ * Shared between the dashboard and the harvest & sales page.
+ */
+
+const DEFAULT_KG_PER_SACK = 50;
+
+/**
+ * Weight of a harvest record in kilograms
+ */
+function getHarvestKg(harvest) {
+    const quantity = Number(harvest.quantity) || 0;
+    if (harvest.unit === 'sacks') {
+        return quantity * (Number(harvest.kgPerSack) || DEFAULT_KG_PER_SACK);
+    }
+    return quantity;
+}
+
+/**
+ * Total value of a sale (kg sold × price per kg)
+ */
+function getSaleTotal(sale) {
+    return (Number(sale.quantityKg) || 0) * (Number(sale.pricePerKg) || 0);
+}
+
+/**
+ * Amount the buyer still owes on a sale (never negative)
+ */
+function getSaleBalance(sale) {
+    return Math.max(0, getSaleTotal(sale) - (Number(sale.amountPaid) || 0));
+}
+
+/**
+ * Summarize a farm's costs, output and income
+ * @param {Array} expenses - Expense records for the farm
+ * @param {Array} harvests - Harvest records for the farm
+ * @param {Array} sales - Sales records for the farm
+ * @returns {Object} Totals; costPerKg and roi are null when they cannot be computed
+ */
+function summarize(expenses = [], harvests = [], sales = []) {
+    const totalCost = expenses.reduce((sum, e) => sum + (Number(e.amount) || 0), 0);
+    const harvestKg = harvests.reduce((sum, h) => sum + getHarvestKg(h), 0);
+    const soldKg = sales.reduce((sum, s) => sum + (Number(s.quantityKg) || 0), 0);
+    const grossIncome = sales.reduce((sum, s) => sum + getSaleTotal(s), 0);
+    const amountOwed = sales.reduce((sum, s) => sum + getSaleBalance(s), 0);
+    const netProfit = grossIncome - totalCost;
+
+    return {
+        totalCost,
+        harvestKg,
+        soldKg,
+        unsoldKg: Math.max(0, harvestKg - soldKg),
+        grossIncome,
+        amountPaid: grossIncome - amountOwed,
+        amountOwed,
+        netProfit,
+        costPerKg: harvestKg > 0 ? totalCost / harvestKg : null,
+        roi: totalCost > 0 ? (netProfit / totalCost) * 100 : null
+    };
+}
+
+// Export for use in other scripts
+window.FarmFinance = {
+    DEFAULT_KG_PER_SACK,
+    getHarvestKg,
+    getSaleTotal,
+    getSaleBalance,
+    summarize
+};
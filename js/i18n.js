@@ -0,0 +1,205 @@
+/**
+ * Translations for MADB (MagtanimAyDiBiro)
+ * English text is the key: I18n.t('Rice Guide') gives the text in the chosen language,
+ * or the English text when the locale has no translation for it. Locale files in
+ * js/locales call I18n.addLocale() and must load after this script.
+ *
+ * Static page text is marked in the HTML and translated on load:
+ *   data-i18n                 element text
+ *   data-i18n-placeholder     placeholder attribute (value is the English text)
+ *   data-i18n-title           title attribute (value is the English text)
+ * Crop plan text (stage titles, tasks, tips) goes through translateContent() when shown,
+ * so plans stay in English in storage and farmers' own plans show as they typed them.
+ */
+
+const LANGUAGE_SETTING_KEY = 'language';
+const LANGUAGE_STORAGE_KEY = 'madbLanguage'; // Copy in localStorage so pages render in the right language before IndexedDB opens
+const DEFAULT_LANGUAGE = 'en';
+const FALLBACK_INTL_LOCALE = 'en-PH';
+
+const locales = {
+    en: { name: 'English', intlLocale: 'en-PH', htmlLang: 'en-PH', messages: {} }
+};
+
+function readStoredLanguage() {
+    try {
+        return (typeof localStorage !== 'undefined' && localStorage.getItem(LANGUAGE_STORAGE_KEY)) || DEFAULT_LANGUAGE;
+    } catch (error) {
+        return DEFAULT_LANGUAGE;
+    }
+}
+
+let currentLanguage = readStoredLanguage();
+
+/**
+ * Register a locale: { name, intlLocale, htmlLang, months?, monthsShort?, messages }
+ * `months` are needed when the browser has no date names for `intlLocale`.
+ */
+function addLocale(code, locale) {
+    locales[code] = { messages: {}, ...locale };
+}
+
+function getLanguage() {
+    return locales[currentLanguage] ? currentLanguage : DEFAULT_LANGUAGE;
+}
+
+function getLanguages() {
+    return Object.keys(locales).map(code => ({ code, name: locales[code].name }));
+}
+
+function getLocale() {
+    return locales[getLanguage()];
+}
+
+/**
+ * Translate UI text, filling {placeholders} from `params`
+ */
+function t(text, params = {}) {
+    const translated = getLocale().messages[text] || text;
+    return translated.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? params[name] : match));
+}
+
+/**
+ * Translate crop plan text; text without a translation is returned unchanged
+ */
+function translateContent(text) {
+    if (!text) return text;
+    return getLocale().messages[String(text).trim()] || text;
+}
+
+/**
+ * Locale to hand to Intl, falling back when the browser does not know the language
+ */
+function getIntlLocale() {
+    const { intlLocale } = getLocale();
+    return Intl.DateTimeFormat.supportedLocalesOf(intlLocale).length > 0 ? intlLocale : FALLBACK_INTL_LOCALE;
+}
+
+/**
+ * Format a date for the current language.
+ * Languages the browser cannot format (Ilocano) use the locale's month names as "Month day, year".
+ * Named apart from the formatDate() helpers that pages declare, which would replace it.
+ */
+function formatLocaleDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+    const value = date instanceof Date ? date : new Date(date);
+    const locale = getLocale();
+
+    if (!locale.months || getIntlLocale() === locale.intlLocale) {
+        return value.toLocaleDateString(getIntlLocale(), options);
+    }
+
+    const month = options.month === 'long' ? locale.months[value.getMonth()]
+        : options.month ? locale.monthsShort[value.getMonth()]
+        : '';
+    const day = options.day ? String(value.getDate()) : '';
+    const monthDay = [month, day].filter(Boolean).join(' ');
+    const year = options.year ? String(value.getFullYear()) : '';
+
+    return day && year ? `${monthDay}, ${year}` : [monthDay, year].filter(Boolean).join(' ');
+}
+
+function formatLocaleDateTime(date) {
+    const value = date instanceof Date ? date : new Date(date);
+    const time = value.toLocaleTimeString(getIntlLocale(), { hour: 'numeric', minute: '2-digit' });
+    return `${formatLocaleDate(value, { month: 'short', day: 'numeric' })} ${time}`;
+}
+
+function formatNumber(value, maximumFractionDigits = 2, minimumFractionDigits = 0) {
+    return Number(value || 0).toLocaleString(getIntlLocale(), { minimumFractionDigits, maximumFractionDigits });
+}
+
+/**
+ * Format a peso amount, e.g. ₱12,500.00
+ */
+function formatCurrency(value, decimals = 2) {
+    return `₱${formatNumber(value, decimals, decimals)}`;
+}
+
+/**
+ * Translate the marked static text inside `root`
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        if (!element.dataset.i18nSource) {
+            element.dataset.i18nSource = element.textContent.replace(/\s+/g, ' ').trim();
+        }
+        element.textContent = t(element.dataset.i18nSource);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    document.documentElement.lang = getLocale().htmlLang;
+}
+
+/**
+ * Save the chosen language. Pages reload afterwards so everything is drawn again in it.
+ */
+async function setLanguage(code) {
+    if (!locales[code]) {
+        throw new Error(`Unknown language: ${code}`);
+    }
+
+    currentLanguage = code;
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+    } catch (error) {
+        console.warn('[I18n] Could not keep language in localStorage:', error);
+    }
+    if (window.IndexedDBStorage) {
+        await IndexedDBStorage.setSetting(LANGUAGE_SETTING_KEY, code);
+    }
+    console.log(`[I18n] Language set to ${code}`);
+}
+
+/**
+ * Read the saved language from IndexedDB (the service worker has no localStorage)
+ */
+async function loadLanguage() {
+    if (window.IndexedDBStorage) {
+        const saved = await IndexedDBStorage.getSetting(LANGUAGE_SETTING_KEY);
+        if (saved && locales[saved]) {
+            currentLanguage = saved;
+        }
+    }
+    return getLanguage();
+}
+
+/**
+ * Fill a <select> with the available languages; changing it switches language and reloads the page
+ */
+function renderLanguageSwitcher(select) {
+    select.innerHTML = getLanguages()
+        .map(({ code, name }) => `<option value="${code}" ${code === getLanguage() ? 'selected' : ''}>${name}</option>`)
+        .join('');
+    select.addEventListener('change', async () => {
+        await setLanguage(select.value);
+        location.reload();
+    });
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        applyTranslations();
+        document.querySelectorAll('select.language-switcher').forEach(renderLanguageSwitcher);
+    });
+}
+
+// Export for use in other scripts
+window.I18n = {
+    addLocale,
+    getLanguage,
+    getLanguages,
+    t,
+    translateContent,
+    formatDate: formatLocaleDate,
+    formatDateTime: formatLocaleDateTime,
+    formatNumber,
+    formatCurrency,
+    applyTranslations,
+    setLanguage,
+    loadLanguage,
+    renderLanguageSwitcher
+};
@@ -0,0 +1,184 @@
+/**
+ * Farm Input Inventory
+ * Stock on hand is worked out from the farm's records instead of being stored:
+ *   purchased – Fertilizer and Pesticides expenses with a quantity and unit
+ *   used      – `inputsUsed` saved on task completions when an application task is marked done
+ * Scheduled applications come from the crop plan's `resourcesPerHectare`.
+ */
+
+const INPUT_KINDS = {
+    fertilizer: { label: 'Fertilizer', category: 'Fertilizer', taskPattern: /fertiliz|dressing/i },
+    pesticide: { label: 'Pesticide', category: 'Pesticides', taskPattern: /pesticide|herbicide|insecticide/i }
+};
+
+// Spellings farmers use for the same unit
+const UNIT_ALIASES = {
+    bag: 'bags', bags: 'bags', sack: 'bags', sacks: 'bags',
+    quart: 'quarts', quarts: 'quarts', qt: 'quarts', qts: 'quarts',
+    liter: 'liters', liters: 'liters', litre: 'liters', litres: 'liters', l: 'liters',
+    kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg'
+};
+
+function normalizeUnit(unit) {
+    const key = String(unit || '').trim().toLowerCase().replace(/\.$/, '');
+    return UNIT_ALIASES[key] || key;
+}
+
+/**
+ * Parse an amount like "3 bags" into { quantity, unit }; null when there is no number
+ */
+function parseAmount(text) {
+    const match = String(text || '').match(/(\d+(?:\.\d+)?)\s*([a-zA-Z.]*)/);
+    if (!match) return null;
+    return { quantity: parseFloat(match[1]), unit: normalizeUnit(match[2]) };
+}
+
+/**
+ * Kind of input an expense buys ('fertilizer' | 'pesticide'), or null
+ */
+function getExpenseKind(expense) {
+    return Object.keys(INPUT_KINDS).find(kind => INPUT_KINDS[kind].category === expense.category) || null;
+}
+
+/**
+ * Kind of input a task applies, judged from its text, or null
+ */
+function getTaskKind(taskText) {
+    return Object.keys(INPUT_KINDS).find(kind => INPUT_KINDS[kind].taskPattern.test(taskText || '')) || null;
+}
+
+/**
+ * Input applications in a crop plan, sized for the farm.
+ * Fertilizer tasks in a stage with `resourcesPerHectare` take the stage's applications
+ * in order; pesticide tasks there share `totalPesticide`. Application tasks elsewhere
+ * have no planned amount (quantity null).
+ * @returns {Array} [{ stageIndex, taskIndex, text, kind, quantity, unit }]
+ */
+function getScheduledApplications(stages, farmSize) {
+    const size = Number(farmSize) || 0;
+    const applications = [];
+
+    stages.forEach((stage, stageIndex) => {
+        const res = stage.resourcesPerHectare;
+        const tasks = (stage.tasks || []).map((task, taskIndex) => ({
+            taskIndex,
+            text: typeof task === 'object' ? task.text : task,
+            offset: task.offset != null ? task.offset : stage.offset
+        }));
+        const fertilizerTasks = tasks
+            .filter(task => getTaskKind(task.text) === 'fertilizer')
+            .sort((a, b) => a.offset - b.offset);
+        const pesticideTasks = tasks.filter(task => getTaskKind(task.text) === 'pesticide');
+        const totalPesticide = res ? parseAmount(res.totalPesticide) : null;
+
+        tasks.forEach(task => {
+            const kind = getTaskKind(task.text);
+            if (!kind) return;
+
+            let amount = null;
+            if (res && kind === 'fertilizer') {
+                const app = (res.applications || [])[fertilizerTasks.indexOf(task)];
+                amount = app ? parseAmount(app.fertilizer) : null;
+            } else if (res && kind === 'pesticide' && totalPesticide) {
+                amount = { quantity: totalPesticide.quantity / pesticideTasks.length, unit: totalPesticide.unit };
+            }
+
+            applications.push({
+                stageIndex,
+                taskIndex: task.taskIndex,
+                text: task.text,
+                kind,
+                quantity: amount ? Math.round(amount.quantity * size * 100) / 100 : null,
+                unit: amount ? amount.unit : (kind === 'fertilizer' ? 'bags' : 'quarts')
+            });
+        });
+    });
+
+    return applications;
+}
+
+/**
+ * Stock on hand per input kind and unit
+ * @param {Array} expenses - The farm's expenses
+ * @param {Array} taskCompletions - The farm's task completions
+ * @returns {Array} [{ kind, label, unit, purchased, used, onHand }]
+ */
+function getStock(expenses = [], taskCompletions = []) {
+    const stock = {};
+    const entry = (kind, unit) => {
+        const key = `${kind}|${unit}`;
+        if (!stock[key]) {
+            stock[key] = { kind, label: INPUT_KINDS[kind].label, unit, purchased: 0, used: 0, onHand: 0 };
+        }
+        return stock[key];
+    };
+
+    expenses.forEach(expense => {
+        const kind = getExpenseKind(expense);
+        const quantity = Number(expense.quantity) || 0;
+        if (!kind || quantity <= 0) return;
+        entry(kind, normalizeUnit(expense.unit)).purchased += quantity;
+    });
+
+    (taskCompletions || []).forEach(completion => {
+        (completion.inputsUsed || []).forEach(used => {
+            if (!INPUT_KINDS[used.kind]) return;
+            entry(used.kind, normalizeUnit(used.unit)).used += Number(used.quantity) || 0;
+        });
+    });
+
+    return Object.values(stock).map(item => ({
+        ...item,
+        onHand: Math.round((item.purchased - item.used) * 100) / 100
+    }));
+}
+
+/**
+ * Next not-yet-done application of each kind whose planned amount is more than the stock on hand
+ * @param {Object} farm - The farm record (size, startDate, taskCompletions)
+ * @param {Array} stages - The farm's crop plan stages
+ * @param {Array} expenses - The farm's expenses
+ * @returns {Array} [{ kind, label, text, date, needed, onHand, shortBy, unit }]
+ */
+function getShortages(farm, stages, expenses) {
+    const schedule = RiceStages.buildSchedule(farm.startDate, farm.taskCompletions || [], stages);
+    const stock = getStock(expenses, farm.taskCompletions);
+    const pending = getScheduledApplications(stages, farm.size)
+        .map(app => ({ ...app, scheduled: schedule.stages[app.stageIndex].tasks[app.taskIndex] }))
+        .filter(app => app.quantity !== null && !app.scheduled.completed)
+        .sort((a, b) => a.scheduled.projectedDate - b.scheduled.projectedDate);
+
+    const shortages = [];
+    Object.keys(INPUT_KINDS).forEach(kind => {
+        const next = pending.find(app => app.kind === kind);
+        if (!next) return;
+
+        const item = stock.find(s => s.kind === kind && s.unit === next.unit);
+        const onHand = item ? item.onHand : 0;
+        if (onHand < next.quantity) {
+            shortages.push({
+                kind,
+                label: INPUT_KINDS[kind].label,
+                text: next.text,
+                date: next.scheduled.projectedDate,
+                needed: next.quantity,
+                onHand,
+                shortBy: Math.round((next.quantity - onHand) * 100) / 100,
+                unit: next.unit
+            });
+        }
+    });
+
+    return shortages;
+}
+
+// Export for use in other scripts
+window.FarmInventory = {
+    KINDS: INPUT_KINDS,
+    normalizeUnit,
+    parseAmount,
+    getTaskKind,
+    getScheduledApplications,
+    getStock,
+    getShortages
+};
@@ -0,0 +1,173 @@
+/**
+ * Labor Crew, Attendance and Payroll
+ * Workers are shared by all farms in the 'workers' store:
+ *   { id, name, rateType ('daily' | 'piece'), rate (₱ per day or per unit), pieceUnit?, phone?, active, updatedAt }
+ * Attendance is recorded per farm season and crop-plan task in the 'attendance' store:
+ *   { id, farmId, seasonId, workerId, date, stageIndex, taskIndex, days (labor-days), quantity? (piece work),
+ *     rateType, rate, amount, expenseId? (the payroll's Labor expense), notes?, updatedAt }
+ * The rate is copied onto each attendance record, so changing a worker's rate never changes past wages.
+ * Shared between the labor page and the farm report.
+ */
+
+const RATE_TYPES = [
+    { value: 'daily', label: 'Per day' },
+    { value: 'piece', label: 'Per piece' }
+];
+
+// Suggestions for piece-work units (reaping by the sack, transplanting by the row, ...)
+const PIECE_UNITS = ['sack', 'cavan', 'row', 'bundle'];
+
+const PAYROLL_EXPENSE_CATEGORY = 'Labor';
+const PAYROLL_EXPENSE_UNIT = 'labor-days';
+
+/**
+ * Wage for one attendance record: days × daily rate, or units done × piece rate
+ */
+function getWageAmount(rateType, rate, days, quantity) {
+    const units = rateType === 'piece' ? Number(quantity) || 0 : Number(days) || 0;
+    return Math.round(units * (Number(rate) || 0) * 100) / 100;
+}
+
+/**
+ * Attendance record for a worker, with the worker's current rate and the wage it earns
+ * @param {Object} worker - The worker
+ * @param {Object} fields - { id?, farmId, seasonId, date, stageIndex, taskIndex, days, quantity?, notes? }
+ */
+function buildAttendanceRecord(worker, fields) {
+    const quantity = worker.rateType === 'piece' ? Number(fields.quantity) || 0 : null;
+    return {
+        ...fields,
+        workerId: worker.id,
+        days: Number(fields.days) || 0,
+        quantity,
+        rateType: worker.rateType,
+        rate: Number(worker.rate) || 0,
+        amount: getWageAmount(worker.rateType, worker.rate, fields.days, quantity),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Whether a record was paid in a payroll whose Labor expense still exists.
+ * Deleting the expense in Resources makes its days unpaid again.
+ */
+function isAttendancePaid(record, expenses = []) {
+    return !!record.expenseId && expenses.some(expense => expense.id === record.expenseId);
+}
+
+function getUnpaidAttendance(records = [], expenses = []) {
+    return records.filter(record => !isAttendancePaid(record, expenses));
+}
+
+/**
+ * Days and wages per worker for a payroll
+ * @param {Array} records - Attendance records to pay
+ * @param {Array} workers - All workers
+ * @returns {Object} { rows: [{ workerId, worker (or null when deleted), days, quantity, amount }],
+ *   totalDays, totalAmount }, rows sorted by name
+ */
+function summarizePayroll(records = [], workers = []) {
+    const byWorker = new Map();
+    records.forEach(record => {
+        if (!byWorker.has(record.workerId)) {
+            byWorker.set(record.workerId, {
+                workerId: record.workerId,
+                worker: workers.find(w => w.id === record.workerId) || null,
+                days: 0,
+                quantity: 0,
+                amount: 0
+            });
+        }
+        const row = byWorker.get(record.workerId);
+        row.days += Number(record.days) || 0;
+        row.quantity += Number(record.quantity) || 0;
+        row.amount += Number(record.amount) || 0;
+    });
+
+    const rows = [...byWorker.values()].sort((a, b) =>
+        (a.worker ? a.worker.name : '').localeCompare(b.worker ? b.worker.name : ''));
+    return {
+        rows,
+        totalDays: rows.reduce((sum, row) => sum + row.days, 0),
+        totalAmount: rows.reduce((sum, row) => sum + row.amount, 0)
+    };
+}
+
+/**
+ * Labor-days and cost per stage and task of the crop plan
+ * @param {Array} records - Attendance records for one farm
+ * @param {Array} stages - The farm's stage definitions
+ * @returns {Object} { stages: [{ stageIndex, title (null for tasks no longer in the plan), laborDays, cost,
+ *   tasks: [{ taskIndex, text, laborDays, cost }] }], totalDays, totalCost }; stages without labor are left out
+ */
+function getStageLaborReport(records = [], stages = []) {
+    const byStage = new Map();
+    records.forEach(record => {
+        const stage = stages[record.stageIndex];
+        const task = stage && stage.tasks ? stage.tasks[record.taskIndex] : null;
+        const stageKey = task ? record.stageIndex : -1;
+
+        if (!byStage.has(stageKey)) {
+            byStage.set(stageKey, { stageIndex: stageKey, title: task ? stage.title : null, laborDays: 0, cost: 0, tasks: new Map() });
+        }
+        const stageRow = byStage.get(stageKey);
+        const taskKey = task ? record.taskIndex : -1;
+        if (!stageRow.tasks.has(taskKey)) {
+            stageRow.tasks.set(taskKey, { taskIndex: taskKey, text: task ? (typeof task === 'object' ? task.text : task) : null, laborDays: 0, cost: 0 });
+        }
+        const taskRow = stageRow.tasks.get(taskKey);
+
+        const days = Number(record.days) || 0;
+        const cost = Number(record.amount) || 0;
+        stageRow.laborDays += days;
+        stageRow.cost += cost;
+        taskRow.laborDays += days;
+        taskRow.cost += cost;
+    });
+
+    // Plan order, with records for removed tasks last
+    const stageRows = [...byStage.values()]
+        .sort((a, b) => (a.stageIndex < 0) - (b.stageIndex < 0) || a.stageIndex - b.stageIndex)
+        .map(row => ({ ...row, tasks: [...row.tasks.values()].sort((a, b) => a.taskIndex - b.taskIndex) }));
+
+    return {
+        stages: stageRows,
+        totalDays: stageRows.reduce((sum, row) => sum + row.laborDays, 0),
+        totalCost: stageRows.reduce((sum, row) => sum + row.cost, 0)
+    };
+}
+
+/**
+ * Labor expense for a payroll, so wages show up in budgets, reports and profit like any other cost
+ * @param {Object} farm - The farm (viewed at the season) the crew worked on
+ * @param {Array} records - Attendance records being paid
+ * @param {Object} details - { name, date } of the expense
+ */
+function buildPayrollExpense(farm, records, details) {
+    const summary = summarizePayroll(records);
+    return {
+        id: `exp_payroll_${Date.now()}`,
+        name: details.name,
+        category: PAYROLL_EXPENSE_CATEGORY,
+        date: details.date,
+        amount: Math.round(summary.totalAmount * 100) / 100,
+        quantity: summary.totalDays,
+        unit: PAYROLL_EXPENSE_UNIT,
+        farmId: farm.id,
+        seasonId: farm.seasonId,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Export for use in other scripts
+window.LaborCrew = {
+    RATE_TYPES,
+    PIECE_UNITS,
+    getWageAmount,
+    buildAttendanceRecord,
+    isAttendancePaid,
+    getUnpaidAttendance,
+    summarizePayroll,
+    getStageLaborReport,
+    buildPayrollExpense
+};
@@ -0,0 +1,874 @@
+/**
+ * Filipino (Tagalog) translations for MADB (MagtanimAyDiBiro)
+ * Keys are the English text; see js/i18n.js
+ */
+
+I18n.addLocale('fil', {
+    name: 'Filipino',
+    intlLocale: 'fil-PH',
+    htmlLang: 'fil',
+    messages: {
+        // Navigation and shared labels
+        'Dashboard': 'Dashboard',
+        'Rice Guide': 'Gabay sa Palay',
+        'Resources': 'Gastusin',
+        'Manage Farms': 'Mga Sakahan',
+        'Reminders': 'Mga Paalala',
+        'Language': 'Wika',
+        'Empowering Bagabag farmers, one step at a time.': 'Katuwang ng mga magsasaka ng Bagabag, isang hakbang sa bawat pagkakataon.',
+        'Loading...': 'Naglo-load...',
+        'Save': 'I-save',
+        'Cancel': 'Kanselahin',
+        'Edit': 'I-edit',
+        'Delete': 'Burahin',
+        'Select': 'Piliin',
+        'Back': 'Bumalik',
+        'Add': 'Idagdag',
+        'Update': 'I-update',
+        'Skip': 'Laktawan',
+        'Total': 'Kabuuan',
+        'Date': 'Petsa',
+        'Farm': 'Sakahan',
+        'Farm Name': 'Pangalan ng Sakahan',
+        'Size': 'Laki',
+        'Start Date': 'Petsa ng Simula',
+        'Cropping': 'Taniman',
+        'Crop Plan': 'Plano ng Pananim',
+        'Status': 'Kalagayan',
+        'Completed': 'Tapos na',
+        'Active': 'Aktibo',
+        'Name': 'Pangalan',
+        'Description': 'Paglalarawan',
+        'Day': 'Araw',
+        'Task': 'Gawain',
+        'Amount': 'Halaga',
+        'Quantity': 'Dami',
+        'Unit': 'Yunit',
+        'Category': 'Kategorya',
+        'Budget': 'Badyet',
+        'Spent': 'Nagastos',
+        'Set up your farm first': 'I-set up muna ang iyong sakahan',
+        'Go to Farm Setup': 'Pumunta sa Pag-set up ng Sakahan',
+        'Error saving. Please try again.': 'Nagkaroon ng error sa pag-save. Pakisubukang muli.',
+        '{size} hectares': '{size} ektarya',
+        '{days} days': '{days} araw',
+        'planned {date}': 'planong {date}',
+        '…and {count} more': '…at {count} pa',
+        'This action cannot be undone.': 'Hindi na ito maibabalik.',
+
+        // Cropping and planting methods
+        'First': 'Una',
+        'Second': 'Ikalawa',
+        'First Cropping': 'Unang Taniman',
+        'Second Cropping': 'Ikalawang Taniman',
+        'First cropping': 'Unang taniman',
+        'Second cropping': 'Ikalawang taniman',
+        'Transplanted': 'Inilipat-tanim',
+        'Direct-seeded': 'Sabog-tanim',
+
+        // Expense categories, inputs and units
+        'Seeds/Seedlings': 'Binhi/Punla',
+        'Seeds / Seedlings': 'Binhi / Punla',
+        'Fertilizer': 'Pataba',
+        'Pesticide': 'Pestisidyo',
+        'Pesticides': 'Pestisidyo',
+        'Equipment': 'Kagamitan',
+        'Labor': 'Trabahador',
+        'Other': 'Iba pa',
+        'bags': 'sako',
+        'quarts': 'quart',
+        'sacks': 'sako',
+        'kg': 'kg',
+
+        // Welcome and offline pages
+        'MagtanimAyDiBiro (MADB) - Welcome': 'MagtanimAyDiBiro (MADB) - Maligayang Pagdating',
+        'Step-by-step rice farming guidance and easy expense tracking—right on your phone.': 'Sunud-sunod na gabay sa pagtatanim ng palay at madaling pagtala ng gastos—sa iyong telepono.',
+        'Start Now': 'Magsimula Na',
+        'Offline - MADB': 'Offline - MADB',
+        'You\'re offline': 'Wala kang koneksyon',
+        'This page could not be loaded without a signal. Your farm records are saved on this phone, so these pages still work:': 'Hindi mabuksan ang pahinang ito nang walang signal. Nakatago sa teleponong ito ang mga tala ng iyong sakahan, kaya gumagana pa rin ang mga pahinang ito:',
+        '🏠 Dashboard': '🏠 Dashboard',
+        '🌱 Rice Guide': '🌱 Gabay sa Palay',
+        '💧 Resources': '💧 Gastusin',
+        '🏡 Manage Farms': '🏡 Mga Sakahan',
+        'Try again': 'Subukang muli',
+
+        // Dashboard
+        'MagtanimAyDiBiro (MADB) - Dashboard': 'MagtanimAyDiBiro (MADB) - Dashboard',
+        'Main Dashboard': 'Pangunahing Dashboard',
+        '🔔 Get reminders for farm tasks, even when the app is closed': '🔔 Makatanggap ng paalala sa mga gawain sa sakahan, kahit nakasara ang app',
+        'Turn on reminders': 'I-on ang mga paalala',
+        '🌱 Rice Cultivation Progress': '🌱 Takbo ng Pagtatanim ng Palay',
+        'Loading next action...': 'Inaalam ang susunod na gawain...',
+        '💰 Financial Overview': '💰 Buod ng Pananalapi',
+        'This Month': 'Ngayong Buwan',
+        'Total Cropping': 'Buong Taniman',
+        '📈 Income & Profit': '📈 Kita at Tubo',
+        'Gross Income': 'Kabuuang Kita',
+        'Net Profit': 'Netong Tubo',
+        'Cost per kg': 'Gastos bawat kg',
+        'Return on Investment': 'Balik sa Puhunan',
+        'No harvest recorded yet': 'Wala pang naitalang ani',
+        '🎯 Budget vs Actual': '🎯 Badyet at Aktwal na Gastos',
+        'No budget set.': 'Wala pang badyet.',
+        'Set a budget': 'Magtakda ng badyet',
+        'Add Expense': 'Magdagdag ng Gastos',
+        'View Schedule': 'Tingnan ang Iskedyul',
+        'Harvest & Sales': 'Ani at Benta',
+        'Stage Progress:': 'Takbo ng mga Yugto:',
+        'Mark as Completed': 'Markahang Tapos',
+        'You can unmark it later from Manage Farms if needed.': 'Maaari mo itong alisan ng marka sa Mga Sakahan kung kailangan.',
+        'Open the end-of-season report now?': 'Buksan na ang ulat ng pagtatapos ng taniman?',
+        'Error marking farm as completed. Please try again.': 'Nagkaroon ng error sa pagmamarka ng sakahan. Pakisubukang muli.',
+        '{kg} kg harvested': '{kg} kg ang naani',
+        '{amount} still owed': '{amount} pa ang utang',
+        '{percent}% of {budget} budget used': '{percent}% ng {budget} na badyet ang nagamit',
+        'Tell us the farm name, size, start date, and cropping cycle to unlock your personalized dashboard.': 'Ilagay ang pangalan, laki, petsa ng simula at taniman ng sakahan para makita ang sarili mong dashboard.',
+        '{days} day(s) behind plan': '{days} araw na huli sa plano',
+        'Day {day} of {total}': 'Araw {day} ng {total}',
+        'Scheduled:': 'Iskedyul:',
+        'Cultivation Complete!': 'Tapos na ang Pagtatanim!',
+        '{days} days completed. Review post-harvest tasks.': 'Natapos ang {days} araw. Suriin ang mga gawain pagkatapos ng ani.',
+        'Next:': 'Susunod:',
+        'Target:': 'Target:',
+        'Final Stage:': 'Huling Yugto:',
+        '{days}/{total} days completed': '{days}/{total} araw ang natapos',
+
+        // Rice guide
+        'MagtanimAyDiBiro (MADB) - Rice Cultivation Guide': 'MagtanimAyDiBiro (MADB) - Gabay sa Pagtatanim ng Palay',
+        'Rice Cultivation Guide': 'Gabay sa Pagtatanim ng Palay',
+        'No farm start date': 'Walang petsa ng simula ang sakahan',
+        'Available from day {day}': 'Magagawa simula araw {day}',
+        'Done {date}': 'Ginawa {date}',
+        'How many {unit} of {input} did you use? (0 if none)': 'Ilang {unit} ng {input} ang nagamit mo? (0 kung wala)',
+        'Date this task was done (YYYY-MM-DD):': 'Petsa kung kailan ginawa ang gawaing ito (YYYY-MM-DD):',
+        'Please enter a valid date (YYYY-MM-DD).': 'Maglagay ng wastong petsa (YYYY-MM-DD).',
+        'Error saving task. Please try again.': 'Nagkaroon ng error sa pag-save ng gawain. Pakisubukang muli.',
+        'Set Up Your Farm Information': 'Ilagay ang Impormasyon ng Iyong Sakahan',
+        'To use the rice cultivation guide, please enter your farm details first.': 'Para magamit ang gabay sa pagtatanim ng palay, ilagay muna ang detalye ng iyong sakahan.',
+        'Recorded delays have moved the remaining schedule {days} day(s) later.': 'Dahil sa mga naitalang pagkaantala, naurong nang {days} araw ang natitirang iskedyul.',
+        'Resources Required ({size} ha):': 'Kailangang Gamit ({size} ha):',
+        'Total Fertilizer': 'Kabuuang Pataba',
+        'Total Pesticide': 'Kabuuang Pestisidyo',
+        'Application Schedule': 'Iskedyul ng Paglalagay',
+        'Day {day}: {amount} fertilizer': 'Araw {day}: {amount} na pataba',
+        '{seasons} season(s) on {farms} farm(s), {hectares} ha in all': '{seasons} panahon sa {farms} sakahan, {hectares} ha lahat',
+        'No running seasons match the filters.': 'Walang tumatakbong panahon na tugma sa mga filter.',
+        'Not started yet': 'Hindi pa nagsisimula',
+        'Past the last stage': 'Lampas na sa huling yugto',
+        'No expenses recorded for these seasons.': 'Walang naitalang gastos para sa mga panahong ito.',
+        'Per ha': 'Bawat ha',
+        'Lowest – Highest': 'Pinakamababa – Pinakamataas',
+        'No tasks recorded as done in these seasons.': 'Walang gawaing naitalang tapos sa mga panahong ito.',
+        'Late': 'Nahuli',
+        '{tasks} task(s) in {seasons} season(s)': '{tasks} gawain sa {seasons} panahon',
+        'Outliers need at least {count} seasons to compare.': 'Kailangan ng hindi bababa sa {count} panahon para makahanap ng kakaiba.',
+        'No season stands out from the others.': 'Walang panahong namumukod sa iba.',
+        'typical {value}': 'karaniwan {value}',
+        'Add farms to compare their costs and progress.': 'Magdagdag ng mga sakahan para maihambing ang kanilang gastos at pag-usad.',
+        'Error loading the analytics. Please refresh the page.': 'May error sa pag-load ng analytics. Pakii-refresh ang pahina.',
+        'MADB - Analytics': 'MADB - Analytics',
+        'Analytics': 'Analytics',
+        'All croppings': 'Lahat ng taniman',
+        'Started from': 'Nagsimula mula',
+        'Started until': 'Nagsimula hanggang',
+        'Farms by Stage Today': 'Mga Sakahan ayon sa Yugto Ngayon',
+        'Cost per Hectare by Category': 'Gastos bawat Ektarya ayon sa Kategorya',
+        'Average Delay by Stage': 'Karaniwang Pagkaantala ayon sa Yugto',
+        'Outliers': 'Mga Kakaiba',
+        'Start Next Season': 'Simulan ang Susunod na Panahon',
+        'Mark this season of "{name}" as completed?': 'Markahan bilang tapos ang panahong ito ng "{name}"?',
+        'You can still view the season, but new expenses cannot be added. The farm is ready for its next season.': 'Makikita mo pa rin ang panahon, pero hindi na makakapagdagdag ng bagong gastos. Handa na ang sakahan para sa susunod nitong panahon.',
+        'This season of "{name}" has been marked as completed!': 'Namarkahan nang tapos ang panahong ito ng "{name}"!',
+        'Season': 'Panahon',
+        'Season over Season': 'Paghahambing ng mga Panahon',
+        'Yield (kg/ha)': 'Ani (kg/ha)',
+        'Average Delay': 'Karaniwang Pagkaantala',
+        '{days} day(s)': '{days} araw',
+        '{late} of {done} tasks late': '{late} sa {done} gawain ang nahuli',
+        'Plan the next planting of {name}.': 'Planuhin ang susunod na pagtatanim sa {name}.',
+        'Start Season': 'Simulan ang Panahon',
+        'The new season must start after the current one ({date}).': 'Dapat magsimula ang bagong panahon pagkatapos ng kasalukuyan ({date}).',
+        'Starting a new season marks {season} as completed. Continue?': 'Ang pagsisimula ng bagong panahon ay magmamarka sa {season} bilang tapos. Magpatuloy?',
+        'Season completed': 'Tapos na ang panahon',
+        'New Season': 'Bagong Panahon',
+        '{number} of {count}': '{number} sa {count}',
+        'Unmark the current season of "{name}" as completed?': 'Alisin ang markang tapos sa kasalukuyang panahon ng "{name}"?',
+        'This will reactivate the season and allow you to add new expenses again.': 'Muling magiging aktibo ang panahon at makakapagdagdag ka ulit ng bagong gastos.',
+        'the season of farm "{name}" is completed': 'tapos na ang panahon ng sakahang "{name}"',
+        'This season only': 'Ang panahong ito lamang',
+        'All seasons of this farm': 'Lahat ng panahon ng sakahang ito',
+        'Removed equipment': 'Inalis na kagamitan',
+        '{amount} per season • {used} of {total} seasons charged': '{amount} bawat panahon • {used} sa {total} panahon na ang nasingil',
+        'Record equipment use to see what each machine costs this farm.': 'Itala ang paggamit ng kagamitan para makita ang gastos ng bawat makina sa sakahang ito.',
+        'Use': 'Gamit',
+        'No equipment use recorded yet.': 'Wala pang naitalang paggamit ng kagamitan.',
+        'Owned': 'Sariling pag-aari',
+        'Rented': 'Inuupahan',
+        'hour': 'oras',
+        'day': 'araw',
+        'hectare': 'ektarya',
+        'No equipment yet. Add the machines you own or rent.': 'Wala pang kagamitan. Idagdag ang mga makinang pag-aari o inuupahan mo.',
+        'Bought for {amount}': 'Nabili sa halagang {amount}',
+        'Edit Equipment': 'I-edit ang Kagamitan',
+        'Add Equipment': 'Magdagdag ng Kagamitan',
+        'The resale value cannot be more than the purchase price.': 'Hindi maaaring mas mataas ang halaga sa muling pagbenta kaysa sa presyo ng pagbili.',
+        'Error saving the equipment. Please try again.': 'May error sa pag-save ng kagamitan. Pakisubukang muli.',
+        '{name} has usage records, so it will be kept and marked inactive instead.': 'May mga tala ng paggamit ang {name}, kaya itatago ito at mamarkahang hindi aktibo.',
+        'Error deleting the equipment. Please try again.': 'May error sa pagbura ng kagamitan. Pakisubukang muli.',
+        'Amount Used ({unit})': 'Dami ng Nagamit ({unit})',
+        'Rental: {amount}. It is added to Resources as an Equipment expense.': 'Upa: {amount}. Idadagdag ito sa Gastusin bilang gastos sa Kagamitan.',
+        'Owned: this farm is charged its share of the depreciation for the season.': 'Sariling pag-aari: sisingilin ang sakahang ito ng bahagi nito sa depreciation ng panahon.',
+        'Add equipment first.': 'Magdagdag muna ng kagamitan.',
+        'Edit Use': 'I-edit ang Paggamit',
+        'Record Use': 'Itala ang Paggamit',
+        'Error saving the equipment use. Please try again.': 'May error sa pag-save ng paggamit ng kagamitan. Pakisubukang muli.',
+        'Delete this use and its rental expense?': 'Burahin ang paggamit na ito at ang gastos sa upa nito?',
+        'Are you sure you want to delete this use?': 'Sigurado ka bang gusto mong burahin ang paggamit na ito?',
+        'Error deleting the equipment use. Please try again.': 'May error sa pagbura ng paggamit ng kagamitan. Pakisubukang muli.',
+        'Select or add a farm to record its equipment use.': 'Pumili o magdagdag ng sakahan para maitala ang paggamit ng kagamitan nito.',
+        'e.g. Hand tractor': 'hal. Kuliglig',
+        'e.g. Barangay cooperative': 'hal. Kooperatiba ng barangay',
+        'e.g. Second plowing': 'hal. Ikalawang pag-aararo',
+        'MADB - Equipment': 'MADB - Kagamitan',
+        'Rentals': 'Mga Upa',
+        'Depreciation': 'Depreciation',
+        'Equipment Cost': 'Gastos sa Kagamitan',
+        'Machinery Used on This Farm': 'Makinaryang Ginamit sa Sakahang Ito',
+        'Usage': 'Paggamit',
+        '+ Use': '+ Paggamit',
+        '+ Equipment': '+ Kagamitan',
+        'Ownership': 'Pagmamay-ari',
+        'Use Measured In': 'Sukat ng Paggamit',
+        'Purchase Date': 'Petsa ng Pagbili',
+        'Purchase Price (₱)': 'Presyo ng Pagbili (₱)',
+        'Resale Value (₱)': 'Halaga sa Muling Pagbenta (₱)',
+        'Useful Seasons': 'Bilang ng Panahong Magagamit',
+        'Don\'t add the purchase as an expense. Each season the equipment is used is charged its share of the price, split between the farms that used it.': 'Huwag idagdag ang pagbili bilang gastos. Sisingilin ang bawat panahong ginamit ang kagamitan ng bahagi nito sa presyo, hinahati sa mga sakahang gumamit nito.',
+        'Rental Rate (₱)': 'Halaga ng Upa (₱)',
+        'Rented From': 'Inuupahan Mula Kay',
+        'Still in use': 'Ginagamit pa',
+        'Amount Used': 'Dami ng Nagamit',
+        '{name} rental': 'Upa sa {name}',
+        '{name} depreciation (season {number} of {total})': 'Depreciation ng {name} (panahon {number} sa {total})',
+        'Equipment items': 'Mga kagamitan',
+        'Equipment use records': 'Mga tala ng paggamit ng kagamitan',
+        'Labor & Payroll': 'Paggawa at Sahod',
+        'MADB - Labor & Payroll': 'MADB - Paggawa at Sahod',
+        'Labor by Stage': 'Paggawa ayon sa Yugto',
+        'Labor-days': 'Araw ng Paggawa',
+        'Cost': 'Gastos',
+        'Other tasks': 'Ibang gawain',
+        'Task no longer in the crop plan': 'Wala na sa plano ng pananim ang gawaing ito',
+        '{days} labor-days': '{days} araw ng paggawa',
+        'Removed worker': 'Inalis na manggagawa',
+        '{amount} per {unit}': '{amount} bawat {unit}',
+        '{amount} per day': '{amount} bawat araw',
+        'Record attendance to see labor-days and cost for each stage.': 'Magtala ng pagdalo para makita ang araw ng paggawa at gastos sa bawat yugto.',
+        'All wages are paid.': 'Bayad na ang lahat ng sahod.',
+        'No attendance recorded yet.': 'Wala pang naitalang pagdalo.',
+        'No workers yet. Add the people who work your farms.': 'Wala pang manggagawa. Idagdag ang mga nagtatrabaho sa iyong mga sakahan.',
+        'Inactive': 'Hindi aktibo',
+        'Edit Worker': 'I-edit ang Manggagawa',
+        'Add Worker': 'Magdagdag ng Manggagawa',
+        'Error saving the worker. Please try again.': 'May error sa pag-save ng manggagawa. Pakisubukang muli.',
+        '{name} has attendance records, so they will be kept and marked inactive instead.': 'May talaan ng pagdalo si {name}, kaya mananatili sila at mamarkahang hindi aktibo.',
+        'Are you sure you want to delete {name}?': 'Sigurado ka bang buburahin si {name}?',
+        'Error deleting the worker. Please try again.': 'May error sa pagbura ng manggagawa. Pakisubukang muli.',
+        'Add workers first.': 'Magdagdag muna ng mga manggagawa.',
+        'This day is already paid. Delete its Labor expense in Resources first to change it.': 'Bayad na ang araw na ito. Burahin muna ang gastos na Trabahador nito sa Gastusin para mabago ito.',
+        'Edit Attendance': 'I-edit ang Pagdalo',
+        'Record Attendance': 'Itala ang Pagdalo',
+        'Choose the date and at least one worker.': 'Piliin ang petsa at kahit isang manggagawa.',
+        'Enter how much work each piece-rate worker did.': 'Ilagay kung gaano karami ang nagawa ng bawat manggagawang bayad kada piraso.',
+        'Error saving attendance. Please try again.': 'May error sa pag-save ng pagdalo. Pakisubukang muli.',
+        'Are you sure you want to delete this attendance record?': 'Sigurado ka bang buburahin ang talaang ito ng pagdalo?',
+        'Error deleting attendance. Please try again.': 'May error sa pagbura ng pagdalo. Pakisubukang muli.',
+        'Worker': 'Manggagawa',
+        'Wage': 'Sahod',
+        'No unpaid attendance in these dates.': 'Walang hindi pa bayad na pagdalo sa mga petsang ito.',
+        'Payroll {date}': 'Sahod {date}',
+        'Payroll {from} – {to}': 'Sahod {from} – {to}',
+        'Paid {amount}. A Labor expense was added to Resources.': 'Naibayad ang {amount}. May naidagdag na gastos na Trabahador sa Gastusin.',
+        'Error saving the payroll. Please try again.': 'May error sa pag-save ng sahod. Pakisubukang muli.',
+        'Select or add a farm to record its labor.': 'Pumili o magdagdag ng sakahan para maitala ang paggawa nito.',
+        'e.g. Mang Pedro': 'hal. Mang Pedro',
+        'e.g. sack': 'hal. sako',
+        'e.g. Rained in the afternoon': 'hal. Umulan noong hapon',
+        'Labor Cost': 'Gastos sa Paggawa',
+        'Unpaid Wages': 'Hindi Pa Bayad na Sahod',
+        'Payroll': 'Sahod',
+        'Pay Crew': 'Bayaran ang Grupo',
+        'Attendance': 'Pagdalo',
+        '+ Attendance': '+ Pagdalo',
+        'Workers': 'Mga Manggagawa',
+        '+ Worker': '+ Manggagawa',
+        'Pay': 'Bayad',
+        'Rate (₱)': 'Halaga (₱)',
+        'Unit of Work': 'Yunit ng Trabaho',
+        'Phone': 'Telepono',
+        'Still works with the crew': 'Nagtatrabaho pa sa grupo',
+        'Days Worked': 'Araw na Nagtrabaho',
+        'Full day': 'Buong araw',
+        'Half day': 'Kalahating araw',
+        'Crew': 'Grupo',
+        'To': 'Hanggang',
+        'Paying records one Labor expense for these wages in Resources.': 'Ang pagbabayad ay magtatala ng isang gastos na Trabahador para sa mga sahod na ito sa Gastusin.',
+        'Pay & Record Expense': 'Bayaran at Itala ang Gastos',
+        'Per day': 'Bawat araw',
+        'Per piece': 'Bawat piraso',
+        'Paid': 'Bayad na',
+        'Unpaid': 'Hindi pa bayad',
+        'sack': 'sako',
+        'cavan': 'kaban',
+        'row': 'hanay',
+        'bundle': 'bigkis',
+        'piece': 'piraso',
+        'Attendance records': 'Mga talaan ng pagdalo',
+        'Water Log': 'Talaan ng Tubig',
+        'Water & Rainfall': 'Tubig at Ulan',
+        'MADB - Water & Rainfall': 'MADB - Tubig at Ulan',
+        'needs standing water': 'kailangan ng nakatigil na tubig',
+        'drain the field': 'patuyuin ang bukid',
+        'Rainfall (mm)': 'Ulan (mm)',
+        'Standing Water (cm)': 'Tubig sa Bukid (cm)',
+        'Irrigation': 'Patubig',
+        'No days logged yet. Record rain, irrigation and the water level in the field.': 'Wala pang naitalang araw. Itala ang ulan, patubig at taas ng tubig sa bukid.',
+        'Irrigated {hours} h': 'Pinatubigan {hours} oras',
+        'Irrigated': 'Pinatubigan',
+        'Enter the rainfall, an irrigation or the water depth for this day.': 'Ilagay ang ulan, patubig o lalim ng tubig para sa araw na ito.',
+        'Error saving the water log. Please try again.': 'May error sa pag-save ng talaan ng tubig. Pakisubukang muli.',
+        'Are you sure you want to delete this day from the log?': 'Sigurado ka bang buburahin ang araw na ito sa talaan?',
+        'Error deleting from the water log. Please try again.': 'May error sa pagbura sa talaan ng tubig. Pakisubukang muli.',
+        'The file has no weather rows. The first row must be the column headers.': 'Walang datos ng panahon ang file. Ang unang hanay ay dapat mga pamagat ng kolum.',
+        'Choose at least one column for rainfall, irrigation or water depth.': 'Pumili ng kahit isang kolum para sa ulan, patubig o lalim ng tubig.',
+        'bad rainfall "{value}"': 'maling ulan "{value}"',
+        'bad irrigation "{value}"': 'maling patubig "{value}"',
+        'bad water depth "{value}"': 'maling lalim ng tubig "{value}"',
+        'nothing to import': 'walang maii-import',
+        'updates day': 'ina-update ang araw',
+        'Imported {count} day(s) of weather.': 'Na-import ang {count} araw ng panahon.',
+        'Error importing weather. Please try again.': 'May error sa pag-import ng panahon. Pakisubukang muli.',
+        'Select or add a farm to keep its water log.': 'Pumili o magdagdag ng sakahan para maitala ang tubig nito.',
+        'e.g. Canal water shared with neighbor': 'hal. Tubig ng kanal na kahati ang kapitbahay',
+        'Rainfall': 'Ulan',
+        'Irrigations': 'Mga Patubig',
+        'Standing Water': 'Tubig sa Bukid',
+        'No water records yet': 'Wala pang talaan ng tubig',
+        '⬆ Import Weather CSV': '⬆ I-import ang CSV ng Panahon',
+        'Import Weather CSV': 'I-import ang CSV ng Panahon',
+        'Daily Log': 'Talaan Araw-araw',
+        '+ Day': '+ Araw',
+        'Log a Day': 'Magtala ng Araw',
+        'Edit Day': 'I-edit ang Araw',
+        'Hours': 'Oras',
+        'Match each field to a column in your file. Days already in the log keep any value the file leaves blank.': 'Itugma ang bawat field sa isang kolum ng iyong file. Ang mga araw na nasa talaan na ay mananatili ang halagang blangko sa file.',
+        'No irrigation or heavy rain recorded during {stage}': 'Walang naitalang patubig o malakas na ulan sa {stage}',
+        'Rice needs standing water in this stage.': 'Kailangan ng palay ng nakatigil na tubig sa yugtong ito.',
+        'No irrigation or heavy rain for {days} days during {stage}': 'Walang patubig o malakas na ulan sa loob ng {days} araw sa {stage}',
+        'Last watered {date}': 'Huling pinatubigan {date}',
+        'The field was dry on {date} during {stage}': 'Tuyo ang bukid noong {date} sa {stage}',
+        'Keep 3–5 cm of standing water in this stage.': 'Panatilihin ang 3–5 cm na tubig sa yugtong ito.',
+        'Drain the field before harvest: {depth} cm of water on {date}': 'Patuyuin ang bukid bago mag-ani: {depth} cm na tubig noong {date}',
+        'A dry field ripens evenly and is easier to harvest.': 'Ang tuyong bukid ay pantay na nahihinog at mas madaling anihin.',
+        'Water log days': 'Mga araw sa talaan ng tubig',
+        'MADB - Pests & Diseases': 'MADB - Peste at Sakit',
+        'Pests & Diseases': 'Peste at Sakit',
+        '🐛 Pests & Diseases': '🐛 Peste at Sakit',
+        'Scouting Records': 'Mga Tala ng Pagmamanman',
+        'Scouting records': 'Mga tala ng pagmamanman',
+        '+ Observation': '+ Obserbasyon',
+        'Add Observation': 'Magdagdag ng Obserbasyon',
+        'Edit Observation': 'I-edit ang Obserbasyon',
+        'Pest or Disease': 'Peste o Sakit',
+        'Severity': 'Tindi',
+        'Area Affected (%)': 'Apektadong Lawak (%)',
+        'Treatment Expense': 'Gastos sa Paggamot',
+        'Record a pesticide expense': 'Itala ang gastos sa pestisidyo',
+        'Notes': 'Mga Tala',
+        'e.g. Deadhearts near the canal': 'hal. Patay na suloy malapit sa kanal',
+        'Not treated yet': 'Hindi pa nagagamot',
+        'Treated': 'Nagamot na',
+        'Treated: {name}': 'Nagamot: {name}',
+        'Treatment recommended': 'Inirerekomenda ang paggamot',
+        'Treatment recommended: {pests}': 'Inirerekomenda ang paggamot: {pests}',
+        'No treatment needed right now.': 'Hindi pa kailangan ng paggamot ngayon.',
+        'Link the pesticide expense to the observation once you have sprayed.': 'Ikabit ang gastos sa pestisidyo sa obserbasyon kapag nakapag-spray na.',
+        '{percent}% of the field': '{percent}% ng bukid',
+        'No scouting records yet. Walk the field and note any pests or diseases you see.': 'Wala pang tala ng pagmamanman. Libutin ang bukid at itala ang mga peste o sakit na makita.',
+        'No scouting records yet.': 'Wala pang tala ng pagmamanman.',
+        'Scout the field': 'Manmanan ang bukid',
+        'View scouting': 'Tingnan ang pagmamanman',
+        'Nothing seen in the last {weeks} weeks.': 'Walang nakita sa nakaraang {weeks} linggo.',
+        'Error saving observation. Please try again.': 'May error sa pag-save ng obserbasyon. Pakisubukang muli.',
+        'Are you sure you want to delete this observation?': 'Sigurado ka bang buburahin ang obserbasyong ito?',
+        'Error deleting observation. Please try again.': 'May error sa pagbura ng obserbasyon. Pakisubukang muli.',
+        'Select or add a farm to record pests and diseases.': 'Pumili o magdagdag ng sakahan para maitala ang mga peste at sakit.',
+        'Pests': 'Mga Peste',
+        'Diseases': 'Mga Sakit',
+        'Low': 'Mababa',
+        'Moderate': 'Katamtaman',
+        'High': 'Mataas',
+        'Severe': 'Malubha',
+        'Stem borer': 'Aksip (stem borer)',
+        'Rice bug': 'Atangya',
+        'Brown planthopper': 'Kayumangging ngusong-kabayo',
+        'Green leafhopper': 'Berdeng ngusong-kabayo',
+        'Rice black bug': 'Itim na atangya',
+        'Leaffolder': 'Uod na nagtitiklop ng dahon',
+        'Armyworm / cutworm': 'Harabas',
+        'Golden apple snail': 'Golden kuhol',
+        'Rats': 'Daga',
+        'Rice blast': 'Blast ng palay',
+        'Bacterial leaf blight': 'Bacterial leaf blight (pagkalanta ng dahon)',
+        'Sheath blight': 'Sheath blight (bulok ng suloy)',
+        'Tungro': 'Tungro',
+        'Brown spot': 'Brown spot (kayumangging batik)',
+        'Other pest or disease': 'Ibang peste o sakit',
+        'MADB - Farm Journal': 'MADB - Talaan ng Sakahan',
+        'Farm Journal': 'Talaan ng Sakahan',
+        'Timeline': 'Kasaysayan',
+        '+ Entry': '+ Tala',
+        'Add Journal Entry': 'Magdagdag ng Tala',
+        'Edit Journal Entry': 'I-edit ang Tala',
+        'Stage': 'Yugto',
+        'What happened?': 'Ano ang nangyari?',
+        'e.g. Heavy rain, water level high in the lower paddy': 'hal. Malakas na ulan, mataas ang tubig sa ibabang pitak',
+        'Photos': 'Mga Larawan',
+        'Not linked to a stage': 'Hindi nakakabit sa yugto',
+        'Whole stage': 'Buong yugto',
+        'Remove photo': 'Alisin ang larawan',
+        'No journal entries yet. Note what happened on the field, with photos.': 'Wala pang tala. Isulat ang nangyari sa bukid, kasama ang mga larawan.',
+        'Load older entries': 'Ipakita ang mas lumang tala',
+        'Photos are on the phone that took them.': 'Nasa teleponong kumuha ng mga larawan ang mga ito.',
+        'Could not read this photo. Please choose another one.': 'Hindi mabasa ang larawang ito. Pumili ng iba.',
+        'Write a note or add a photo.': 'Sumulat ng tala o magdagdag ng larawan.',
+        'Error saving journal entry. Please try again.': 'May error sa pag-save ng tala. Pakisubukang muli.',
+        'Delete this journal entry and its photos?': 'Burahin ang talang ito at ang mga larawan nito?',
+        'Error deleting journal entry. Please try again.': 'May error sa pagbura ng tala. Pakisubukang muli.',
+        'Select or add a farm to keep its journal.': 'Pumili o magdagdag ng sakahan para maitala ang mga nangyayari dito.',
+        'Add journal note': 'Magdagdag ng tala',
+        'Journal entries': 'Mga tala',
+        'Add to phone calendar': 'Idagdag sa kalendaryo ng telepono',
+        'Error exporting the calendar. Please try again.': 'Nagkaroon ng error sa pag-export ng kalendaryo. Pakisubukang muli.',
+
+        // Crop plans
+        'Transplanted Inbred (123 days)': 'Inbred na Inilipat-tanim (123 araw)',
+        'Standard transplanting plan with 25-day-old seedlings and ~90 days of growth.': 'Karaniwang plano ng paglilipat-tanim gamit ang 25 araw na punla at ~90 araw ng paglaki.',
+        'Inbred': 'Inbred',
+        'Hybrid': 'Hybrid',
+        'Early-maturing Inbred (108 days)': 'Maagang Inbred (108 araw)',
+        'Transplanted early-maturing inbred with ~75 days of growth after transplanting.': 'Inilipat-tanim na maagang inbred na may ~75 araw ng paglaki pagkalipat-tanim.',
+        'Transplanted Hybrid (128 days)': 'Hybrid na Inilipat-tanim (128 araw)',
+        'Transplanted hybrid with a heavier fertilizer program and ~95 days of growth.': 'Inilipat-tanim na hybrid na mas maraming pataba at ~95 araw ng paglaki.',
+        'Direct-seeded Inbred (128 days)': 'Inbred na Sabog-tanim (128 araw)',
+        'Wet direct seeding of pre-germinated seed with no nursery or transplanting.': 'Tuwirang pagsasabog ng sumibol nang binhi sa basang lupa, walang punlaan o paglilipat-tanim.',
+
+        // Crop plan stages (shared by the built-in plans)
+        '1. Land Cultivation Phase': '1. Yugto ng Paghahanda ng Lupa',
+        'Land Cultivation Phase': 'Yugto ng Paghahanda ng Lupa',
+        'Prepare the field through deep plowing and leveling to create ideal soil conditions for rice transplanting.': 'Ihanda ang bukid sa malalim na pag-aararo at pagpapatag para maging angkop ang lupa sa paglilipat-tanim ng palay.',
+        'Start land cultivation at the beginning of your planting season. Coordinate with seed preparation (Phase 2).': 'Simulan ang paghahanda ng lupa sa umpisa ng taniman. Isabay ito sa paghahanda ng binhi (Yugto 2).',
+        'Perform deep plowing (deep tillage to break soil and incorporate organic matter and wait for soil to settle)': 'Mag-araro nang malalim (durugin ang lupa, ihalo ang organikong bagay at hintaying tumining ang lupa)',
+        'Level the field (create uniform water depth and smooth surface)': 'Patagin ang bukid (pantay na lalim ng tubig at makinis na ibabaw)',
+        '2. Seed Preparation Phase': '2. Yugto ng Paghahanda ng Binhi',
+        'Seed Preparation Phase': 'Yugto ng Paghahanda ng Binhi',
+        'Prepare high-quality seedlings while land cultivation is ongoing; seedlings should be 25 days old by transplanting.': 'Maghanda ng de-kalidad na punla habang inihahanda ang lupa; dapat 25 araw na ang punla sa paglilipat-tanim.',
+        'Start seed soaking 1 week after plowing begins.': 'Simulan ang pagbababad ng binhi 1 linggo pagkatapos magsimula ang pag-aararo.',
+        'Start soaking seeds (soak 2 days)': 'Simulan ang pagbababad ng binhi (ibabad nang 2 araw)',
+        'Transfer sprouted seeds to nursery bed. Nurture seedlings in nursery for 25 days': 'Ilipat sa punlaan ang sumibol na binhi. Alagaan ang punla sa punlaan nang 25 araw',
+        'Seedlings ready for transplanting (25 days old)': 'Handa nang ilipat-tanim ang punla (25 araw na)',
+        '3. Pre-Transplantation (Field Treatment)': '3. Bago Maglipat-tanim (Paglilinis ng Bukid)',
+        'Pre-Transplantation (Field Treatment)': 'Bago Maglipat-tanim (Paglilinis ng Bukid)',
+        'Treat the leveled field with pesticide to remove remaining pests before transplanting the seedlings.': 'Spreyan ng pestisidyo ang napatag na bukid para maalis ang natitirang peste bago ilipat-tanim ang punla.',
+        'Perform this step only after field leveling and seedlings readiness — schedule shown below.': 'Gawin lamang ito kapag napatag na ang bukid at handa na ang punla — nasa ibaba ang iskedyul.',
+        'Verify soil is leveled (Phase 1)': 'Tiyaking patag na ang lupa (Yugto 1)',
+        'Verify seedlings are ready (Phase 2)': 'Tiyaking handa na ang punla (Yugto 2)',
+        'Apply pesticide on the entire field to eliminate remaining pests': 'Spreyan ng pestisidyo ang buong bukid para maalis ang natitirang peste',
+        '4. Transplanting': '4. Paglilipat-tanim',
+        'Transplanting': 'Paglilipat-tanim',
+        'Transplant the mature seedlings from the nursery to the prepared and treated field — this marks Day 0 of growth.': 'Ilipat ang hustong punla mula sa punlaan papunta sa nakahanda at nalinis na bukid — ito ang Araw 0 ng paglaki.',
+        'Transplant only after the field is leveled, treated and seedlings are ready.': 'Maglipat-tanim lamang kapag patag at nalinis na ang bukid at handa na ang punla.',
+        'Transplant seedlings to main field': 'Ilipat ang punla sa pangunahing bukid',
+        'Plant at proper spacing for optimal growth': 'Itanim sa tamang agwat para sa maayos na paglaki',
+        'Record transplanting date (start of 90-day growth period)': 'Itala ang petsa ng paglilipat-tanim (simula ng 90 araw na paglaki)',
+        '5. Fertilizer & Pesticide Management': '5. Pamamahala ng Pataba at Pestisidyo',
+        'Fertilizer & Pesticide Management': 'Pamamahala ng Pataba at Pestisidyo',
+        'Apply fertilizers and pesticides on a schedule after transplanting. Resources calculated per hectare.': 'Maglagay ng pataba at pestisidyo ayon sa iskedyul pagkatapos ng paglilipat-tanim. Kinuwenta ang gamit bawat ektarya.',
+        'Monitor the condition of the rice crop.': 'Bantayan ang kalagayan ng palay.',
+        'Apply pesticide every 2 weeks and adjust applications depending on the condition of the rice crop': 'Mag-spray ng pestisidyo tuwing 2 linggo at iangkop ito sa kalagayan ng palay',
+        'Apply first fertilizer - wait 15 days for side dressing': 'Ilagay ang unang pataba - maghintay ng 15 araw bago ang side dressing',
+        'Apply side dressing - wait 15 days for top dressing': 'Maglagay ng side dressing - maghintay ng 15 araw bago ang top dressing',
+        'Apply top dressing': 'Maglagay ng top dressing',
+        '6. Harvesting': '6. Pag-aani',
+        'Harvesting': 'Pag-aani',
+        'Rice is ready to harvest ~90 days after transplanting when grains reach optimal maturity.': 'Handa nang anihin ang palay ~90 araw pagkatapos ng paglilipat-tanim kapag hinog na ang butil.',
+        'Early-maturing rice is ready to harvest ~75 days after transplanting when grains reach optimal maturity.': 'Handa nang anihin ang maagang palay ~75 araw pagkatapos ng paglilipat-tanim kapag hinog na ang butil.',
+        'Hybrid rice is ready to harvest ~95 days after transplanting when grains reach optimal maturity.': 'Handa nang anihin ang hybrid na palay ~95 araw pagkatapos ng paglilipat-tanim kapag hinog na ang butil.',
+        'Rice is ready to harvest ~100 days after seeding when grains reach optimal maturity.': 'Handa nang anihin ang palay ~100 araw pagkatapos magsabog ng binhi kapag hinog na ang butil.',
+        'Harvest when grains are golden yellow; then dry and store properly.': 'Umani kapag ginintuang dilaw na ang butil; patuyuin at itago nang maayos.',
+        'Inspect crop maturity (look for golden grains)': 'Suriin kung hinog na ang palay (hanapin ang ginintuang butil)',
+        'Harvest your rice crops with reaper': 'Anihin ang palay gamit ang reaper',
+        'Dry grains to proper moisture content': 'Patuyuin ang butil hanggang sa tamang halumigmig',
+        'Store dried grains in clean, dry bags': 'Itago ang tuyong butil sa malinis at tuyong sako',
+        'Plow and level the field carefully; direct-seeded rice needs a very even surface so seeds are not drowned in low spots.': 'Araruhin at patagin nang mabuti ang bukid; kailangan ng sabog-tanim na palay ang napakapantay na lupa para hindi malunod ang binhi sa mabababang bahagi.',
+        'Level twice if needed. Puddles left after draining will kill germinating seeds.': 'Patagin nang dalawang beses kung kailangan. Pinapatay ng naiwang lusak ang sumisibol na binhi.',
+        '2. Seed Pre-germination': '2. Pagpapasibol ng Binhi',
+        'Soak and incubate seeds so they are just sprouting when the field is ready for broadcasting.': 'Ibabad at ikulob ang binhi para kasisibol pa lang ito kapag handa na ang bukid sa pagsasabog.',
+        'Use about 40 kg of seed per hectare. Sow within a day after sprouts appear.': 'Gumamit ng mga 40 kg na binhi bawat ektarya. Isabog sa loob ng isang araw pagsibol.',
+        'Soak seeds for 24 hours': 'Ibabad ang binhi nang 24 oras',
+        'Incubate soaked seeds for 24–36 hours until sprouts show': 'Ikulob ang ibinabad na binhi nang 24–36 oras hanggang sumibol',
+        '3. Direct Seeding': '3. Tuwirang Pagsasabog',
+        'Drain the field and broadcast or drum-seed the pre-germinated seeds directly on the puddled soil — this marks Day 0 of growth.': 'Patuyuin ang bukid at isabog o i-drum seed ang sumibol na binhi sa malambot na lupa — ito ang Araw 0 ng paglaki.',
+        'Keep the soil saturated but not flooded for the first week.': 'Panatilihing basa pero hindi lubog ang lupa sa unang linggo.',
+        'Drain the field to a saturated surface': 'Patuyuin ang bukid hanggang basa na lang ang ibabaw',
+        'Broadcast or drum-seed pre-germinated seeds evenly': 'Isabog o i-drum seed nang pantay ang sumibol na binhi',
+        'Record seeding date (start of growth period)': 'Itala ang petsa ng pagsasabog (simula ng paglaki)',
+        '4. Weed Control': '4. Pagkontrol ng Damo',
+        'Direct-seeded fields have no water cover at the start, so weeds must be controlled early.': 'Walang tubig na tumatakip sa sabog-tanim na bukid sa umpisa, kaya kailangang kontrolin agad ang damo.',
+        'Apply herbicide only on moist soil and follow the label rate.': 'Mag-spray ng herbicide lamang sa basang lupa at sundin ang dami sa etiketa.',
+        'Apply pre-emergence herbicide': 'Mag-spray ng pre-emergence herbicide',
+        'Gradually flood the field to 2–3 cm': 'Unti-unting patubigan ang bukid hanggang 2–3 cm',
+        'Hand-weed remaining weeds': 'Bunutin ng kamay ang natitirang damo',
+        'Apply fertilizers and pesticides on a schedule after seeding. Resources calculated per hectare.': 'Maglagay ng pataba at pestisidyo ayon sa iskedyul pagkatapos magsabog. Kinuwenta ang gamit bawat ektarya.',
+
+        // Dashboard stage labels
+        'Land Prep': 'Lupa',
+        'Seeds': 'Binhi',
+        'Treatment': 'Paglilinis',
+        'Planting': 'Pagtatanim',
+        'Growth': 'Paglaki',
+        'Harvest': 'Ani',
+
+        // Crop plans page
+        'Crop Plans - MADB': 'Mga Plano ng Pananim - MADB',
+        'Crop Plans': 'Mga Plano ng Pananim',
+        '🌾 Crop Plans': '🌾 Mga Plano ng Pananim',
+        'Crop plans': 'Mga plano ng pananim',
+        'Stages and tasks for each variety and planting method': 'Mga yugto at gawain sa bawat barayti at paraan ng pagtatanim',
+        'Loading crop plans...': 'Nilo-load ang mga plano ng pananim...',
+        'Error loading crop plans. Please refresh the page.': 'Nagkaroon ng error sa pag-load ng mga plano ng pananim. Paki-refresh ang pahina.',
+        'Built-in': 'Kasama na',
+        '{count} stages': '{count} yugto',
+        'Clone': 'Kopyahin',
+        'Name for the new crop plan:': 'Pangalan ng bagong plano ng pananim:',
+        'Error cloning crop plan. Please try again.': 'Nagkaroon ng error sa pagkopya ng plano ng pananim. Pakisubukang muli.',
+        '"{name}" is used by {farms}. Change those farms to another crop plan first.': 'Ginagamit ng {farms} ang "{name}". Palitan muna ang plano ng pananim ng mga sakahang iyon.',
+        'Delete "{name}"? This action cannot be undone.': 'Burahin ang "{name}"? Hindi na ito maibabalik.',
+        'Error deleting crop plan. Please try again.': 'Nagkaroon ng error sa pagbura ng plano ng pananim. Pakisubukang muli.',
+        'Stage title': 'Pamagat ng yugto',
+        'Dashboard label': 'Label sa dashboard',
+        'Start day': 'Araw ng simula',
+        'Tip': 'Payo',
+        'Tasks (text and day)': 'Mga gawain (teksto at araw)',
+        'Resources per hectare': 'Gamit bawat ektarya',
+        'Fertilizer applications (one per line: day, amount)': 'Paglalagay ng pataba (isa bawat linya: araw, dami)',
+        'Edit Crop Plan': 'I-edit ang Plano ng Pananim',
+        'Variety': 'Barayti',
+        'Planting method': 'Paraan ng pagtatanim',
+        'Save Crop Plan': 'I-save ang Plano ng Pananim',
+        'Each stage needs a title and a start day of 0 or more.': 'Kailangan ng bawat yugto ng pamagat at araw ng simula na 0 o higit pa.',
+        'Task "{text}" needs a day of 0 or more.': 'Kailangan ng gawaing "{text}" ng araw na 0 o higit pa.',
+        'Error saving crop plan. Please try again.': 'Nagkaroon ng error sa pag-save ng plano ng pananim. Pakisubukang muli.',
+
+        // Farm setup
+        'Farm Setup - MADB': 'Pag-set up ng Sakahan - MADB',
+        'Farm Setup': 'Pag-set up ng Sakahan',
+        'Enter your farm details to personalize your experience.': 'Ilagay ang detalye ng iyong sakahan para iangkop ang app sa iyo.',
+        'Size (hectares)': 'Laki (ektarya)',
+        'Starting Date': 'Petsa ng Simula',
+        'Select...': 'Pumili...',
+        'Variety and planting method.': 'Barayti at paraan ng pagtatanim.',
+        'Manage crop plans': 'Ayusin ang mga plano ng pananim',
+        'Save & Continue': 'I-save at Magpatuloy',
+        'e.g. Rice Field': 'hal. Palayan',
+        'Farm not found': 'Hindi makita ang sakahan',
+        'Edit Farm': 'I-edit ang Sakahan',
+        'Update your farm details.': 'I-update ang detalye ng iyong sakahan.',
+        'Save Changes': 'I-save ang mga Pagbabago',
+        'Error loading farm. Please try again.': 'Nagkaroon ng error sa pag-load ng sakahan. Pakisubukang muli.',
+        'Changing the crop plan will clear the tasks already marked as done for this farm. Continue?': 'Mabubura ang mga gawaing namarkahang tapos sa sakahang ito kapag pinalitan ang plano ng pananim. Ituloy?',
+        'Error saving farm information. Please try again.': 'Nagkaroon ng error sa pag-save ng impormasyon ng sakahan. Pakisubukang muli.',
+
+        // Harvest and sales
+        'MADB - Harvest & Sales': 'MADB - Ani at Benta',
+        'Harvested': 'Naani',
+        'Total Cost': 'Kabuuang Gastos',
+        'Still Owed by Buyers': 'Utang pa ng mga Mamimili',
+        'Harvests': 'Mga Ani',
+        '+ Harvest': '+ Ani',
+        'Sales': 'Mga Benta',
+        '+ Sale': '+ Benta',
+        'Sacks': 'Sako',
+        'Kilograms': 'Kilo',
+        'Kg per Sack': 'Kg bawat Sako',
+        'Moisture (%)': 'Halumigmig (%)',
+        'Grade': 'Grado',
+        'Premium': 'Premium',
+        'Grade 1': 'Grado 1',
+        'Grade 2': 'Grado 2',
+        'Grade 3': 'Grado 3',
+        'Ungraded': 'Walang grado',
+        'Buyer': 'Mamimili',
+        'Quantity (kg)': 'Dami (kg)',
+        'Price per kg (₱)': 'Presyo bawat kg (₱)',
+        'Amount Paid (₱)': 'Halagang Nabayaran (₱)',
+        'e.g. NFA, local trader': 'hal. NFA, lokal na negosyante',
+        'No harvests recorded yet.': 'Wala pang naitalang ani.',
+        'No sales recorded yet.': 'Wala pang naitalang benta.',
+        '{percent}% moisture': '{percent}% halumigmig',
+        'Owes {amount}': 'May utang na {amount}',
+        'Fully paid': 'Bayad na lahat',
+        'Add Harvest': 'Magdagdag ng Ani',
+        'Edit Harvest': 'I-edit ang Ani',
+        'Add Sale': 'Magdagdag ng Benta',
+        'Edit Sale': 'I-edit ang Benta',
+        'Please fill in all required fields.': 'Pakipunan ang lahat ng kailangang field.',
+        'Error saving harvest. Please try again.': 'Nagkaroon ng error sa pag-save ng ani. Pakisubukang muli.',
+        'Amount paid is more than the sale total. Save anyway?': 'Mas malaki ang nabayaran kaysa sa kabuuang benta. I-save pa rin?',
+        'Error saving sale. Please try again.': 'Nagkaroon ng error sa pag-save ng benta. Pakisubukang muli.',
+        'Are you sure you want to delete this harvest record?': 'Sigurado ka bang buburahin ang talang ito ng ani?',
+        'Error deleting harvest. Please try again.': 'Nagkaroon ng error sa pagbura ng ani. Pakisubukang muli.',
+        'Are you sure you want to delete this sale?': 'Sigurado ka bang buburahin ang bentang ito?',
+        'Error deleting sale. Please try again.': 'Nagkaroon ng error sa pagbura ng benta. Pakisubukang muli.',
+        'Select or add a farm to record its harvest and sales.': 'Pumili o magdagdag ng sakahan para maitala ang ani at benta nito.',
+
+        // Resources (expenses, budget, stock)
+        'MADB - Farm Inputs & Expenses': 'MADB - Gamit at Gastos sa Sakahan',
+        'Farm Management System': 'Sistema sa Pamamahala ng Sakahan',
+        'Farm Inputs and Expenses': 'Gamit at Gastos sa Sakahan',
+        '🎯 Set Budget': '🎯 Magtakda ng Badyet',
+        'No expenses yet': 'Wala pang gastos',
+        'Total Expenses': 'Kabuuang Gastos',
+        '📦 Input Stock': '📦 Imbentaryo ng Gamit',
+        'Bought = Fertilizer and Pesticides expenses. Used = amounts entered when application tasks are checked off in the Rice Guide.': 'Nabili = mga gastos sa Pataba at Pestisidyo. Nagamit = dami na inilagay nang markahan ang gawain sa Gabay sa Palay.',
+        'Recent Expenses': 'Mga Bagong Gastos',
+        '⬇ Export CSV': '⬇ I-export ang CSV',
+        '⬆ Import CSV': '⬆ Mag-import ng CSV',
+        'Expense Detail': 'Detalye ng Gastos',
+        'Specify Category': 'Tukuyin ang Kategorya',
+        'Amount (₱)': 'Halaga (₱)',
+        'e.g. Urea Fertilizer': 'hal. Urea na Pataba',
+        'e.g.Transportation': 'hal. Pamasahe',
+        'e.g. bags, kg': 'hal. sako, kg',
+        'Farm Budget': 'Badyet ng Sakahan',
+        'Enter amounts': 'Ilagay ang halaga',
+        'Per hectare (multiplied by farm size)': 'Bawat ektarya (imu-multiply sa laki ng sakahan)',
+        'For the whole farm': 'Para sa buong sakahan',
+        'Use suggested amounts': 'Gamitin ang mungkahing halaga',
+        'Remove budget': 'Alisin ang badyet',
+        'Save Budget': 'I-save ang Badyet',
+        'Export Expenses': 'I-export ang mga Gastos',
+        'Expenses to export': 'Mga gastos na ie-export',
+        'All farms': 'Lahat ng sakahan',
+        'Export': 'I-export',
+        'Import Expenses': 'Mag-import ng mga Gastos',
+        'Match each field to a column in your file. Rows without a farm column go to this farm.': 'Itugma ang bawat field sa isang column ng iyong file. Mapupunta sa sakahang ito ang mga hilerang walang column ng sakahan.',
+        'Preview': 'Silipin',
+        'Import': 'I-import',
+        'No expenses recorded yet.': 'Wala pang naitalang gastos.',
+        'Are you sure you want to delete this expense?': 'Sigurado ka bang buburahin ang gastos na ito?',
+        'Error deleting expense. Please try again.': 'Nagkaroon ng error sa pagbura ng gastos. Pakisubukang muli.',
+        'Error saving expense. Please try again.': 'Nagkaroon ng error sa pag-save ng gastos. Pakisubukang muli.',
+        'No category breakdown yet.': 'Wala pang hati ayon sa kategorya.',
+        'Add Fertilizer or Pesticides expenses with a quantity to track stock.': 'Magdagdag ng gastos sa Pataba o Pestisidyo na may dami para masubaybayan ang imbentaryo.',
+        'Input': 'Gamit',
+        'Bought': 'Nabili',
+        'Used': 'Nagamit',
+        'On Hand': 'Natitira',
+        'Edit Expense': 'I-edit ang Gastos',
+        'Enter your farm details so we can tailor the expense tracker for your cropping calendar.': 'Ilagay ang detalye ng iyong sakahan para maiangkop ang talaan ng gastos sa iyong kalendaryo ng taniman.',
+        'Completed - View Only': 'Tapos na - Tingin Lamang',
+        '{amount} per hectare': '{amount} bawat ektarya',
+        'Total budget: {amount}': 'Kabuuang badyet: {amount}',
+        'Budget amounts cannot be negative.': 'Hindi puwedeng negatibo ang halaga ng badyet.',
+        'Error saving budget. Please try again.': 'Nagkaroon ng error sa pag-save ng badyet. Pakisubukang muli.',
+        'Remove the budget for this farm?': 'Alisin ang badyet ng sakahang ito?',
+        'Error removing budget. Please try again.': 'Nagkaroon ng error sa pag-alis ng badyet. Pakisubukang muli.',
+        'Error exporting expenses. Please try again.': 'Nagkaroon ng error sa pag-export ng mga gastos. Pakisubukang muli.',
+        'Could not read this file. Please choose a CSV file.': 'Hindi mabasa ang file na ito. Pumili ng CSV na file.',
+        'The file has no expense rows. The first row must be the column headers.': 'Walang hilera ng gastos ang file. Dapat mga pangalan ng column ang unang hilera.',
+        'Not in file': 'Wala sa file',
+        'Column {number}': 'Column {number}',
+        'Please choose the column for {field}.': 'Piliin ang column para sa {field}.',
+        'missing name': 'walang pangalan',
+        'missing category': 'walang kategorya',
+        'bad date "{value}"': 'maling petsa "{value}"',
+        'bad amount "{value}"': 'maling halaga "{value}"',
+        'bad quantity "{value}"': 'maling dami "{value}"',
+        'unknown farm "{name}"': 'hindi kilalang sakahan "{name}"',
+        '{count} row(s) ready to import': '{count} hilera ang handang i-import',
+        '{count} with problems will be skipped': 'lalaktawan ang {count} na may problema',
+        'Line': 'Linya',
+        'Expense': 'Gastos',
+        'Imported {count} expense(s).': 'Na-import ang {count} gastos.',
+        'Error importing expenses. Please try again.': 'Nagkaroon ng error sa pag-import ng mga gastos. Pakisubukang muli.',
+
+        // Manage farms, backup and sync
+        'Manage Farms - MADB': 'Mga Sakahan - MADB',
+        'View and edit your farm profiles': 'Tingnan at i-edit ang iyong mga sakahan',
+        'Backup & Restore': 'Backup at Pagbawi',
+        'Keep your data safe by creating backups': 'Panatilihing ligtas ang iyong datos sa paggawa ng backup',
+        '📥 Backup My Data': '📥 I-backup ang Aking Datos',
+        '📤 Restore from Backup': '📤 Ibalik mula sa Backup',
+        'Restore from Backup': 'Ibalik mula sa Backup',
+        'Sync Between Phones': 'I-sync sa Ibang Telepono',
+        'Changes are sent to your sync server when you are online': 'Ipinapadala ang mga pagbabago sa iyong sync server kapag may koneksyon',
+        'Turn on sync': 'I-on ang sync',
+        '💾 Save': '💾 I-save',
+        '🔄 Sync Now': '🔄 I-sync Ngayon',
+        '➕ Add New Farm': '➕ Magdagdag ng Sakahan',
+        'Loading farms...': 'Nilo-load ang mga sakahan...',
+        'Merge': 'Pagsamahin',
+        'keep this phone\'s data, add missing records and update older ones': 'panatilihin ang datos ng teleponong ito, idagdag ang kulang na tala at i-update ang mga luma',
+        'Replace': 'Palitan',
+        'erase this phone\'s data and use the backup only': 'burahin ang datos ng teleponong ito at gamitin lang ang backup',
+        'Restore': 'Ibalik',
+        'Error loading farms. Please refresh the page.': 'Nagkaroon ng error sa pag-load ng mga sakahan. Paki-refresh ang pahina.',
+        'No Farms Yet': 'Wala Pang Sakahan',
+        'Get started by adding your first farm profile.': 'Magsimula sa pagdaragdag ng iyong unang sakahan.',
+        'Report': 'Ulat',
+        'Unmark': 'Alisin ang marka',
+        'Farm selected successfully!': 'Napili ang sakahan!',
+        'Error selecting farm. Please try again.': 'Nagkaroon ng error sa pagpili ng sakahan. Pakisubukang muli.',
+        'Are you sure you want to delete "{name}"?': 'Sigurado ka bang buburahin ang "{name}"?',
+        'This will also delete everything recorded for this farm: expenses, harvests, sales, attendance, equipment use, scouting, water log and journal entries.': 'Mabubura rin ang lahat ng naitala para sa sakahang ito: gastos, ani, benta, pagdalo ng mga manggagawa, paggamit ng makinarya, pagmamanman, talaan ng tubig at mga tala.',
+        'Note: This is your active farm. Another farm will be selected automatically.': 'Paalala: Ito ang iyong aktibong sakahan. Awtomatikong pipili ng ibang sakahan.',
+        'Farm deleted successfully!': 'Nabura ang sakahan!',
+        'Error deleting farm. Please try again.': 'Nagkaroon ng error sa pagbura ng sakahan. Pakisubukang muli.',
+        'Farm "{name}" is now active again!': 'Aktibo na muli ang sakahang "{name}"!',
+        'Error unmarking farm. Please try again.': 'Nagkaroon ng error sa pag-alis ng marka. Pakisubukang muli.',
+        'Preparing backup...': 'Inihahanda ang backup...',
+        'Backup saved: {filename}': 'Na-save ang backup: {filename}',
+        '❌ Failed to create backup': '❌ Hindi nagawa ang backup',
+        '❌ Please select a valid JSON backup file': '❌ Pumili ng tamang JSON na backup file',
+        'Reading backup file...': 'Binabasa ang backup file...',
+        'Backup file is not valid JSON': 'Hindi tamang JSON ang backup file',
+        'This backup cannot be restored. Nothing was changed.': 'Hindi maibabalik ang backup na ito. Walang binago.',
+        'Farms': 'Mga Sakahan',
+        'Expenses': 'Mga Gastos',
+        'In backup': 'Nasa backup',
+        'This will REPLACE all your current farms and everything recorded for them!': 'PAPALITAN nito ang lahat ng iyong sakahan at lahat ng naitala para sa mga ito!',
+        'Records already on this phone are updated only when the backup copy is newer.': 'Ina-update lang ang mga tala sa teleponong ito kung mas bago ang kopya sa backup.',
+        'Import cancelled': 'Kinansela ang pag-import',
+        '⚠️ This will REPLACE all your current data!\n\nContinue?': '⚠️ PAPALITAN nito ang lahat ng iyong datos!\n\nItuloy?',
+        'Restoring backup...': 'Ibinabalik ang backup...',
+        'Merged: {added} added, {updated} updated, {skipped} skipped': 'Pinagsama: {added} idinagdag, {updated} in-update, {skipped} nilaktawan',
+        'Restored {farmsImported} farms, {expensesImported} expenses, {harvestsImported} harvests and {salesImported} sales': 'Naibalik ang {farmsImported} sakahan, {expensesImported} gastos, {harvestsImported} ani at {salesImported} benta',
+        '❌ Failed to restore backup': '❌ Hindi naibalik ang backup',
+        '{count} change waiting to be sent': '{count} pagbabago ang naghihintay maipadala',
+        '{count} changes waiting to be sent': '{count} pagbabago ang naghihintay maipadala',
+        'Last synced {time}': 'Huling na-sync {time}',
+        'Last attempt failed: {error}': 'Pumalya ang huling subok: {error}',
+        'Please enter the sync server address, starting with http:// or https://': 'Ilagay ang address ng sync server, nagsisimula sa http:// o https://',
+        'Sync turned on': 'Naka-on ang sync',
+        'Sync turned off': 'Naka-off ang sync',
+        'Syncing...': 'Nagsi-sync...',
+        'Sent {pushed} changes, received {applied}': 'Naipadala ang {pushed} pagbabago, natanggap ang {applied}',
+        '❌ Sync failed. Your changes are kept and will be sent later.': '❌ Pumalya ang sync. Nakatago ang iyong mga pagbabago at ipapadala mamaya.',
+
+        // Farm report
+        'Farm Report - MADB': 'Ulat ng Sakahan - MADB',
+        '← Manage Farms': '← Mga Sakahan',
+        '🖨️ Print / Save as PDF': '🖨️ I-print / I-save bilang PDF',
+        'Loading report...': 'Nilo-load ang ulat...',
+        'Season Report': 'Ulat ng Taniman',
+        'End-of-Season Report': 'Ulat ng Pagtatapos ng Taniman',
+        'Season Report (in progress)': 'Ulat ng Taniman (kasalukuyan)',
+        'Farm Details': 'Detalye ng Sakahan',
+        'Completed on {date}': 'Natapos noong {date}',
+        'In progress': 'Kasalukuyan',
+        'Last Expense': 'Huling Gastos',
+        'Planned vs Actual Task Dates': 'Planado at Aktwal na Petsa ng Gawain',
+        '{done} of {total} tasks recorded as done.': '{done} sa {total} gawain ang naitalang tapos.',
+        'Planned': 'Planado',
+        'Actual': 'Aktwal',
+        'Difference': 'Pagkakaiba',
+        'On time': 'Nasa oras',
+        '{days} day(s) late': '{days} araw na huli',
+        '{days} day(s) early': '{days} araw na maaga',
+        'Not recorded': 'Hindi naitala',
+        'Expenses by Category': 'Gastos ayon sa Kategorya',
+        'Per Hectare': 'Bawat Ektarya',
+        'Share': 'Bahagi',
+        'Expenses over Time': 'Gastos sa Paglipas ng Panahon',
+        'Cost and Income Summary': 'Buod ng Gastos at Kita',
+        'Cost per Hectare': 'Gastos bawat Ektarya',
+        'Itemized Expenses': 'Detalyadong Gastos',
+        'Item': 'Aytem',
+        'Qty': 'Dami',
+        'No expenses recorded.': 'Walang naitalang gastos.',
+        'Farm not found. Open the report from Manage Farms.': 'Hindi makita ang sakahan. Buksan ang ulat mula sa Mga Sakahan.',
+        'Generated {date} with MagtanimAyDiBiro': 'Ginawa noong {date} gamit ang MagtanimAyDiBiro',
+        'Error loading the report. Please refresh the page.': 'Nagkaroon ng error sa pag-load ng ulat. Paki-refresh ang pahina.',
+
+        // Reminder settings and history
+        'Reminder Settings - MADB': 'Setting ng Paalala - MADB',
+        'Reminder Settings': 'Setting ng Paalala',
+        'Choose when and how you are reminded': 'Piliin kung kailan at paano ka paaalalahanan',
+        'Alerts': 'Mga Alerto',
+        'This browser cannot show alerts. Reminders appear on the dashboard.': 'Hindi makapagpakita ng alerto ang browser na ito. Makikita ang mga paalala sa dashboard.',
+        'Alerts are turned on for this phone.': 'Naka-on ang mga alerto sa teleponong ito.',
+        'Alerts are blocked. Allow notifications for this app in your browser settings to get reminders.': 'Naka-block ang mga alerto. Payagan ang notification ng app na ito sa setting ng browser para makatanggap ng paalala.',
+        'Alerts are off. Reminders only appear on the dashboard.': 'Naka-off ang mga alerto. Sa dashboard lang makikita ang mga paalala.',
+        'Turn on alerts': 'I-on ang mga alerto',
+        'How far ahead': 'Gaano kaaga',
+        'Remind me about field tasks (days before)': 'Paalalahanan ako sa mga gawain sa bukid (ilang araw bago)',
+        'Warn me about low fertilizer or pesticide stock (days before it is needed)': 'Babalaan ako kapag kulang ang pataba o pestisidyo (ilang araw bago kailanganin)',
+        'Quiet hours': 'Tahimik na oras',
+        'No alerts during quiet hours': 'Walang alerto sa tahimik na oras',
+        'From': 'Mula',
+        'Until': 'Hanggang',
+        'Reminders due during quiet hours are sent at the next check after they end.': 'Ipinapadala ang mga paalalang natapat sa tahimik na oras sa susunod na pagsuri pagkatapos nito.',
+        'How alerts arrive': 'Paano dumarating ang alerto',
+        'One alert for each task': 'Isang alerto sa bawat gawain',
+        'One daily summary of all tasks': 'Isang buod ng lahat ng gawain araw-araw',
+        'Vibrate': 'Mag-vibrate',
+        'Keep alerts for tasks due today or overdue on screen until I open them': 'Panatilihin sa screen ang alerto ng mga gawaing ngayon o lampas na hanggang buksan ko',
+        'Mute farms': 'I-mute ang mga sakahan',
+        'Muted farms still show reminders on the dashboard but send no alerts.': 'Makikita pa rin sa dashboard ang paalala ng naka-mute na sakahan pero hindi ito magpapadala ng alerto.',
+        '💾 Save Settings': '💾 I-save ang Setting',
+        'No active farms.': 'Walang aktibong sakahan.',
+        'Error loading settings. Please refresh the page.': 'Nagkaroon ng error sa pag-load ng setting. Paki-refresh ang pahina.',
+        'Reminder settings saved': 'Na-save ang setting ng paalala',
+        'Error saving settings. Please try again.': 'Nagkaroon ng error sa pag-save ng setting. Pakisubukang muli.',
+        'Reminders - MADB': 'Mga Paalala - MADB',
+        'Reminders sent on this phone': 'Mga paalalang ipinadala sa teleponong ito',
+        'Needs attention': 'Kailangang asikasuhin',
+        'New': 'Bago',
+        'Snoozed': 'Ipinagpaliban',
+        'Acknowledged': 'Natanggap na',
+        'All': 'Lahat',
+        '✔ Acknowledge all': '✔ Tanggapin lahat',
+        '⚙️ Settings': '⚙️ Setting',
+        'Loading reminders...': 'Nilo-load ang mga paalala...',
+        'No reminders here.': 'Walang paalala rito.',
+        'Snoozed until {time}': 'Ipinagpaliban hanggang {time}',
+        'Acknowledged {time}': 'Tinanggap {time}',
+        'Sent {time} in the daily summary': 'Ipinadala {time} sa buod ng araw',
+        'Sent {time}': 'Ipinadala {time}',
+        'Due {date}': 'Takda {date}',
+        'Open task': 'Buksan ang gawain',
+        'Acknowledge': 'Tanggapin',
+        '{days}d': '{days}a',
+        'Error loading reminders. Please refresh the page.': 'Nagkaroon ng error sa pag-load ng mga paalala. Paki-refresh ang pahina.',
+        'Acknowledge {count} reminder(s)?': 'Tanggapin ang {count} paalala?',
+
+        // Reminder and alert messages (js/notifications.js)
+        '{count} task(s) need attention, {overdue} overdue': '{count} gawain ang kailangang asikasuhin, {overdue} ang lampas na',
+        '{count} task(s) need attention': '{count} gawain ang kailangang asikasuhin',
+        '{category} is {amount} over budget': 'Lampas ng {amount} sa badyet ang {category}',
+        'Spent {spent} of {budget}': 'Nagastos ang {spent} sa {budget}',
+        '{days} day(s) overdue': 'lampas nang {days} araw',
+        'today': 'ngayon',
+        'in {days} day(s)': 'sa loob ng {days} araw',
+        'Not enough {input} for "{task}" ({when})': 'Kulang ang {input} para sa "{task}" ({when})',
+        'Need {needed} {unit}, have {onHand} — buy {shortBy} more': 'Kailangan ng {needed} {unit}, may {onHand} — bumili pa ng {shortBy}',
+        '{days} days overdue': 'Lampas nang {days} araw',
+        'Overdue since yesterday': 'Lampas na mula kahapon',
+        'Today': 'Ngayon',
+        'Tomorrow': 'Bukas',
+        'In {days} days': 'Sa loob ng {days} araw',
+        'Moved from {date} due to earlier delays': 'Inilipat mula {date} dahil sa mga naunang pagkaantala'
+    }
+});
@@ -0,0 +1,877 @@
+/**
+ * Ilocano translations for MADB (MagtanimAyDiBiro)
+ * Keys are the English text; see js/i18n.js
+ * Browsers have no Ilocano date names, so the month names are given here.
+ */
+
+I18n.addLocale('ilo', {
+    name: 'Ilocano',
+    intlLocale: 'ilo-PH',
+    htmlLang: 'ilo',
+    months: ['Enero', 'Pebrero', 'Marso', 'Abril', 'Mayo', 'Hunio', 'Hulio', 'Agosto', 'Septiembre', 'Oktubre', 'Nobiembre', 'Disiembre'],
+    monthsShort: ['Ene', 'Peb', 'Mar', 'Abr', 'May', 'Hun', 'Hul', 'Ago', 'Sep', 'Okt', 'Nob', 'Dis'],
+    messages: {
+        // Navigation and shared labels
+        'Dashboard': 'Dashboard',
+        'Rice Guide': 'Giya iti Pagay',
+        'Resources': 'Gastos',
+        'Manage Farms': 'Dagiti Talon',
+        'Reminders': 'Dagiti Pammalagip',
+        'Language': 'Pagsasao',
+        'Empowering Bagabag farmers, one step at a time.': 'Kadua dagiti mannalon ti Bagabag, maysa nga addang iti tunggal gundaway.',
+        'Loading...': 'Ag-load...',
+        'Save': 'Idulin',
+        'Cancel': 'Ukasen',
+        'Edit': 'Baliwan',
+        'Delete': 'Ikkaten',
+        'Select': 'Pilien',
+        'Back': 'Agsubli',
+        'Add': 'Inayon',
+        'Update': 'Baruen',
+        'Skip': 'Labsan',
+        'Total': 'Dagup',
+        'Date': 'Petsa',
+        'Farm': 'Talon',
+        'Farm Name': 'Nagan ti Talon',
+        'Size': 'Kadakkel',
+        'Start Date': 'Petsa ti Panangrugi',
+        'Cropping': 'Panagmula',
+        'Crop Plan': 'Plano ti Mula',
+        'Status': 'Kasasaad',
+        'Completed': 'Nalpas',
+        'Active': 'Aktibo',
+        'Name': 'Nagan',
+        'Description': 'Deskripsion',
+        'Day': 'Aldaw',
+        'Task': 'Trabaho',
+        'Amount': 'Gatad',
+        'Quantity': 'Kaadu',
+        'Unit': 'Yunit',
+        'Category': 'Kategoria',
+        'Budget': 'Badyet',
+        'Spent': 'Nagastos',
+        'Set up your farm first': 'Isaganam pay ti talonmo',
+        'Go to Farm Setup': 'Mapan iti Panangisagana ti Talon',
+        'Error saving. Please try again.': 'Adda biddut iti panangidulin. Padasem manen.',
+        '{size} hectares': '{size} nga ektaria',
+        '{days} days': '{days} nga aldaw',
+        'planned {date}': 'naplano {date}',
+        '…and {count} more': '…ken {count} pay',
+        'This action cannot be undone.': 'Saanen a maisubli daytoy.',
+
+        // Cropping and planting methods
+        'First': 'Umuna',
+        'Second': 'Maikadua',
+        'First Cropping': 'Umuna a Panagmula',
+        'Second Cropping': 'Maikadua a Panagmula',
+        'First cropping': 'Umuna a panagmula',
+        'Second cropping': 'Maikadua a panagmula',
+        'Transplanted': 'Naiyalis',
+        'Direct-seeded': 'Naiwaras',
+
+        // Expense categories, inputs and units
+        'Seeds/Seedlings': 'Bukel/Bunubon',
+        'Seeds / Seedlings': 'Bukel / Bunubon',
+        'Fertilizer': 'Abono',
+        'Pesticide': 'Pestisidio',
+        'Pesticides': 'Pestisidio',
+        'Equipment': 'Alikamen',
+        'Labor': 'Trabahador',
+        'Other': 'Sabali',
+        'bags': 'sako',
+        'quarts': 'quart',
+        'sacks': 'sako',
+        'kg': 'kg',
+
+        // Welcome and offline pages
+        'MagtanimAyDiBiro (MADB) - Welcome': 'MagtanimAyDiBiro (MADB) - Naragsak nga Isasangpet',
+        'Step-by-step rice farming guidance and easy expense tracking—right on your phone.': 'Tunggal addang a giya iti panagmula ti pagay ken nalaka a panangilista ti gastos—iti teleponom.',
+        'Start Now': 'Rugian Itan',
+        'Offline - MADB': 'Offline - MADB',
+        'You\'re offline': 'Awan ti koneksionmo',
+        'This page could not be loaded without a signal. Your farm records are saved on this phone, so these pages still work:': 'Saan a maluktan daytoy a panid no awan ti signal. Naidulin iti daytoy a telepono dagiti rekord ti talonmo, isu nga agandar pay laeng dagitoy a panid:',
+        '🏠 Dashboard': '🏠 Dashboard',
+        '🌱 Rice Guide': '🌱 Giya iti Pagay',
+        '💧 Resources': '💧 Gastos',
+        '🏡 Manage Farms': '🏡 Dagiti Talon',
+        'Try again': 'Padasen manen',
+
+        // Dashboard
+        'MagtanimAyDiBiro (MADB) - Dashboard': 'MagtanimAyDiBiro (MADB) - Dashboard',
+        'Main Dashboard': 'Kangrunaan a Dashboard',
+        '🔔 Get reminders for farm tasks, even when the app is closed': '🔔 Umawat kadagiti pammalagip maipapan iti trabaho iti talon, uray nakaserra ti app',
+        'Turn on reminders': 'Isilaw dagiti pammalagip',
+        '🌱 Rice Cultivation Progress': '🌱 Panagdur-as ti Panagmula ti Pagay',
+        'Loading next action...': 'Birbirokenna ti sumaruno a trabaho...',
+        '💰 Financial Overview': '💰 Pakabuklan ti Kuarta',
+        'This Month': 'Daytoy a Bulan',
+        'Total Cropping': 'Intero a Panagmula',
+        '📈 Income & Profit': '📈 Sapul ken Ganansia',
+        'Gross Income': 'Dagup ti Sapul',
+        'Net Profit': 'Pudno a Ganansia',
+        'Cost per kg': 'Gastos iti tunggal kg',
+        'Return on Investment': 'Subli ti Puonan',
+        'No harvest recorded yet': 'Awan pay ti nailista nga apit',
+        '🎯 Budget vs Actual': '🎯 Badyet ken Pudno a Gastos',
+        'No budget set.': 'Awan pay ti badyet.',
+        'Set a budget': 'Mangikeddeng iti badyet',
+        'Add Expense': 'Inayon ti Gastos',
+        'View Schedule': 'Kitaen ti Iskedyul',
+        'Harvest & Sales': 'Apit ken Lako',
+        'Stage Progress:': 'Panagdur-as dagiti Paset:',
+        'Mark as Completed': 'Markaan a Nalpas',
+        'You can unmark it later from Manage Farms if needed.': 'Mabalinmo nga ikkaten ti marka iti Dagiti Talon no kasapulan.',
+        'Open the end-of-season report now?': 'Luktan itan ti report ti panagpatingga ti panagmula?',
+        'Error marking farm as completed. Please try again.': 'Adda biddut iti panangmarka ti talon. Padasem manen.',
+        '{kg} kg harvested': '{kg} kg ti naapit',
+        '{amount} still owed': '{amount} ti utang pay laeng',
+        '{percent}% of {budget} budget used': '{percent}% ti {budget} a badyet ti nausar',
+        'Tell us the farm name, size, start date, and cropping cycle to unlock your personalized dashboard.': 'Ikabil ti nagan, kadakkel, petsa ti panangrugi ken panagmula ti talon tapno makitam ti bukodmo a dashboard.',
+        '{days} day(s) behind plan': '{days} nga aldaw a naladaw iti plano',
+        'Day {day} of {total}': 'Aldaw {day} iti {total}',
+        'Scheduled:': 'Iskedyul:',
+        'Cultivation Complete!': 'Nalpas ti Panagmula!',
+        '{days} days completed. Review post-harvest tasks.': 'Nalpas ti {days} nga aldaw. Kitaen dagiti trabaho kalpasan ti apit.',
+        'Next:': 'Sumaruno:',
+        'Target:': 'Target:',
+        'Final Stage:': 'Maudi a Paset:',
+        '{days}/{total} days completed': '{days}/{total} nga aldaw ti nalpas',
+
+        // Rice guide
+        'MagtanimAyDiBiro (MADB) - Rice Cultivation Guide': 'MagtanimAyDiBiro (MADB) - Giya iti Panagmula ti Pagay',
+        'Rice Cultivation Guide': 'Giya iti Panagmula ti Pagay',
+        'No farm start date': 'Awan ti petsa ti panangrugi ti talon',
+        'Available from day {day}': 'Maaramid manipud aldaw {day}',
+        'Done {date}': 'Naaramid {date}',
+        'How many {unit} of {input} did you use? (0 if none)': 'Mano a {unit} ti {input} ti inusarmo? (0 no awan)',
+        'Date this task was done (YYYY-MM-DD):': 'Petsa a naaramid daytoy a trabaho (YYYY-MM-DD):',
+        'Please enter a valid date (YYYY-MM-DD).': 'Mangikabil iti umno a petsa (YYYY-MM-DD).',
+        'Error saving task. Please try again.': 'Adda biddut iti panangidulin ti trabaho. Padasem manen.',
+        'Set Up Your Farm Information': 'Ikabil ti Impormasion ti Talonmo',
+        'To use the rice cultivation guide, please enter your farm details first.': 'Tapno mausar ti giya iti panagmula ti pagay, ikabilmo pay dagiti detalye ti talonmo.',
+        'Recorded delays have moved the remaining schedule {days} day(s) later.': 'Gapu kadagiti nailista a panagladaw, naiyakar iti {days} nga aldaw ti nabati nga iskedyul.',
+        'Resources Required ({size} ha):': 'Kasapulan a Gamit ({size} ha):',
+        'Total Fertilizer': 'Dagup ti Abono',
+        'Total Pesticide': 'Dagup ti Pestisidio',
+        'Application Schedule': 'Iskedyul ti Panangikabil',
+        'Day {day}: {amount} fertilizer': 'Aldaw {day}: {amount} nga abono',
+        '{seasons} season(s) on {farms} farm(s), {hectares} ha in all': '{seasons} a panawen iti {farms} a talon, {hectares} ha amin-amin',
+        'No running seasons match the filters.': 'Awan ti agtultuloy a panawen a maitutop kadagiti filter.',
+        'Not started yet': 'Saan pay a nangrugi',
+        'Past the last stage': 'Nalabsanen ti maudi a paset',
+        'No expenses recorded for these seasons.': 'Awan ti nailista a gastos kadagitoy a panawen.',
+        'Per ha': 'Tunggal ha',
+        'Lowest – Highest': 'Kababaan – Kangatoan',
+        'No tasks recorded as done in these seasons.': 'Awan ti aramid a nailista a nalpas kadagitoy a panawen.',
+        'Late': 'Naladaw',
+        '{tasks} task(s) in {seasons} season(s)': '{tasks} nga aramid iti {seasons} a panawen',
+        'Outliers need at least {count} seasons to compare.': 'Masapul ti saan a kurang ngem {count} a panawen tapno makasapul ti naiduma.',
+        'No season stands out from the others.': 'Awan ti panawen a naiduma kadagiti dadduma.',
+        'typical {value}': 'kadawyan {value}',
+        'Add farms to compare their costs and progress.': 'Agnayon kadagiti talon tapno maidilig ti gastos ken panagrang-ayda.',
+        'Error loading the analytics. Please refresh the page.': 'Adda biddut iti panangikarga ti analytics. I-refresh ti panid.',
+        'MADB - Analytics': 'MADB - Analytics',
+        'Analytics': 'Analytics',
+        'All croppings': 'Amin a panagmula',
+        'Started from': 'Nangrugi manipud',
+        'Started until': 'Nangrugi agingga',
+        'Farms by Stage Today': 'Dagiti Talon a Maibatay iti Paset Ita',
+        'Cost per Hectare by Category': 'Gastos iti Tunggal Ektarya a Maibatay iti Kategoria',
+        'Average Delay by Stage': 'Kadawyan a Panagtaktak a Maibatay iti Paset',
+        'Outliers': 'Dagiti Naiduma',
+        'Start Next Season': 'Irugi ti Sumaruno a Panawen',
+        'Mark this season of "{name}" as completed?': 'Markaan a nalpasen daytoy a panawen ti "{name}"?',
+        'You can still view the season, but new expenses cannot be added. The farm is ready for its next season.': 'Makitam pay laeng ti panawen, ngem saanen a mabalin ti agnayon iti baro a gastos. Nakasagana ti talon iti sumaruno a panawenna.',
+        'This season of "{name}" has been marked as completed!': 'Namarkaanen a nalpas daytoy a panawen ti "{name}"!',
+        'Season': 'Panawen',
+        'Season over Season': 'Panangidilig dagiti Panawen',
+        'Yield (kg/ha)': 'Apit (kg/ha)',
+        'Average Delay': 'Kadawyan a Panagtaktak',
+        '{days} day(s)': '{days} nga aldaw',
+        '{late} of {done} tasks late': '{late} iti {done} nga aramid ti naladaw',
+        'Plan the next planting of {name}.': 'Planuen ti sumaruno a panagmula iti {name}.',
+        'Start Season': 'Irugi ti Panawen',
+        'The new season must start after the current one ({date}).': 'Masapul a rumugi ti baro a panawen kalpasan ti agdama ({date}).',
+        'Starting a new season marks {season} as completed. Continue?': 'No irugi ti baro a panawen, mamarkaan a nalpasen ti {season}. Ituloy?',
+        'Season completed': 'Nalpasen ti panawen',
+        'New Season': 'Baro a Panawen',
+        '{number} of {count}': '{number} iti {count}',
+        'Unmark the current season of "{name}" as completed?': 'Ikkaten ti marka a nalpas iti agdama a panawen ti "{name}"?',
+        'This will reactivate the season and allow you to add new expenses again.': 'Agbalin manen nga aktibo ti panawen ket makainayonka manen iti baro a gastos.',
+        'the season of farm "{name}" is completed': 'nalpasen ti panawen ti talon a "{name}"',
+        'This season only': 'Daytoy a panawen laeng',
+        'All seasons of this farm': 'Amin a panawen daytoy a talon',
+        'Removed equipment': 'Naikkat nga alikamen',
+        '{amount} per season • {used} of {total} seasons charged': '{amount} iti tunggal panawen • {used} iti {total} a panawen ti naisingir',
+        'Record equipment use to see what each machine costs this farm.': 'Ilista ti panagusar ti alikamen tapno makita ti gastos ti tunggal makina iti daytoy a talon.',
+        'Use': 'Usar',
+        'No equipment use recorded yet.': 'Awan pay ti nailista a panagusar ti alikamen.',
+        'Owned': 'Kukua',
+        'Rented': 'Inabang',
+        'hour': 'oras',
+        'day': 'aldaw',
+        'hectare': 'ektarya',
+        'No equipment yet. Add the machines you own or rent.': 'Awan pay ti alikamen. Inayon dagiti makina a kukuam wenno abangam.',
+        'Bought for {amount}': 'Nagatang iti {amount}',
+        'Edit Equipment': 'Urnosen ti Alikamen',
+        'Add Equipment': 'Agnayon ti Alikamen',
+        'The resale value cannot be more than the purchase price.': 'Saan a mabalin a nangatngato ti pateg no ilako manen ngem ti presyo ti panaggatang.',
+        'Error saving the equipment. Please try again.': 'Adda biddut iti panangidulin ti alikamen. Padasem manen.',
+        '{name} has usage records, so it will be kept and marked inactive instead.': 'Adda dagiti listaan ti panagusar ti {name}, isu nga maidulin ken mamarkaan a saan nga aktibo.',
+        'Error deleting the equipment. Please try again.': 'Adda biddut iti panangikkat ti alikamen. Padasem manen.',
+        'Amount Used ({unit})': 'Kaadu ti Nausar ({unit})',
+        'Rental: {amount}. It is added to Resources as an Equipment expense.': 'Abang: {amount}. Mainayon daytoy iti Gastos kas gastos ti Alikamen.',
+        'Owned: this farm is charged its share of the depreciation for the season.': 'Kukua: maisingir iti daytoy a talon ti pasetna iti depreciation ti panawen.',
+        'Add equipment first.': 'Agnayon pay ti alikamen.',
+        'Edit Use': 'Urnosen ti Panagusar',
+        'Record Use': 'Ilista ti Panagusar',
+        'Error saving the equipment use. Please try again.': 'Adda biddut iti panangidulin ti panagusar ti alikamen. Padasem manen.',
+        'Delete this use and its rental expense?': 'Ikkaten daytoy a panagusar ken ti gastos ti abangna?',
+        'Are you sure you want to delete this use?': 'Siguradoka kadi nga ikkaten daytoy a panagusar?',
+        'Error deleting the equipment use. Please try again.': 'Adda biddut iti panangikkat ti panagusar ti alikamen. Padasem manen.',
+        'Select or add a farm to record its equipment use.': 'Agpili wenno agnayon ti talon tapno mailista ti panagusar ti alikamenna.',
+        'e.g. Hand tractor': 'kas pagarigan Kuliglig',
+        'e.g. Barangay cooperative': 'kas pagarigan Kooperatiba ti barangay',
+        'e.g. Second plowing': 'kas pagarigan Maikadua a panagarado',
+        'MADB - Equipment': 'MADB - Alikamen',
+        'Rentals': 'Dagiti Abang',
+        'Depreciation': 'Depreciation',
+        'Equipment Cost': 'Gastos ti Alikamen',
+        'Machinery Used on This Farm': 'Makinaria a Nausar iti Daytoy a Talon',
+        'Usage': 'Panagusar',
+        '+ Use': '+ Panagusar',
+        '+ Equipment': '+ Alikamen',
+        'Ownership': 'Pannakakukua',
+        'Use Measured In': 'Rukod ti Panagusar',
+        'Purchase Date': 'Petsa ti Panaggatang',
+        'Purchase Price (₱)': 'Presyo ti Panaggatang (₱)',
+        'Resale Value (₱)': 'Pateg no Ilako Manen (₱)',
+        'Useful Seasons': 'Bilang dagiti Panawen a Mausar',
+        'Don\'t add the purchase as an expense. Each season the equipment is used is charged its share of the price, split between the farms that used it.': 'Dimo inayon ti panaggatang kas gastos. Maisingir ti tunggal panawen a nausar ti alikamen ti pasetna iti presyo, nabingay kadagiti talon a nangusar iti daytoy.',
+        'Rental Rate (₱)': 'Presyo ti Abang (₱)',
+        'Rented From': 'Inabang Manipud Ken',
+        'Still in use': 'Us-usaren pay',
+        'Amount Used': 'Kaadu ti Nausar',
+        '{name} rental': 'Abang ti {name}',
+        '{name} depreciation (season {number} of {total})': 'Depreciation ti {name} (panawen {number} iti {total})',
+        'Equipment items': 'Dagiti alikamen',
+        'Equipment use records': 'Dagiti listaan ti panagusar ti alikamen',
+        'Labor & Payroll': 'Trabaho ken Tangdan',
+        'MADB - Labor & Payroll': 'MADB - Trabaho ken Tangdan',
+        'Labor by Stage': 'Trabaho babaen ti Paset',
+        'Labor-days': 'Aldaw ti Trabaho',
+        'Cost': 'Gastos',
+        'Other tasks': 'Sabali a trabaho',
+        'Task no longer in the crop plan': 'Awanen iti plano ti mula daytoy a trabaho',
+        '{days} labor-days': '{days} nga aldaw ti trabaho',
+        'Removed worker': 'Naikkat a trabahador',
+        '{amount} per {unit}': '{amount} tunggal {unit}',
+        '{amount} per day': '{amount} tunggal aldaw',
+        'Record attendance to see labor-days and cost for each stage.': 'Ilista ti panagatendar tapno makita ti aldaw ti trabaho ken gastos iti tunggal paset.',
+        'All wages are paid.': 'Nabayadanen amin a tangdan.',
+        'No attendance recorded yet.': 'Awan pay ti nailista a panagatendar.',
+        'No workers yet. Add the people who work your farms.': 'Awan pay ti trabahador. Inayon dagiti agtrabaho kadagiti talonmo.',
+        'Inactive': 'Saan nga aktibo',
+        'Edit Worker': 'Baliwan ti Trabahador',
+        'Add Worker': 'Agnayon iti Trabahador',
+        'Error saving the worker. Please try again.': 'Adda biddut iti panangidulin ti trabahador. Padasem manen.',
+        '{name} has attendance records, so they will be kept and marked inactive instead.': 'Adda listaan ti panagatendar ni {name}, isu nga agtalinaedda ket mamarkaan a saan nga aktibo.',
+        'Are you sure you want to delete {name}?': 'Siguradoka kadi nga ikkaten ni {name}?',
+        'Error deleting the worker. Please try again.': 'Adda biddut iti panangikkat ti trabahador. Padasem manen.',
+        'Add workers first.': 'Agnayon pay iti trabahador.',
+        'This day is already paid. Delete its Labor expense in Resources first to change it.': 'Nabayadanen daytoy nga aldaw. Ikkatem pay ti gastos ti Trabahador na iti Gastos tapno mabaliwan.',
+        'Edit Attendance': 'Baliwan ti Panagatendar',
+        'Record Attendance': 'Ilista ti Panagatendar',
+        'Choose the date and at least one worker.': 'Pilien ti petsa ken uray maysa a trabahador.',
+        'Enter how much work each piece-rate worker did.': 'Ikabil no mano ti naaramid ti tunggal trabahador a mabayadan kada piraso.',
+        'Error saving attendance. Please try again.': 'Adda biddut iti panangidulin ti panagatendar. Padasem manen.',
+        'Are you sure you want to delete this attendance record?': 'Siguradoka kadi nga ikkaten daytoy a listaan ti panagatendar?',
+        'Error deleting attendance. Please try again.': 'Adda biddut iti panangikkat ti panagatendar. Padasem manen.',
+        'Worker': 'Trabahador',
+        'Wage': 'Tangdan',
+        'No unpaid attendance in these dates.': 'Awan ti saan pay a nabayadan a panagatendar kadagitoy a petsa.',
+        'Payroll {date}': 'Tangdan {date}',
+        'Payroll {from} – {to}': 'Tangdan {from} – {to}',
+        'Paid {amount}. A Labor expense was added to Resources.': 'Nabayadan ti {amount}. Adda nainayon a gastos ti Trabahador iti Gastos.',
+        'Error saving the payroll. Please try again.': 'Adda biddut iti panangidulin ti tangdan. Padasem manen.',
+        'Select or add a farm to record its labor.': 'Agpili wenno agnayon iti talon tapno mailista ti trabahona.',
+        'e.g. Mang Pedro': 'kas pagarigan: Manong Pedro',
+        'e.g. sack': 'kas pagarigan: sako',
+        'e.g. Rained in the afternoon': 'kas pagarigan: Nagtudo idi malem',
+        'Labor Cost': 'Gastos ti Trabaho',
+        'Unpaid Wages': 'Saan pay a Nabayadan a Tangdan',
+        'Payroll': 'Tangdan',
+        'Pay Crew': 'Bayadan ti Grupo',
+        'Attendance': 'Panagatendar',
+        '+ Attendance': '+ Panagatendar',
+        'Workers': 'Dagiti Trabahador',
+        '+ Worker': '+ Trabahador',
+        'Pay': 'Bayad',
+        'Rate (₱)': 'Presio (₱)',
+        'Unit of Work': 'Yunit ti Trabaho',
+        'Phone': 'Telepono',
+        'Still works with the crew': 'Agtrabtrabaho pay iti grupo',
+        'Days Worked': 'Aldaw a Nagtrabaho',
+        'Full day': 'Sibubukel nga aldaw',
+        'Half day': 'Kagudua nga aldaw',
+        'Crew': 'Grupo',
+        'To': 'Agingga',
+        'Paying records one Labor expense for these wages in Resources.': 'Ti panagbayad ket mangilista iti maysa a gastos ti Trabahador para kadagitoy a tangdan iti Gastos.',
+        'Pay & Record Expense': 'Bayadan ken Ilista ti Gastos',
+        'Per day': 'Tunggal aldaw',
+        'Per piece': 'Tunggal piraso',
+        'Paid': 'Nabayadanen',
+        'Unpaid': 'Saan pay a nabayadan',
+        'sack': 'sako',
+        'cavan': 'kaban',
+        'row': 'linia',
+        'bundle': 'reppet',
+        'piece': 'piraso',
+        'Attendance records': 'Dagiti listaan ti panagatendar',
+        'Water Log': 'Listaan ti Danum',
+        'Water & Rainfall': 'Danum ken Tudo',
+        'MADB - Water & Rainfall': 'MADB - Danum ken Tudo',
+        'needs standing water': 'masapul ti agtalinaed a danum',
+        'drain the field': 'ibelleng ti danum ti talon',
+        'Rainfall (mm)': 'Tudo (mm)',
+        'Standing Water (cm)': 'Danum iti Talon (cm)',
+        'Irrigation': 'Padanum',
+        'No days logged yet. Record rain, irrigation and the water level in the field.': 'Awan pay ti nailista nga aldaw. Ilista ti tudo, padanum ken kangato ti danum iti talon.',
+        'Irrigated {hours} h': 'Napadanuman {hours} oras',
+        'Irrigated': 'Napadanuman',
+        'Enter the rainfall, an irrigation or the water depth for this day.': 'Ikabil ti tudo, padanum wenno kauneg ti danum para iti daytoy nga aldaw.',
+        'Error saving the water log. Please try again.': 'Adda biddut iti panangidulin ti listaan ti danum. Padasem manen.',
+        'Are you sure you want to delete this day from the log?': 'Siguradoka kadi nga ikkaten daytoy nga aldaw iti listaan?',
+        'Error deleting from the water log. Please try again.': 'Adda biddut iti panangikkat iti listaan ti danum. Padasem manen.',
+        'The file has no weather rows. The first row must be the column headers.': 'Awan ti datos ti panawen iti file. Ti umuna a linia ket masapul a dagiti titulo ti kolum.',
+        'Choose at least one column for rainfall, irrigation or water depth.': 'Agpili iti uray maysa a kolum para iti tudo, padanum wenno kauneg ti danum.',
+        'bad rainfall "{value}"': 'madi a tudo "{value}"',
+        'bad irrigation "{value}"': 'madi a padanum "{value}"',
+        'bad water depth "{value}"': 'madi a kauneg ti danum "{value}"',
+        'nothing to import': 'awan ti ma-import',
+        'updates day': 'pabaruen ti aldaw',
+        'Imported {count} day(s) of weather.': 'Na-import ti {count} nga aldaw ti panawen.',
+        'Error importing weather. Please try again.': 'Adda biddut iti panang-import ti panawen. Padasem manen.',
+        'Select or add a farm to keep its water log.': 'Agpili wenno agnayon iti talon tapno mailista ti danumna.',
+        'e.g. Canal water shared with neighbor': 'kas pagarigan: Danum ti kanal a kabingay ti kaarruba',
+        'Rainfall': 'Tudo',
+        'Irrigations': 'Dagiti Padanum',
+        'Standing Water': 'Danum iti Talon',
+        'No water records yet': 'Awan pay ti listaan ti danum',
+        '⬆ Import Weather CSV': '⬆ I-import ti CSV ti Panawen',
+        'Import Weather CSV': 'I-import ti CSV ti Panawen',
+        'Daily Log': 'Inaldaw a Listaan',
+        '+ Day': '+ Aldaw',
+        'Log a Day': 'Ilista ti Aldaw',
+        'Edit Day': 'Baliwan ti Aldaw',
+        'Hours': 'Oras',
+        'Match each field to a column in your file. Days already in the log keep any value the file leaves blank.': 'Itunos ti tunggal field iti maysa a kolum ti filem. Dagiti aldaw nga adda iti listaan ket agtalinaed ti pateg nga awan iti file.',
+        'No irrigation or heavy rain recorded during {stage}': 'Awan ti nailista a padanum wenno napigsa a tudo iti {stage}',
+        'Rice needs standing water in this stage.': 'Masapul ti pagay ti agtalinaed a danum iti daytoy a paset.',
+        'No irrigation or heavy rain for {days} days during {stage}': 'Awan ti padanum wenno napigsa a tudo iti {days} nga aldaw iti {stage}',
+        'Last watered {date}': 'Naudi a napadanuman {date}',
+        'The field was dry on {date} during {stage}': 'Namaga ti talon idi {date} iti {stage}',
+        'Keep 3–5 cm of standing water in this stage.': 'Taginayonen ti 3–5 cm a danum iti daytoy a paset.',
+        'Drain the field before harvest: {depth} cm of water on {date}': 'Ibelleng ti danum sakbay ti apit: {depth} cm a danum idi {date}',
+        'A dry field ripens evenly and is easier to harvest.': 'Ti namaga a talon ket agpada ti panagluomna ken nalaklaka nga apiten.',
+        'Water log days': 'Dagiti aldaw iti listaan ti danum',
+        'MADB - Pests & Diseases': 'MADB - Peste ken Sakit',
+        'Pests & Diseases': 'Peste ken Sakit',
+        '🐛 Pests & Diseases': '🐛 Peste ken Sakit',
+        'Scouting Records': 'Dagiti Listaan ti Panagsukimat',
+        'Scouting records': 'Dagiti listaan ti panagsukimat',
+        '+ Observation': '+ Naobserbaran',
+        'Add Observation': 'Agnayon iti Naobserbaran',
+        'Edit Observation': 'Baliwan ti Naobserbaran',
+        'Pest or Disease': 'Peste wenno Sakit',
+        'Severity': 'Kadagsen',
+        'Area Affected (%)': 'Naapektaran a Kalawa (%)',
+        'Treatment Expense': 'Gastos ti Panangagas',
+        'Record a pesticide expense': 'Ilista ti gastos ti pestisidio',
+        'Notes': 'Dagiti Nota',
+        'e.g. Deadhearts near the canal': 'kas pagarigan: Natay a saringit asideg ti kanal',
+        'Not treated yet': 'Saan pay a naagasan',
+        'Treated': 'Naagasanen',
+        'Treated: {name}': 'Naagasan: {name}',
+        'Treatment recommended': 'Maisingasing ti panangagas',
+        'Treatment recommended: {pests}': 'Maisingasing ti panangagas: {pests}',
+        'No treatment needed right now.': 'Saan pay a kasapulan ti panangagas ita.',
+        'Link the pesticide expense to the observation once you have sprayed.': 'Ikabit ti gastos ti pestisidio iti naobserbaran no nakapag-spray kaametten.',
+        '{percent}% of the field': '{percent}% ti talon',
+        'No scouting records yet. Walk the field and note any pests or diseases you see.': 'Awan pay ti listaan ti panagsukimat. Libuten ti talon ken ilista dagiti peste wenno sakit a makitam.',
+        'No scouting records yet.': 'Awan pay ti listaan ti panagsukimat.',
+        'Scout the field': 'Sukimaten ti talon',
+        'View scouting': 'Kitaen ti panagsukimat',
+        'Nothing seen in the last {weeks} weeks.': 'Awan ti nakita iti napalabas a {weeks} a lawas.',
+        'Error saving observation. Please try again.': 'Adda error iti panangidulin ti naobserbaran. Padasem manen.',
+        'Are you sure you want to delete this observation?': 'Siguradoka kadi nga ikkaten daytoy a naobserbaran?',
+        'Error deleting observation. Please try again.': 'Adda error iti panangikkat ti naobserbaran. Padasem manen.',
+        'Select or add a farm to record pests and diseases.': 'Agpili wenno agnayon iti talon tapno mailista dagiti peste ken sakit.',
+        'Pests': 'Dagiti Peste',
+        'Diseases': 'Dagiti Sakit',
+        'Low': 'Nababa',
+        'Moderate': 'Kalkalainganna',
+        'High': 'Nangato',
+        'Severe': 'Nadagsen',
+        'Stem borer': 'Igges ti puon (stem borer)',
+        'Rice bug': 'Dangaw',
+        'Brown planthopper': 'Kayumanggi a planthopper',
+        'Green leafhopper': 'Berde a leafhopper',
+        'Rice black bug': 'Nangisit a dangaw',
+        'Leaffolder': 'Igges a mangkulpi ti bulong',
+        'Armyworm / cutworm': 'Harabas',
+        'Golden apple snail': 'Golden bisukol',
+        'Rats': 'Utot',
+        'Rice blast': 'Blast ti pagay',
+        'Bacterial leaf blight': 'Bacterial leaf blight (panagmalaylay ti bulong)',
+        'Sheath blight': 'Sheath blight (panagrupsa ti saringit)',
+        'Tungro': 'Tungro',
+        'Brown spot': 'Brown spot (kayumanggi a mantsa)',
+        'Other pest or disease': 'Sabali a peste wenno sakit',
+        'MADB - Farm Journal': 'MADB - Listaan ti Talon',
+        'Farm Journal': 'Listaan ti Talon',
+        'Timeline': 'Pakasaritaan',
+        '+ Entry': '+ Listaan',
+        'Add Journal Entry': 'Agnayon iti Listaan',
+        'Edit Journal Entry': 'Baliwan ti Listaan',
+        'Stage': 'Paset',
+        'What happened?': 'Ania ti napasamak?',
+        'e.g. Heavy rain, water level high in the lower paddy': 'kas pagarigan: Napigsa a tudo, nangato ti danum iti baba a pitak',
+        'Photos': 'Dagiti Ladawan',
+        'Not linked to a stage': 'Saan a naikabit iti paset',
+        'Whole stage': 'Intero a paset',
+        'Remove photo': 'Ikkaten ti ladawan',
+        'No journal entries yet. Note what happened on the field, with photos.': 'Awan pay ti listaan. Isurat ti napasamak iti talon, agraman dagiti ladawan.',
+        'Load older entries': 'Ipakita dagiti nabaybayag a listaan',
+        'Photos are on the phone that took them.': 'Adda dagiti ladawan iti telepono a nangala kadagitoy.',
+        'Could not read this photo. Please choose another one.': 'Saan a mabasa daytoy a ladawan. Agpili iti sabali.',
+        'Write a note or add a photo.': 'Agsurat iti listaan wenno agnayon iti ladawan.',
+        'Error saving journal entry. Please try again.': 'Adda error iti panangidulin ti listaan. Padasem manen.',
+        'Delete this journal entry and its photos?': 'Ikkaten daytoy a listaan ken dagiti ladawanna?',
+        'Error deleting journal entry. Please try again.': 'Adda error iti panangikkat ti listaan. Padasem manen.',
+        'Select or add a farm to keep its journal.': 'Agpili wenno agnayon iti talon tapno mailista ti mapaspasamak kenkuana.',
+        'Add journal note': 'Agnayon iti listaan',
+        'Journal entries': 'Dagiti listaan',
+        'Add to phone calendar': 'Inayon iti kalendario ti telepono',
+        'Error exporting the calendar. Please try again.': 'Adda biddut iti panang-export ti kalendario. Padasem manen.',
+
+        // Crop plans
+        'Transplanted Inbred (123 days)': 'Naiyalis nga Inbred (123 nga aldaw)',
+        'Standard transplanting plan with 25-day-old seedlings and ~90 days of growth.': 'Kadawyan a plano ti panangiyalis babaen ti 25 nga aldaw a bunubon ken ~90 nga aldaw a panagdakkel.',
+        'Inbred': 'Inbred',
+        'Hybrid': 'Hybrid',
+        'Early-maturing Inbred (108 days)': 'Nasapa nga Inbred (108 nga aldaw)',
+        'Transplanted early-maturing inbred with ~75 days of growth after transplanting.': 'Naiyalis a nasapa nga inbred nga addaan ~75 nga aldaw a panagdakkel kalpasan ti panangiyalis.',
+        'Transplanted Hybrid (128 days)': 'Naiyalis a Hybrid (128 nga aldaw)',
+        'Transplanted hybrid with a heavier fertilizer program and ~95 days of growth.': 'Naiyalis a hybrid nga ad-adu ti abonona ken ~95 nga aldaw a panagdakkel.',
+        'Direct-seeded Inbred (128 days)': 'Naiwaras nga Inbred (128 nga aldaw)',
+        'Wet direct seeding of pre-germinated seed with no nursery or transplanting.': 'Direkta a panangiwaras ti nagtubo a bukel iti nabasa a daga, awan ti pagbunubonan wenno panangiyalis.',
+
+        // Crop plan stages (shared by the built-in plans)
+        '1. Land Cultivation Phase': '1. Paset ti Panangisagana ti Daga',
+        'Land Cultivation Phase': 'Paset ti Panangisagana ti Daga',
+        'Prepare the field through deep plowing and leveling to create ideal soil conditions for rice transplanting.': 'Isagana ti talon babaen ti nauneg a panagarado ken panangpatad tapno umno ti daga iti panangiyalis ti pagay.',
+        'Start land cultivation at the beginning of your planting season. Coordinate with seed preparation (Phase 2).': 'Rugian ti panangisagana ti daga iti rugi ti panagmula. Isabay iti panangisagana ti bukel (Paset 2).',
+        'Perform deep plowing (deep tillage to break soil and incorporate organic matter and wait for soil to settle)': 'Agarado iti nauneg (burakem ti daga, ilaok ti organiko a banag ken urayen nga agtalinaay ti daga)',
+        'Level the field (create uniform water depth and smooth surface)': 'Patadem ti talon (agpapada nga uneg ti danum ken nalamuyot a rabaw)',
+        '2. Seed Preparation Phase': '2. Paset ti Panangisagana ti Bukel',
+        'Seed Preparation Phase': 'Paset ti Panangisagana ti Bukel',
+        'Prepare high-quality seedlings while land cultivation is ongoing; seedlings should be 25 days old by transplanting.': 'Mangisagana iti nasayaat a bunubon bayat ti panangisagana ti daga; rumbeng a 25 nga aldawen ti bunubon inton panangiyalis.',
+        'Start seed soaking 1 week after plowing begins.': 'Rugian ti panangibabad ti bukel 1 a lawas kalpasan ti panangrugi ti panagarado.',
+        'Start soaking seeds (soak 2 days)': 'Rugian ti panangibabad ti bukel (ibabad iti 2 nga aldaw)',
+        'Transfer sprouted seeds to nursery bed. Nurture seedlings in nursery for 25 days': 'Iyakar ti nagtubo a bukel iti pagbunubonan. Taripatuen ti bunubon iti 25 nga aldaw',
+        'Seedlings ready for transplanting (25 days old)': 'Nakasagana ti bunubon a maiyalis (25 nga aldawen)',
+        '3. Pre-Transplantation (Field Treatment)': '3. Sakbay ti Panangiyalis (Panangdalus ti Talon)',
+        'Pre-Transplantation (Field Treatment)': 'Sakbay ti Panangiyalis (Panangdalus ti Talon)',
+        'Treat the leveled field with pesticide to remove remaining pests before transplanting the seedlings.': 'Ispreyan ti pestisidio ti napatad a talon tapno maikkat dagiti nabati a peste sakbay ti panangiyalis ti bunubon.',
+        'Perform this step only after field leveling and seedlings readiness — schedule shown below.': 'Aramiden laeng daytoy no napataden ti talon ken nakasaganan ti bunubon — adda iti baba ti iskedyul.',
+        'Verify soil is leveled (Phase 1)': 'Siguraduen a napataden ti daga (Paset 1)',
+        'Verify seedlings are ready (Phase 2)': 'Siguraduen a nakasaganan ti bunubon (Paset 2)',
+        'Apply pesticide on the entire field to eliminate remaining pests': 'Ispreyan ti pestisidio ti intero a talon tapno maikkat dagiti nabati a peste',
+        '4. Transplanting': '4. Panangiyalis',
+        'Transplanting': 'Panangiyalis',
+        'Transplant the mature seedlings from the nursery to the prepared and treated field — this marks Day 0 of growth.': 'Iyalis ti nataengan a bunubon manipud pagbunubonan iti nakasagana ken nadalusan a talon — daytoy ti Aldaw 0 ti panagdakkel.',
+        'Transplant only after the field is leveled, treated and seedlings are ready.': 'Agiyalis laeng no napatad ken nadalusanen ti talon ken nakasaganan ti bunubon.',
+        'Transplant seedlings to main field': 'Iyalis ti bunubon iti kangrunaan a talon',
+        'Plant at proper spacing for optimal growth': 'Imula iti umno a baet tapno nasayaat ti panagdakkel',
+        'Record transplanting date (start of 90-day growth period)': 'Ilista ti petsa ti panangiyalis (rugi ti 90 nga aldaw a panagdakkel)',
+        '5. Fertilizer & Pesticide Management': '5. Panangaywan ti Abono ken Pestisidio',
+        'Fertilizer & Pesticide Management': 'Panangaywan ti Abono ken Pestisidio',
+        'Apply fertilizers and pesticides on a schedule after transplanting. Resources calculated per hectare.': 'Mangikabil iti abono ken pestisidio a maitunos iti iskedyul kalpasan ti panangiyalis. Nabilang dagiti gamit iti tunggal ektaria.',
+        'Monitor the condition of the rice crop.': 'Bantayan ti kasasaad ti pagay.',
+        'Apply pesticide every 2 weeks and adjust applications depending on the condition of the rice crop': 'Agispray iti pestisidio iti kada 2 a lawas ken ibagay iti kasasaad ti pagay',
+        'Apply first fertilizer - wait 15 days for side dressing': 'Ikabil ti umuna nga abono - urayen ti 15 nga aldaw sakbay ti side dressing',
+        'Apply side dressing - wait 15 days for top dressing': 'Ikabil ti side dressing - urayen ti 15 nga aldaw sakbay ti top dressing',
+        'Apply top dressing': 'Ikabil ti top dressing',
+        '6. Harvesting': '6. Panagapit',
+        'Harvesting': 'Panagapit',
+        'Rice is ready to harvest ~90 days after transplanting when grains reach optimal maturity.': 'Nakasagana a maapit ti pagay ~90 nga aldaw kalpasan ti panangiyalis no naluomen dagiti bukel.',
+        'Early-maturing rice is ready to harvest ~75 days after transplanting when grains reach optimal maturity.': 'Nakasagana a maapit ti nasapa a pagay ~75 nga aldaw kalpasan ti panangiyalis no naluomen dagiti bukel.',
+        'Hybrid rice is ready to harvest ~95 days after transplanting when grains reach optimal maturity.': 'Nakasagana a maapit ti hybrid a pagay ~95 nga aldaw kalpasan ti panangiyalis no naluomen dagiti bukel.',
+        'Rice is ready to harvest ~100 days after seeding when grains reach optimal maturity.': 'Nakasagana a maapit ti pagay ~100 nga aldaw kalpasan ti panangiwaras no naluomen dagiti bukel.',
+        'Harvest when grains are golden yellow; then dry and store properly.': 'Agapit no nabalitokan a duyaw dagiti bukel; ibilag ken idulin a nasayaat.',
+        'Inspect crop maturity (look for golden grains)': 'Kitaen no naluomen ti pagay (birokem dagiti duyaw a bukel)',
+        'Harvest your rice crops with reaper': 'Apiten ti pagay babaen ti reaper',
+        'Dry grains to proper moisture content': 'Ibilag dagiti bukel agingga iti umno a linnaaw',
+        'Store dried grains in clean, dry bags': 'Idulin dagiti namaga a bukel kadagiti nadalus ken namaga a sako',
+        'Plow and level the field carefully; direct-seeded rice needs a very even surface so seeds are not drowned in low spots.': 'Araduen ken patadem a nasayaat ti talon; masapul ti naiwaras a pagay ti napatad unay a rabaw tapno saan a malmes dagiti bukel kadagiti nababa a paset.',
+        'Level twice if needed. Puddles left after draining will kill germinating seeds.': 'Patadem iti mamindua no kasapulan. Patayen dagiti nabati a lubnak dagiti agtubtubo a bukel.',
+        '2. Seed Pre-germination': '2. Panangpatubo ti Bukel',
+        'Soak and incubate seeds so they are just sprouting when the field is ready for broadcasting.': 'Ibabad ken ikulob dagiti bukel tapno kaattubo pay laeng inton nakasagana ti talon iti panangiwaras.',
+        'Use about 40 kg of seed per hectare. Sow within a day after sprouts appear.': 'Agusar iti agarup 40 kg a bukel iti tunggal ektaria. Iwaras iti uneg ti maysa nga aldaw kalpasan ti panagtubo.',
+        'Soak seeds for 24 hours': 'Ibabad dagiti bukel iti 24 nga oras',
+        'Incubate soaked seeds for 24–36 hours until sprouts show': 'Ikulob dagiti naibabad a bukel iti 24–36 nga oras agingga nga agtubo',
+        '3. Direct Seeding': '3. Direkta a Panangiwaras',
+        'Drain the field and broadcast or drum-seed the pre-germinated seeds directly on the puddled soil — this marks Day 0 of growth.': 'Ibelleng ti danum ti talon ken iwaras wenno i-drum seed dagiti nagtubo a bukel iti nalukneng a daga — daytoy ti Aldaw 0 ti panagdakkel.',
+        'Keep the soil saturated but not flooded for the first week.': 'Pagtalinaeden a nabasa ngem saan a nalapunos ti daga iti umuna a lawas.',
+        'Drain the field to a saturated surface': 'Ibelleng ti danum ti talon agingga a nabasa laeng ti rabaw',
+        'Broadcast or drum-seed pre-germinated seeds evenly': 'Iwaras wenno i-drum seed a sipapada dagiti nagtubo a bukel',
+        'Record seeding date (start of growth period)': 'Ilista ti petsa ti panangiwaras (rugi ti panagdakkel)',
+        '4. Weed Control': '4. Panangkontrol ti Ruot',
+        'Direct-seeded fields have no water cover at the start, so weeds must be controlled early.': 'Awan ti danum a mangabbong iti naiwaras a talon iti rugi, isu a masapul a makontrol a nasapa ti ruot.',
+        'Apply herbicide only on moist soil and follow the label rate.': 'Agispray iti herbicide laeng iti nabasa a daga ken surotem ti kaadu iti etiketa.',
+        'Apply pre-emergence herbicide': 'Agispray iti pre-emergence herbicide',
+        'Gradually flood the field to 2–3 cm': 'In-inut a danumam ti talon agingga iti 2–3 cm',
+        'Hand-weed remaining weeds': 'Gabuten ti ima dagiti nabati a ruot',
+        'Apply fertilizers and pesticides on a schedule after seeding. Resources calculated per hectare.': 'Mangikabil iti abono ken pestisidio a maitunos iti iskedyul kalpasan ti panangiwaras. Nabilang dagiti gamit iti tunggal ektaria.',
+
+        // Dashboard stage labels
+        'Land Prep': 'Daga',
+        'Seeds': 'Bukel',
+        'Treatment': 'Panangdalus',
+        'Planting': 'Panagmula',
+        'Growth': 'Panagdakkel',
+        'Harvest': 'Apit',
+
+        // Crop plans page
+        'Crop Plans - MADB': 'Dagiti Plano ti Mula - MADB',
+        'Crop Plans': 'Dagiti Plano ti Mula',
+        '🌾 Crop Plans': '🌾 Dagiti Plano ti Mula',
+        'Crop plans': 'Dagiti plano ti mula',
+        'Stages and tasks for each variety and planting method': 'Dagiti paset ken trabaho iti tunggal barayti ken wagas ti panagmula',
+        'Loading crop plans...': 'Ag-load dagiti plano ti mula...',
+        'Error loading crop plans. Please refresh the page.': 'Adda biddut iti panang-load dagiti plano ti mula. I-refresh ti panid.',
+        'Built-in': 'Nairaman',
+        '{count} stages': '{count} a paset',
+        'Clone': 'Kopiaen',
+        'Name for the new crop plan:': 'Nagan ti baro a plano ti mula:',
+        'Error cloning crop plan. Please try again.': 'Adda biddut iti panangkopia ti plano ti mula. Padasem manen.',
+        '"{name}" is used by {farms}. Change those farms to another crop plan first.': 'Us-usaren ti {farms} ti "{name}". Sukatam pay ti plano ti mula dagidiay a talon.',
+        'Delete "{name}"? This action cannot be undone.': 'Ikkaten ti "{name}"? Saanen a maisubli daytoy.',
+        'Error deleting crop plan. Please try again.': 'Adda biddut iti panangikkat ti plano ti mula. Padasem manen.',
+        'Stage title': 'Titulo ti paset',
+        'Dashboard label': 'Label iti dashboard',
+        'Start day': 'Aldaw ti panangrugi',
+        'Tip': 'Balakad',
+        'Tasks (text and day)': 'Dagiti trabaho (teksto ken aldaw)',
+        'Resources per hectare': 'Gamit iti tunggal ektaria',
+        'Fertilizer applications (one per line: day, amount)': 'Panangikabil ti abono (maysa iti tunggal linia: aldaw, kaadu)',
+        'Edit Crop Plan': 'Baliwan ti Plano ti Mula',
+        'Variety': 'Barayti',
+        'Planting method': 'Wagas ti panagmula',
+        'Save Crop Plan': 'Idulin ti Plano ti Mula',
+        'Each stage needs a title and a start day of 0 or more.': 'Masapul ti tunggal paset ti titulo ken aldaw ti panangrugi a 0 wenno ad-adu pay.',
+        'Task "{text}" needs a day of 0 or more.': 'Masapul ti trabaho a "{text}" ti aldaw a 0 wenno ad-adu pay.',
+        'Error saving crop plan. Please try again.': 'Adda biddut iti panangidulin ti plano ti mula. Padasem manen.',
+
+        // Farm setup
+        'Farm Setup - MADB': 'Panangisagana ti Talon - MADB',
+        'Farm Setup': 'Panangisagana ti Talon',
+        'Enter your farm details to personalize your experience.': 'Ikabil dagiti detalye ti talonmo tapno maibagay ti app kenka.',
+        'Size (hectares)': 'Kadakkel (ektaria)',
+        'Starting Date': 'Petsa ti Panangrugi',
+        'Select...': 'Pumili...',
+        'Variety and planting method.': 'Barayti ken wagas ti panagmula.',
+        'Manage crop plans': 'Urnosen dagiti plano ti mula',
+        'Save & Continue': 'Idulin ken Ituloy',
+        'e.g. Rice Field': 'kas pagarigan: Talon ti Pagay',
+        'Farm not found': 'Saan a nasarakan ti talon',
+        'Edit Farm': 'Baliwan ti Talon',
+        'Update your farm details.': 'Baruen dagiti detalye ti talonmo.',
+        'Save Changes': 'Idulin dagiti Panagbaliw',
+        'Error loading farm. Please try again.': 'Adda biddut iti panang-load ti talon. Padasem manen.',
+        'Changing the crop plan will clear the tasks already marked as done for this farm. Continue?': 'Maikkat dagiti trabaho a namarkaan a nalpas iti daytoy a talon no sukatam ti plano ti mula. Ituloy?',
+        'Error saving farm information. Please try again.': 'Adda biddut iti panangidulin ti impormasion ti talon. Padasem manen.',
+
+        // Harvest and sales
+        'MADB - Harvest & Sales': 'MADB - Apit ken Lako',
+        'Harvested': 'Naapit',
+        'Total Cost': 'Dagup ti Gastos',
+        'Still Owed by Buyers': 'Utang Pay Laeng dagiti Gumatang',
+        'Harvests': 'Dagiti Apit',
+        '+ Harvest': '+ Apit',
+        'Sales': 'Dagiti Lako',
+        '+ Sale': '+ Lako',
+        'Sacks': 'Sako',
+        'Kilograms': 'Kilo',
+        'Kg per Sack': 'Kg iti tunggal Sako',
+        'Moisture (%)': 'Linnaaw (%)',
+        'Grade': 'Grado',
+        'Premium': 'Premium',
+        'Grade 1': 'Grado 1',
+        'Grade 2': 'Grado 2',
+        'Grade 3': 'Grado 3',
+        'Ungraded': 'Awan ti grado',
+        'Buyer': 'Gumatang',
+        'Quantity (kg)': 'Kaadu (kg)',
+        'Price per kg (₱)': 'Presio iti tunggal kg (₱)',
+        'Amount Paid (₱)': 'Gatad a Nabayadan (₱)',
+        'e.g. NFA, local trader': 'kas pagarigan: NFA, lokal a komersiante',
+        'No harvests recorded yet.': 'Awan pay ti nailista nga apit.',
+        'No sales recorded yet.': 'Awan pay ti nailista a lako.',
+        '{percent}% moisture': '{percent}% a linnaaw',
+        'Owes {amount}': 'Adda utang a {amount}',
+        'Fully paid': 'Nabayadan amin',
+        'Add Harvest': 'Inayon ti Apit',
+        'Edit Harvest': 'Baliwan ti Apit',
+        'Add Sale': 'Inayon ti Lako',
+        'Edit Sale': 'Baliwan ti Lako',
+        'Please fill in all required fields.': 'Punnuen amin a kasapulan a field.',
+        'Error saving harvest. Please try again.': 'Adda biddut iti panangidulin ti apit. Padasem manen.',
+        'Amount paid is more than the sale total. Save anyway?': 'Ad-adu ti nabayadan ngem ti dagup ti lako. Idulin latta?',
+        'Error saving sale. Please try again.': 'Adda biddut iti panangidulin ti lako. Padasem manen.',
+        'Are you sure you want to delete this harvest record?': 'Sigurado kadi nga ikkatem daytoy a rekord ti apit?',
+        'Error deleting harvest. Please try again.': 'Adda biddut iti panangikkat ti apit. Padasem manen.',
+        'Are you sure you want to delete this sale?': 'Sigurado kadi nga ikkatem daytoy a lako?',
+        'Error deleting sale. Please try again.': 'Adda biddut iti panangikkat ti lako. Padasem manen.',
+        'Select or add a farm to record its harvest and sales.': 'Pumili wenno manginayon iti talon tapno mailista ti apit ken lakona.',
+
+        // Resources (expenses, budget, stock)
+        'MADB - Farm Inputs & Expenses': 'MADB - Gamit ken Gastos iti Talon',
+        'Farm Management System': 'Sistema ti Panangaywan ti Talon',
+        'Farm Inputs and Expenses': 'Gamit ken Gastos iti Talon',
+        '🎯 Set Budget': '🎯 Ikeddeng ti Badyet',
+        'No expenses yet': 'Awan pay ti gastos',
+        'Total Expenses': 'Dagup ti Gastos',
+        '📦 Input Stock': '📦 Stock dagiti Gamit',
+        'Bought = Fertilizer and Pesticides expenses. Used = amounts entered when application tasks are checked off in the Rice Guide.': 'Nagatang = gastos iti Abono ken Pestisidio. Nausar = kaadu nga inkabil idi namarkaan ti trabaho iti Giya iti Pagay.',
+        'Recent Expenses': 'Kabarbaro a Gastos',
+        '⬇ Export CSV': '⬇ I-export ti CSV',
+        '⬆ Import CSV': '⬆ I-import ti CSV',
+        'Expense Detail': 'Detalye ti Gastos',
+        'Specify Category': 'Ibaga ti Kategoria',
+        'Amount (₱)': 'Gatad (₱)',
+        'e.g. Urea Fertilizer': 'kas pagarigan: Urea nga Abono',
+        'e.g.Transportation': 'kas pagarigan: Pamasahe',
+        'e.g. bags, kg': 'kas pagarigan: sako, kg',
+        'Farm Budget': 'Badyet ti Talon',
+        'Enter amounts': 'Ikabil ti gatad',
+        'Per hectare (multiplied by farm size)': 'Iti tunggal ektaria (mapaadu babaen ti kadakkel ti talon)',
+        'For the whole farm': 'Para iti intero a talon',
+        'Use suggested amounts': 'Usaren ti maisingasing a gatad',
+        'Remove budget': 'Ikkaten ti badyet',
+        'Save Budget': 'Idulin ti Badyet',
+        'Export Expenses': 'I-export dagiti Gastos',
+        'Expenses to export': 'Gastos a mai-export',
+        'All farms': 'Amin a talon',
+        'Export': 'I-export',
+        'Import Expenses': 'I-import dagiti Gastos',
+        'Match each field to a column in your file. Rows without a farm column go to this farm.': 'Itunos ti tunggal field iti maysa a column ti filem. Mapan iti daytoy a talon dagiti linia nga awan ti column ti talon.',
+        'Preview': 'Kitaen',
+        'Import': 'I-import',
+        'No expenses recorded yet.': 'Awan pay ti nailista a gastos.',
+        'Are you sure you want to delete this expense?': 'Sigurado kadi nga ikkatem daytoy a gastos?',
+        'Error deleting expense. Please try again.': 'Adda biddut iti panangikkat ti gastos. Padasem manen.',
+        'Error saving expense. Please try again.': 'Adda biddut iti panangidulin ti gastos. Padasem manen.',
+        'No category breakdown yet.': 'Awan pay ti pannakabingay babaen ti kategoria.',
+        'Add Fertilizer or Pesticides expenses with a quantity to track stock.': 'Manginayon iti gastos iti Abono wenno Pestisidio nga addaan kaadu tapno masurot ti stock.',
+        'Input': 'Gamit',
+        'Bought': 'Nagatang',
+        'Used': 'Nausar',
+        'On Hand': 'Nabati',
+        'Edit Expense': 'Baliwan ti Gastos',
+        'Enter your farm details so we can tailor the expense tracker for your cropping calendar.': 'Ikabil dagiti detalye ti talonmo tapno maibagay ti listaan ti gastos iti kalendario ti panagmulam.',
+        'Completed - View Only': 'Nalpas - Makita Laeng',
+        '{amount} per hectare': '{amount} iti tunggal ektaria',
+        'Total budget: {amount}': 'Dagup ti badyet: {amount}',
+        'Budget amounts cannot be negative.': 'Saan a mabalin a negatibo ti gatad ti badyet.',
+        'Error saving budget. Please try again.': 'Adda biddut iti panangidulin ti badyet. Padasem manen.',
+        'Remove the budget for this farm?': 'Ikkaten ti badyet daytoy a talon?',
+        'Error removing budget. Please try again.': 'Adda biddut iti panangikkat ti badyet. Padasem manen.',
+        'Error exporting expenses. Please try again.': 'Adda biddut iti panang-export dagiti gastos. Padasem manen.',
+        'Could not read this file. Please choose a CSV file.': 'Saan a mabasa daytoy a file. Pumili iti CSV a file.',
+        'The file has no expense rows. The first row must be the column headers.': 'Awan ti linia ti gastos iti file. Rumbeng a dagiti nagan ti column ti umuna a linia.',
+        'Not in file': 'Awan iti file',
+        'Column {number}': 'Column {number}',
+        'Please choose the column for {field}.': 'Pilien ti column para iti {field}.',
+        'missing name': 'awan ti nagan',
+        'missing category': 'awan ti kategoria',
+        'bad date "{value}"': 'biddut a petsa "{value}"',
+        'bad amount "{value}"': 'biddut a gatad "{value}"',
+        'bad quantity "{value}"': 'biddut a kaadu "{value}"',
+        'unknown farm "{name}"': 'di am-ammo a talon "{name}"',
+        '{count} row(s) ready to import': '{count} a linia ti nakasagana a mai-import',
+        '{count} with problems will be skipped': 'malabsan ti {count} nga addaan problema',
+        'Line': 'Linia',
+        'Expense': 'Gastos',
+        'Imported {count} expense(s).': 'Nai-import ti {count} a gastos.',
+        'Error importing expenses. Please try again.': 'Adda biddut iti panang-import dagiti gastos. Padasem manen.',
+
+        // Manage farms, backup and sync
+        'Manage Farms - MADB': 'Dagiti Talon - MADB',
+        'View and edit your farm profiles': 'Kitaen ken baliwan dagiti talonmo',
+        'Backup & Restore': 'Backup ken Panangisubli',
+        'Keep your data safe by creating backups': 'Pagtalinaeden a natalged ti datosmo babaen ti panagaramid iti backup',
+        '📥 Backup My Data': '📥 I-backup ti Datosko',
+        '📤 Restore from Backup': '📤 Isubli manipud Backup',
+        'Restore from Backup': 'Isubli manipud Backup',
+        'Sync Between Phones': 'I-sync kadagiti Sabali a Telepono',
+        'Changes are sent to your sync server when you are online': 'Maipatulod dagiti panagbaliw iti sync servermo no adda koneksionmo',
+        'Turn on sync': 'Isilaw ti sync',
+        '💾 Save': '💾 Idulin',
+        '🔄 Sync Now': '🔄 I-sync Itan',
+        '➕ Add New Farm': '➕ Inayon ti Baro a Talon',
+        'Loading farms...': 'Ag-load dagiti talon...',
+        'Merge': 'Pagtiponen',
+        'keep this phone\'s data, add missing records and update older ones': 'pagtalinaeden ti datos daytoy a telepono, inayon dagiti kurang a rekord ken baruen dagiti daan',
+        'Replace': 'Sukatan',
+        'erase this phone\'s data and use the backup only': 'ikkaten ti datos daytoy a telepono ken ti backup laeng ti usaren',
+        'Restore': 'Isubli',
+        'Error loading farms. Please refresh the page.': 'Adda biddut iti panang-load dagiti talon. I-refresh ti panid.',
+        'No Farms Yet': 'Awan Pay ti Talon',
+        'Get started by adding your first farm profile.': 'Rugian babaen ti pananginayon ti umuna a talonmo.',
+        'Report': 'Report',
+        'Unmark': 'Ikkaten ti marka',
+        'Farm selected successfully!': 'Napili ti talon!',
+        'Error selecting farm. Please try again.': 'Adda biddut iti panangpili ti talon. Padasem manen.',
+        'Are you sure you want to delete "{name}"?': 'Sigurado kadi nga ikkatem ti "{name}"?',
+        'This will also delete everything recorded for this farm: expenses, harvests, sales, attendance, equipment use, scouting, water log and journal entries.': 'Maikkat met amin a nailista para iti daytoy a talon: gastos, apit, lako, panagatendar dagiti trabahador, panagusar ti makinarya, panagsukimat, listaan ti danum ken dagiti listaan.',
+        'Note: This is your active farm. Another farm will be selected automatically.': 'Palagip: Daytoy ti aktibo a talonmo. Automatiko a mapili ti sabali a talon.',
+        'Farm deleted successfully!': 'Naikkat ti talon!',
+        'Error deleting farm. Please try again.': 'Adda biddut iti panangikkat ti talon. Padasem manen.',
+        'Farm "{name}" is now active again!': 'Aktibo manen ti talon a "{name}"!',
+        'Error unmarking farm. Please try again.': 'Adda biddut iti panangikkat ti marka. Padasem manen.',
+        'Preparing backup...': 'Isagsagana ti backup...',
+        'Backup saved: {filename}': 'Naidulin ti backup: {filename}',
+        '❌ Failed to create backup': '❌ Saan a naaramid ti backup',
+        '❌ Please select a valid JSON backup file': '❌ Pumili iti umno a JSON a backup file',
+        'Reading backup file...': 'Basbasaen ti backup file...',
+        'Backup file is not valid JSON': 'Saan nga umno a JSON ti backup file',
+        'This backup cannot be restored. Nothing was changed.': 'Saan a maisubli daytoy a backup. Awan ti nabaliwan.',
+        'Farms': 'Dagiti Talon',
+        'Expenses': 'Dagiti Gastos',
+        'In backup': 'Adda iti backup',
+        'This will REPLACE all your current farms and everything recorded for them!': 'SUKATAN daytoy amin a talonmo ken amin a nailista para kadagitoy!',
+        'Records already on this phone are updated only when the backup copy is newer.': 'Mabaruan laeng dagiti rekord iti daytoy a telepono no nabarbaro ti kopia iti backup.',
+        'Import cancelled': 'Naukas ti panang-import',
+        '⚠️ This will REPLACE all your current data!\n\nContinue?': '⚠️ SUKATAN daytoy amin a datosmo!\n\nItuloy?',
+        'Restoring backup...': 'Isubsubli ti backup...',
+        'Merged: {added} added, {updated} updated, {skipped} skipped': 'Natipon: {added} nainayon, {updated} nabaruan, {skipped} nalabsan',
+        'Restored {farmsImported} farms, {expensesImported} expenses, {harvestsImported} harvests and {salesImported} sales': 'Naisubli ti {farmsImported} a talon, {expensesImported} a gastos, {harvestsImported} nga apit ken {salesImported} a lako',
+        '❌ Failed to restore backup': '❌ Saan a naisubli ti backup',
+        '{count} change waiting to be sent': '{count} a panagbaliw ti agur-uray a maipatulod',
+        '{count} changes waiting to be sent': '{count} a panagbaliw ti agur-uray a maipatulod',
+        'Last synced {time}': 'Naudi a na-sync {time}',
+        'Last attempt failed: {error}': 'Napaay ti naudi a padas: {error}',
+        'Please enter the sync server address, starting with http:// or https://': 'Ikabil ti address ti sync server, a mangrugi iti http:// wenno https://',
+        'Sync turned on': 'Nakasilaw ti sync',
+        'Sync turned off': 'Naiddep ti sync',
+        'Syncing...': 'Ag-sync...',
+        'Sent {pushed} changes, received {applied}': 'Naipatulod ti {pushed} a panagbaliw, naawat ti {applied}',
+        '❌ Sync failed. Your changes are kept and will be sent later.': '❌ Napaay ti sync. Naidulin dagiti panagbaliwmo ket maipatulodto no madamdama.',
+
+        // Farm report
+        'Farm Report - MADB': 'Report ti Talon - MADB',
+        '← Manage Farms': '← Dagiti Talon',
+        '🖨️ Print / Save as PDF': '🖨️ I-print / Idulin kas PDF',
+        'Loading report...': 'Ag-load ti report...',
+        'Season Report': 'Report ti Panagmula',
+        'End-of-Season Report': 'Report ti Panagpatingga ti Panagmula',
+        'Season Report (in progress)': 'Report ti Panagmula (agtultuloy)',
+        'Farm Details': 'Detalye ti Talon',
+        'Completed on {date}': 'Nalpas idi {date}',
+        'In progress': 'Agtultuloy',
+        'Last Expense': 'Naudi a Gastos',
+        'Planned vs Actual Task Dates': 'Naplano ken Pudno a Petsa ti Trabaho',
+        '{done} of {total} tasks recorded as done.': '{done} iti {total} a trabaho ti nailista a nalpas.',
+        'Planned': 'Naplano',
+        'Actual': 'Pudno',
+        'Difference': 'Paggiddiatan',
+        'On time': 'Iti oras',
+        '{days} day(s) late': '{days} nga aldaw a naladaw',
+        '{days} day(s) early': '{days} nga aldaw a nasapa',
+        'Not recorded': 'Saan a nailista',
+        'Expenses by Category': 'Gastos babaen ti Kategoria',
+        'Per Hectare': 'Iti tunggal Ektaria',
+        'Share': 'Paset',
+        'Expenses over Time': 'Gastos iti Panaglabas ti Panawen',
+        'Cost and Income Summary': 'Pakabuklan ti Gastos ken Sapul',
+        'Cost per Hectare': 'Gastos iti tunggal Ektaria',
+        'Itemized Expenses': 'Detalyado a Gastos',
+        'Item': 'Banag',
+        'Qty': 'Kaadu',
+        'No expenses recorded.': 'Awan ti nailista a gastos.',
+        'Farm not found. Open the report from Manage Farms.': 'Saan a nasarakan ti talon. Luktan ti report manipud Dagiti Talon.',
+        'Generated {date} with MagtanimAyDiBiro': 'Naaramid idi {date} babaen ti MagtanimAyDiBiro',
+        'Error loading the report. Please refresh the page.': 'Adda biddut iti panang-load ti report. I-refresh ti panid.',
+
+        // Reminder settings and history
+        'Reminder Settings - MADB': 'Setting ti Pammalagip - MADB',
+        'Reminder Settings': 'Setting ti Pammalagip',
+        'Choose when and how you are reminded': 'Pilien no kaano ken kasano ti pannakapalagipmo',
+        'Alerts': 'Dagiti Alerto',
+        'This browser cannot show alerts. Reminders appear on the dashboard.': 'Saan a makaipakita iti alerto daytoy a browser. Makita dagiti pammalagip iti dashboard.',
+        'Alerts are turned on for this phone.': 'Nakasilaw dagiti alerto iti daytoy a telepono.',
+        'Alerts are blocked. Allow notifications for this app in your browser settings to get reminders.': 'Naserraan dagiti alerto. Ipalubos ti notification daytoy nga app iti setting ti browser tapno umawat iti pammalagip.',
+        'Alerts are off. Reminders only appear on the dashboard.': 'Naiddep dagiti alerto. Iti dashboard laeng a makita dagiti pammalagip.',
+        'Turn on alerts': 'Isilaw dagiti alerto',
+        'How far ahead': 'Kasano kaagsapa',
+        'Remind me about field tasks (days before)': 'Ipalagipnak kadagiti trabaho iti talon (mano nga aldaw sakbay)',
+        'Warn me about low fertilizer or pesticide stock (days before it is needed)': 'Ballaagannak no kurang ti abono wenno pestisidio (mano nga aldaw sakbay a kasapulan)',
+        'Quiet hours': 'Naulimek nga oras',
+        'No alerts during quiet hours': 'Awan ti alerto iti naulimek nga oras',
+        'From': 'Manipud',
+        'Until': 'Agingga',
+        'Reminders due during quiet hours are sent at the next check after they end.': 'Maipatulod dagiti pammalagip a natinnag iti naulimek nga oras iti sumaruno a panangkita kalpasanna.',
+        'How alerts arrive': 'Kasano a dumteng dagiti alerto',
+        'One alert for each task': 'Maysa nga alerto iti tunggal trabaho',
+        'One daily summary of all tasks': 'Maysa a pakabuklan dagiti amin a trabaho iti inaldaw',
+        'Vibrate': 'Agkintayeg',
+        'Keep alerts for tasks due today or overdue on screen until I open them': 'Pagtalinaeden iti screen ti alerto dagiti trabaho ita nga aldaw wenno naladaw agingga a luktak',
+        'Mute farms': 'I-mute dagiti talon',
+        'Muted farms still show reminders on the dashboard but send no alerts.': 'Makita pay laeng iti dashboard ti pammalagip dagiti naka-mute a talon ngem awan ti alerto nga ipatulodda.',
+        '💾 Save Settings': '💾 Idulin ti Setting',
+        'No active farms.': 'Awan ti aktibo a talon.',
+        'Error loading settings. Please refresh the page.': 'Adda biddut iti panang-load ti setting. I-refresh ti panid.',
+        'Reminder settings saved': 'Naidulin ti setting ti pammalagip',
+        'Error saving settings. Please try again.': 'Adda biddut iti panangidulin ti setting. Padasem manen.',
+        'Reminders - MADB': 'Dagiti Pammalagip - MADB',
+        'Reminders sent on this phone': 'Dagiti pammalagip a naipatulod iti daytoy a telepono',
+        'Needs attention': 'Masapul nga asikasuen',
+        'New': 'Baro',
+        'Snoozed': 'Naitantan',
+        'Acknowledged': 'Naawaten',
+        'All': 'Amin',
+        '✔ Acknowledge all': '✔ Awaten amin',
+        '⚙️ Settings': '⚙️ Setting',
+        'Loading reminders...': 'Ag-load dagiti pammalagip...',
+        'No reminders here.': 'Awan ti pammalagip ditoy.',
+        'Snoozed until {time}': 'Naitantan agingga {time}',
+        'Acknowledged {time}': 'Naawat {time}',
+        'Sent {time} in the daily summary': 'Naipatulod {time} iti inaldaw a pakabuklan',
+        'Sent {time}': 'Naipatulod {time}',
+        'Due {date}': 'Aramiden {date}',
+        'Open task': 'Luktan ti trabaho',
+        'Acknowledge': 'Awaten',
+        '{days}d': '{days}a',
+        'Error loading reminders. Please refresh the page.': 'Adda biddut iti panang-load dagiti pammalagip. I-refresh ti panid.',
+        'Acknowledge {count} reminder(s)?': 'Awaten ti {count} a pammalagip?',
+
+        // Reminder and alert messages (js/notifications.js)
+        '{count} task(s) need attention, {overdue} overdue': '{count} a trabaho ti masapul nga asikasuen, {overdue} ti naladawen',
+        '{count} task(s) need attention': '{count} a trabaho ti masapul nga asikasuen',
+        '{category} is {amount} over budget': 'Nalab-awan ti {category} iti {amount} ti badyet',
+        'Spent {spent} of {budget}': 'Nagastos ti {spent} iti {budget}',
+        '{days} day(s) overdue': 'naladaw iti {days} nga aldaw',
+        'today': 'ita nga aldaw',
+        'in {days} day(s)': 'iti uneg ti {days} nga aldaw',
+        'Not enough {input} for "{task}" ({when})': 'Kurang ti {input} para iti "{task}" ({when})',
+        'Need {needed} {unit}, have {onHand} — buy {shortBy} more': 'Masapul ti {needed} {unit}, adda {onHand} — gumatang pay iti {shortBy}',
+        '{days} days overdue': 'Naladaw iti {days} nga aldaw',
+        'Overdue since yesterday': 'Naladaw manipud idi kalman',
+        'Today': 'Ita nga aldaw',
+        'Tomorrow': 'Inton bigat',
+        'In {days} days': 'Iti uneg ti {days} nga aldaw',
+        'Moved from {date} due to earlier delays': 'Naiyakar manipud {date} gapu kadagiti immuna a panagladaw'
+    }
+});
@@ -1,11 +1,89 @@
 /**
  * Notification System for MADB (MagtanimAyDiBiro)
- * Handles stage reminders and browser notifications
+ * Handles task reminders (upcoming and overdue) and browser notifications.
+ * Also loaded by the service worker, which checks reminders on periodic background sync;
+ * opening the dashboard runs the same check as a fallback.
  */
 
 const NotificationManager = {
     NOTIFICATION_STORAGE_KEY: 'notificationSettings',
-    LAST_NOTIFICATION_KEY: 'lastNotificationCheck',
+    SNOOZE_OPTIONS: [1, 3, 7], // Days a reminder can be snoozed for
+    LAST_DIGEST_KEY: 'lastReminderDigest', // Settings entry: date key of the last daily digest
+    REMINDER_SYNC_TAG: 'farm-reminders',
+    REMINDER_INTERVAL_MS: 12 * 60 * 60 * 1000,
+    OVERDUE_LEVELS: [[8, 'critical'], [4, 'late'], [1, 'overdue']], // [minimum days late, urgency]
+    VIBRATE_PATTERN: [200, 100, 200],
+    DIGEST_MAX_LINES: 4,
+
+    // Preferences saved under NOTIFICATION_STORAGE_KEY in the settings store
+    DEFAULT_SETTINGS: {
+        leadDays: {
+            tasks: 3,  // Remind about field tasks this many days ahead
+            stock: 14  // Warn about input shortages this many days before the application
+        },
+        quietHours: { enabled: false, start: '21:00', end: '06:00' },
+        mutedFarms: [],           // Farm IDs that get banners but no notifications
+        delivery: 'individual',   // 'individual' alerts or one 'digest' a day
+        vibrate: true,
+        keepUrgentOnScreen: true  // requireInteraction for tasks due today or overdue
+    },
+
+    /**
+     * Notification preferences, with defaults for anything not set
+     */
+    async getSettings() {
+        const stored = (await IndexedDBStorage.getSetting(this.NOTIFICATION_STORAGE_KEY)) || {};
+        const defaults = this.DEFAULT_SETTINGS;
+
+        return {
+            ...defaults,
+            ...stored,
+            leadDays: { ...defaults.leadDays, ...stored.leadDays },
+            quietHours: { ...defaults.quietHours, ...stored.quietHours },
+            mutedFarms: Array.isArray(stored.mutedFarms) ? stored.mutedFarms : []
+        };
+    },
+
+    async saveSettings(settings) {
+        await IndexedDBStorage.setSetting(this.NOTIFICATION_STORAGE_KEY, settings);
+        console.log('[Notifications] Settings saved');
+    },
+
+    isFarmMuted(settings, farmId) {
+        return settings.mutedFarms.includes(farmId);
+    },
+
+    /**
+     * Whether `now` falls inside quiet hours; the window may run past midnight (e.g. 21:00–06:00)
+     */
+    isQuietTime(settings, now = new Date()) {
+        const { enabled, start, end } = settings.quietHours;
+        if (!enabled || start === end) {
+            return false;
+        }
+
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const current = now.getHours() * 60 + now.getMinutes();
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+
+        return from < to
+            ? current >= from && current < to
+            : current >= from || current < to;
+    },
+
+    /**
+     * Vibration and requireInteraction for a notification, following the settings
+     */
+    getAlertOptions(settings, urgent) {
+        return {
+            vibrate: settings.vibrate ? this.VIBRATE_PATTERN : [],
+            requireInteraction: settings.keepUrgentOnScreen && urgent
+        };
+    },
 
     /**
      * Request notification permission from user
@@ -39,6 +117,38 @@ const NotificationManager = {
         return Notification.permission === 'granted';
     },
 
+    /**
+     * Ask the browser to wake the service worker regularly to check reminders.
+     * Only Chromium-based browsers support periodic background sync, and only for installed apps.
+     * @returns {boolean} Whether periodic reminders are registered
+     */
+    async registerPeriodicReminders() {
+        if (!('serviceWorker' in navigator)) {
+            return false;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !('periodicSync' in registration)) {
+                console.log('[Notifications] Periodic background sync not available');
+                return false;
+            }
+
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state !== 'granted') {
+                console.log('[Notifications] Periodic background sync not permitted');
+                return false;
+            }
+
+            await registration.periodicSync.register(this.REMINDER_SYNC_TAG, { minInterval: this.REMINDER_INTERVAL_MS });
+            console.log('[Notifications] Periodic reminders registered');
+            return true;
+        } catch (error) {
+            console.error('[Notifications] Error registering periodic reminders:', error);
+            return false;
+        }
+    },
+
     /**
      * Show a browser notification
      */
@@ -51,7 +161,7 @@ const NotificationManager = {
         const defaultOptions = {
             icon: '/icon-192x192.svg',
             badge: '/icon-192x192.svg',
-            vibrate: [200, 100, 200],
+            vibrate: this.VIBRATE_PATTERN,
             ...options
         };
 
@@ -65,6 +175,48 @@ const NotificationManager = {
         }
     },
 
+    /**
+     * Show a notification through the service worker registration, so it works from
+     * the worker itself and its click opens the page in `options.data.url`.
+     * Falls back to a page notification when no service worker is registered.
+     */
+    async showReminder(title, options = {}) {
+        if (!this.isEnabled()) {
+            console.log('[Notifications] Not enabled, skipping:', title);
+            return false;
+        }
+
+        const registration = self.registration ||
+            ('serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null);
+        if (!registration) {
+            return this.show(title, options) !== null;
+        }
+
+        try {
+            await registration.showNotification(title, {
+                icon: 'icon-192x192.svg',
+                badge: 'icon-192x192.svg',
+                vibrate: this.VIBRATE_PATTERN,
+                ...options
+            });
+            console.log('[Notifications] Shown:', title);
+            return true;
+        } catch (error) {
+            console.error('[Notifications] Error showing notification:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Page a reminder opens: the farm's guide, scrolled to the task
+     */
+    getReminderUrl({ farmId, stageIndex, taskIndex }) {
+        const params = new URLSearchParams({ farm: farmId });
+        if (stageIndex != null) params.set('stage', stageIndex);
+        if (taskIndex != null) params.set('task', taskIndex);
+        return `rice-guide.html?${params}`;
+    },
+
     /**
      * Calculate days until a specific date
      */
@@ -80,166 +232,506 @@ const NotificationManager = {
     },
 
     /**
-     * Get upcoming stages for a farm
+     * Urgency of a task reminder. Overdue tasks move up a level the longer they are late.
+     * @returns {string} 'info' | 'warning' | 'urgent' | 'overdue' | 'late' | 'critical'
+     */
+    getUrgency(daysUntil) {
+        if (daysUntil < 0) {
+            const daysLate = -daysUntil;
+            return this.OVERDUE_LEVELS.find(([minDaysLate]) => daysLate >= minDaysLate)[1];
+        }
+        if (daysUntil === 0) return 'urgent';
+        if (daysUntil === 1) return 'warning';
+        return 'info';
+    },
+
+    /**
+     * Tasks on a farm that are due within `leadDays` or overdue, most urgent first.
+     * Dates come from each task's offset, re-projected from recorded delays;
+     * tasks already in `taskCompletions` are skipped.
+     * @returns {Array} [{ farmId, farmName, stageIndex, taskIndex, stageTitle, text, date, plannedDate, daysUntil, urgency }]
      */
-    getUpcomingStages(farmInfo, stages) {
+    getTaskReminders(farmInfo, stages, leadDays = this.DEFAULT_SETTINGS.leadDays.tasks) {
         if (!farmInfo || !farmInfo.startDate) {
             return [];
         }
 
-        const startDate = new Date(farmInfo.startDate);
-        const upcoming = [];
-
-        stages.forEach(stage => {
-            const stageDate = new Date(startDate);
-            stageDate.setDate(stageDate.getDate() + stage.offset);
-            
-            const daysUntil = this.daysUntil(stageDate);
-            
-            // Include stages happening today, tomorrow, or in next 3 days
-            if (daysUntil >= 0 && daysUntil <= 3) {
-                upcoming.push({
-                    stage: stage,
-                    date: stageDate,
-                    daysUntil: daysUntil,
-                    farmName: farmInfo.name
+        const schedule = RiceStages.buildSchedule(farmInfo.startDate, farmInfo.taskCompletions, stages);
+        const reminders = [];
+
+        schedule.stages.forEach(scheduledStage => {
+            scheduledStage.tasks.forEach(task => {
+                if (task.completed) return;
+
+                const daysUntil = this.daysUntil(task.projectedDate);
+                if (daysUntil > leadDays) return;
+
+                reminders.push({
+                    farmId: farmInfo.id,
+                    farmName: farmInfo.name,
+                    stageIndex: task.stageIndex,
+                    taskIndex: task.taskIndex,
+                    stageTitle: scheduledStage.title,
+                    text: task.text.trim(),
+                    date: task.projectedDate,
+                    plannedDate: task.plannedDate,
+                    daysUntil,
+                    urgency: this.getUrgency(daysUntil)
                 });
+            });
+        });
+
+        return reminders.sort((a, b) => a.daysUntil - b.daysUntil);
+    },
+
+    /**
+     * Ledger ID of a reminder: farm, task and the date the task is due.
+     * If the schedule moves the task to a new date it becomes a new reminder.
+     */
+    getReminderId(reminder) {
+        return `${reminder.farmId}|${reminder.stageIndex}-${reminder.taskIndex}|${RiceStages.toDateKey(reminder.date)}`;
+    },
+
+    /**
+     * The notification ledger as a map of ID to entry
+     */
+    async getLedger() {
+        const entries = await IndexedDBStorage.getAllNotifications();
+        return Object.fromEntries(entries.map(entry => [entry.id, entry]));
+    },
+
+    isSnoozed(entry, now = new Date()) {
+        return !!entry && entry.status === 'snoozed' && new Date(entry.snoozedUntil) > now;
+    },
+
+    /**
+     * Whether a reminder should be alerted: never shown before, or its snooze has run out.
+     * Acknowledged reminders are never alerted again.
+     */
+    isAlertDue(entry) {
+        if (!entry) return true;
+        return entry.status === 'snoozed' && !this.isSnoozed(entry);
+    },
+
+    /**
+     * Record that a reminder was shown
+     */
+    async recordShown(reminder, entry, delivery) {
+        await IndexedDBStorage.saveNotification({
+            id: this.getReminderId(reminder),
+            farmId: reminder.farmId,
+            farmName: reminder.farmName,
+            stageIndex: reminder.stageIndex,
+            taskIndex: reminder.taskIndex,
+            stageTitle: reminder.stageTitle,
+            text: reminder.text,
+            dueDate: RiceStages.toDateKey(reminder.date),
+            urgency: reminder.urgency,
+            delivery,
+            status: 'new',
+            shownAt: new Date().toISOString(),
+            shownCount: ((entry && entry.shownCount) || 0) + 1,
+            snoozedUntil: null,
+            acknowledgedAt: null
+        });
+    },
+
+    /**
+     * Mark a ledger entry as seen; it is not alerted again
+     */
+    async acknowledgeNotification(entry) {
+        await IndexedDBStorage.saveNotification({
+            ...entry,
+            status: 'acknowledged',
+            acknowledgedAt: new Date().toISOString(),
+            snoozedUntil: null
+        });
+    },
+
+    /**
+     * Hide a ledger entry for some days; it is alerted again when the snooze ends
+     */
+    async snoozeNotification(entry, days) {
+        const until = new Date();
+        until.setDate(until.getDate() + days);
+        await IndexedDBStorage.saveNotification({ ...entry, status: 'snoozed', snoozedUntil: until.toISOString() });
+    },
+
+    /**
+     * Notify about task reminders, following the settings: nothing during quiet hours
+     * (reminders wait for the next check), nothing for muted farms, and either one
+     * alert per task or a single daily digest. Each reminder is alerted once; the
+     * ledger in IndexedDB keeps the page and the service worker from repeating it.
+     */
+    async notifyReminders(reminders, settings, ledger) {
+        if (!this.isEnabled() || this.isQuietTime(settings)) {
+            return 0;
+        }
+
+        const active = reminders.filter(item => !this.isFarmMuted(settings, item.farmId));
+        return settings.delivery === 'digest'
+            ? this.sendDigest(active, settings, ledger)
+            : this.sendIndividualReminders(active, settings, ledger);
+    },
+
+    /**
+     * One alert per reminder not yet in the ledger (or back from a snooze)
+     */
+    async sendIndividualReminders(reminders, settings, ledger) {
+        let shown = 0;
+
+        for (const item of reminders) {
+            const id = this.getReminderId(item);
+            const entry = ledger[id];
+            if (!this.isAlertDue(entry)) continue;
+
+            const formatted = this.formatReminder(item);
+            const delivered = await this.showReminder(`🌾 ${item.farmName}`, {
+                body: formatted.text,
+                tag: `task-${item.farmId}-${item.stageIndex}-${item.taskIndex}`,
+                ...this.getAlertOptions(settings, !['info', 'warning'].includes(item.urgency)),
+                data: {
+                    url: this.getReminderUrl(item),
+                    notificationId: id,
+                    farmId: item.farmId,
+                    stageIndex: item.stageIndex,
+                    taskIndex: item.taskIndex
+                }
+            });
+            if (delivered) {
+                await this.recordShown(item, entry, 'alert');
+                shown++;
             }
+        }
+
+        return shown;
+    },
+
+    /**
+     * One summary alert a day listing reminders that are not acknowledged or snoozed
+     */
+    async sendDigest(reminders, settings, ledger) {
+        const today = RiceStages.toDateKey(new Date());
+        const pending = reminders.filter(item => {
+            const entry = ledger[this.getReminderId(item)];
+            return !entry || entry.status === 'new' || this.isAlertDue(entry);
         });
+        if (pending.length === 0 || (await IndexedDBStorage.getSetting(this.LAST_DIGEST_KEY)) === today) {
+            return 0;
+        }
+
+        const overdue = pending.filter(item => item.daysUntil < 0).length;
+        const lines = pending.slice(0, this.DIGEST_MAX_LINES)
+            .map(item => `${item.farmName}: ${this.formatReminder(item).text}`);
+        if (pending.length > this.DIGEST_MAX_LINES) {
+            lines.push(I18n.t('…and {count} more', { count: pending.length - this.DIGEST_MAX_LINES }));
+        }
+
+        const title = overdue
+            ? I18n.t('{count} task(s) need attention, {overdue} overdue', { count: pending.length, overdue })
+            : I18n.t('{count} task(s) need attention', { count: pending.length });
+        const delivered = await this.showReminder(
+            `🌾 ${title}`,
+            {
+                body: lines.join('\n'),
+                tag: 'daily-digest',
+                ...this.getAlertOptions(settings, overdue > 0),
+                data: { url: 'notification-history.html' }
+            }
+        );
+        if (!delivered) {
+            return 0;
+        }
 
-        return upcoming;
+        for (const item of pending) {
+            const entry = ledger[this.getReminderId(item)];
+            if (this.isAlertDue(entry)) {
+                await this.recordShown(item, entry, 'digest');
+            }
+        }
+        await IndexedDBStorage.setSetting(this.LAST_DIGEST_KEY, today);
+        return 1;
     },
 
     /**
-     * Check if we should show notifications today
+     * Task reminders for a farm within the lead days set for tasks (completed farms have none)
      */
-    shouldCheckToday() {
+    async checkFarmTasks(farmInfo, stages, settings = this.DEFAULT_SETTINGS) {
+        if (!farmInfo || farmInfo.completed) {
+            return [];
+        }
+
+        return this.getTaskReminders(farmInfo, stages, settings.leadDays.tasks);
+    },
+
+    /**
+     * Check all active farms for due and overdue tasks and send any notifications that are due.
+     * Each farm uses the stages of its own crop template unless `stages` is given.
+     * Snoozed reminders are left out of the result until their snooze ends.
+     */
+    async checkAllFarms(stages = null) {
         try {
-            const lastCheck = localStorage.getItem(this.LAST_NOTIFICATION_KEY);
-            if (!lastCheck) return true;
+            const farms = await IndexedDBStorage.getActiveFarms();
+            const settings = await this.getSettings();
+            const allReminders = [];
 
-            const today = new Date().toDateString();
-            const lastCheckDate = new Date(lastCheck).toDateString();
+            if (!stages) {
+                await RiceStages.loadTemplates();
+            }
+            for (const farm of farms) {
+                const reminders = await this.checkFarmTasks(farm, stages || RiceStages.getFarmStages(farm), settings);
+                allReminders.push(...reminders);
+            }
 
-            return today !== lastCheckDate;
+            allReminders.sort((a, b) => a.daysUntil - b.daysUntil);
+            const ledger = await this.getLedger();
+            await this.notifyReminders(allReminders, settings, ledger);
+            return allReminders.filter(item => !this.isSnoozed(ledger[this.getReminderId(item)]));
         } catch (error) {
-            return true;
+            console.error('[Notifications] Error checking farms:', error);
+            return [];
         }
     },
 
     /**
-     * Mark that we've checked notifications today
+     * Budget categories a farm has overspent
+     * @returns {Array} [{ farmId, farmName, category, budget, spent, overBy }]
      */
-    markCheckedToday() {
+    getBudgetAlerts(farmInfo, expenses) {
+        if (!farmInfo || !farmInfo.budget) {
+            return [];
+        }
+
+        return FarmBudget.compareBudget(farmInfo.budget, expenses).rows
+            .filter(row => row.overBudget)
+            .map(row => ({
+                farmId: farmInfo.id,
+                farmName: farmInfo.name,
+                category: row.category,
+                budget: row.budget,
+                spent: row.spent,
+                overBy: row.spent - row.budget
+            }));
+    },
+
+    /**
+     * Check all active farms for categories over budget
+     */
+    async checkAllBudgets() {
         try {
-            localStorage.setItem(this.LAST_NOTIFICATION_KEY, new Date().toISOString());
+            const farms = await IndexedDBStorage.getActiveFarms();
+            const allAlerts = [];
+
+            for (const farm of farms) {
+                if (!farm.budget) continue;
+                const expenses = await IndexedDBStorage.getExpensesByFarm(farm.id, farm.seasonId);
+                allAlerts.push(...this.getBudgetAlerts(farm, expenses));
+            }
+
+            return allAlerts;
         } catch (error) {
-            console.error('[Notifications] Error saving check date:', error);
+            console.error('[Notifications] Error checking budgets:', error);
+            return [];
         }
     },
 
     /**
-     * Check farm for upcoming stages and notify
+     * Create in-app over-budget warning HTML
      */
-    async checkFarmStages(farmInfo, stages) {
-        if (!farmInfo || farmInfo.completed) {
+    createBudgetBannerHTML(alert) {
+        const amount = value => I18n.formatCurrency(value);
+
+        return `
+            <div class="notification-banner urgent">
+                <span class="notification-icon">💸</span>
+                <div class="notification-content">
+                    <strong>${alert.farmName}</strong>
+                    <div>${I18n.t('{category} is {amount} over budget', { category: I18n.t(alert.category), amount: amount(alert.overBy) })}</div>
+                    <small>${I18n.t('Spent {spent} of {budget}', { spent: amount(alert.spent), budget: amount(alert.budget) })}</small>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Next fertilizer or pesticide applications, due within `leadDays`, that the farm's stock cannot cover
+     * @returns {Array} FarmInventory shortages with farmId and farmName added
+     */
+    getInventoryAlerts(farmInfo, expenses, leadDays = this.DEFAULT_SETTINGS.leadDays.stock) {
+        if (!farmInfo || !farmInfo.startDate || farmInfo.completed) {
             return [];
         }
 
-        const upcoming = this.getUpcomingStages(farmInfo, stages);
-        
-        if (upcoming.length === 0) {
+        return FarmInventory.getShortages(farmInfo, RiceStages.getFarmStages(farmInfo), expenses)
+            .filter(shortage => this.daysUntil(shortage.date) <= leadDays)
+            .map(shortage => ({ ...shortage, farmId: farmInfo.id, farmName: farmInfo.name }));
+    },
+
+    /**
+     * Check all active farms for input shortages
+     */
+    async checkAllInventory() {
+        try {
+            const farms = await IndexedDBStorage.getActiveFarms();
+            const { leadDays } = await this.getSettings();
+            const allAlerts = [];
+
+            for (const farm of farms) {
+                const expenses = await IndexedDBStorage.getExpensesByFarm(farm.id, farm.seasonId);
+                allAlerts.push(...this.getInventoryAlerts(farm, expenses, leadDays.stock));
+            }
+
+            return allAlerts;
+        } catch (error) {
+            console.error('[Notifications] Error checking inventory:', error);
             return [];
         }
+    },
 
-        // Only show notifications if we haven't checked today
-        if (this.shouldCheckToday() && this.isEnabled()) {
-            upcoming.forEach(item => {
-                let message = '';
-                let urgency = 'normal';
-
-                if (item.daysUntil === 0) {
-                    message = `Today: ${item.stage.title}`;
-                    urgency = 'high';
-                } else if (item.daysUntil === 1) {
-                    message = `Tomorrow: ${item.stage.title}`;
-                    urgency = 'high';
-                } else {
-                    message = `In ${item.daysUntil} days: ${item.stage.title}`;
-                }
+    /**
+     * Create in-app low-stock warning HTML
+     */
+    createInventoryBannerHTML(shortage) {
+        const days = this.daysUntil(shortage.date);
+        const when = days < 0 ? I18n.t('{days} day(s) overdue', { days: -days })
+            : days === 0 ? I18n.t('today')
+            : I18n.t('in {days} day(s)', { days });
 
-                this.show(`🌾 ${item.farmName}`, {
-                    body: message,
-                    tag: `stage-${item.stage.offset}`,
-                    requireInteraction: urgency === 'high'
-                });
-            });
+        return `
+            <div class="notification-banner ${days <= 3 ? 'urgent' : 'warning'}">
+                <span class="notification-icon">📦</span>
+                <div class="notification-content">
+                    <strong>${shortage.farmName}</strong>
+                    <div>${I18n.t('Not enough {input} for "{task}" ({when})', {
+                        input: I18n.t(shortage.label).toLowerCase(),
+                        task: I18n.translateContent(shortage.text.trim()),
+                        when
+                    })}</div>
+                    <small>${I18n.t('Need {needed} {unit}, have {onHand} — buy {shortBy} more', {
+                        needed: shortage.needed,
+                        unit: I18n.t(shortage.unit),
+                        onHand: shortage.onHand,
+                        shortBy: shortage.shortBy
+                    })}</small>
+                </div>
+            </div>
+        `;
+    },
 
-            this.markCheckedToday();
+    /**
+     * Water problems in the stages a farm has reached (see WaterLog.getWaterWarnings)
+     * @returns {Array} Warnings with farmId and farmName added
+     */
+    getWaterAlerts(farmInfo, waterLog) {
+        if (!farmInfo || !farmInfo.startDate || farmInfo.completed) {
+            return [];
         }
 
-        return upcoming;
+        const schedule = RiceStages.buildSchedule(farmInfo.startDate, farmInfo.taskCompletions || [], RiceStages.getFarmStages(farmInfo));
+        return WaterLog.getWaterWarnings(waterLog, schedule)
+            .map(warning => ({ ...warning, farmId: farmInfo.id, farmName: farmInfo.name }));
     },
 
     /**
-     * Check all active farms for upcoming stages
+     * Check all active farms' water logs; only the stage each farm is in now is reported
      */
-    async checkAllFarms(stages) {
+    async checkAllWater() {
         try {
             const farms = await IndexedDBStorage.getActiveFarms();
-            const allUpcoming = [];
+            const allAlerts = [];
 
             for (const farm of farms) {
-                const upcoming = await this.checkFarmStages(farm, stages);
-                allUpcoming.push(...upcoming);
+                const waterLog = await IndexedDBStorage.getWaterLogByFarm(farm.id, farm.seasonId);
+                allAlerts.push(...this.getWaterAlerts(farm, waterLog).filter(alert => alert.current));
             }
 
-            return allUpcoming;
+            return allAlerts;
         } catch (error) {
-            console.error('[Notifications] Error checking farms:', error);
+            console.error('[Notifications] Error checking water logs:', error);
             return [];
         }
     },
 
     /**
-     * Format upcoming stage for display
+     * Create in-app water warning HTML
      */
-    formatUpcoming(upcoming) {
-        if (upcoming.daysUntil === 0) {
-            return {
-                text: `Today: ${upcoming.stage.title}`,
-                class: 'urgent',
-                icon: '🔔'
-            };
-        } else if (upcoming.daysUntil === 1) {
-            return {
-                text: `Tomorrow: ${upcoming.stage.title}`,
-                class: 'warning',
-                icon: '⏰'
-            };
-        } else {
-            return {
-                text: `In ${upcoming.daysUntil} days: ${upcoming.stage.title}`,
-                class: 'info',
-                icon: '📅'
-            };
-        }
+    createWaterBannerHTML(alert) {
+        const stage = I18n.translateContent(alert.stageTitle);
+        const date = alert.date ? I18n.formatDate(RiceStages.parseDate(alert.date)) : '';
+        const text = {
+            'no-water': [
+                I18n.t('No irrigation or heavy rain recorded during {stage}', { stage }),
+                I18n.t('Rice needs standing water in this stage.')
+            ],
+            'dry-spell': [
+                I18n.t('No irrigation or heavy rain for {days} days during {stage}', { days: alert.days, stage }),
+                I18n.t('Last watered {date}', { date })
+            ],
+            'dry-field': [
+                I18n.t('The field was dry on {date} during {stage}', { date, stage }),
+                I18n.t('Keep 3–5 cm of standing water in this stage.')
+            ],
+            'standing-water': [
+                I18n.t('Drain the field before harvest: {depth} cm of water on {date}', { depth: alert.depthCm, date }),
+                I18n.t('A dry field ripens evenly and is easier to harvest.')
+            ]
+        }[alert.type];
+
+        return `
+            <div class="notification-banner ${alert.current && alert.type !== 'no-water' ? 'urgent' : 'warning'}">
+                <span class="notification-icon">💧</span>
+                <div class="notification-content">
+                    <strong>${alert.farmName}</strong>
+                    <div>${text[0]}</div>
+                    <small>${text[1]}</small>
+                </div>
+            </div>
+        `;
     },
 
     /**
-     * Create in-app notification banner HTML
+     * Format a task reminder for display
      */
-    createBannerHTML(upcoming) {
-        const formatted = this.formatUpcoming(upcoming);
+    formatReminder(reminder) {
+        const days = Math.abs(reminder.daysUntil);
+        const when = {
+            critical: I18n.t('{days} days overdue', { days }),
+            late: I18n.t('{days} days overdue', { days }),
+            overdue: days === 1 ? I18n.t('Overdue since yesterday') : I18n.t('{days} days overdue', { days }),
+            urgent: I18n.t('Today'),
+            warning: I18n.t('Tomorrow'),
+            info: I18n.t('In {days} days', { days })
+        }[reminder.urgency];
+        const icons = { critical: '🚨', late: '⚠️', overdue: '⚠️', urgent: '🔔', warning: '⏰', info: '📅' };
+
+        return {
+            text: `${when}: ${I18n.translateContent(reminder.text)}`,
+            class: reminder.urgency,
+            icon: icons[reminder.urgency]
+        };
+    },
+
+    /**
+     * Create in-app notification banner HTML; the banner links to the task in the guide.
+     * Farms muted in `settings` get a quieter banner marked as muted.
+     */
+    createBannerHTML(reminder, settings = this.DEFAULT_SETTINGS) {
+        const formatted = this.formatReminder(reminder);
+        const muted = this.isFarmMuted(settings, reminder.farmId);
+        const moved = reminder.daysUntil >= 0 && this.daysUntil(reminder.plannedDate) !== reminder.daysUntil;
+        const plannedText = moved
+            ? `<small>${I18n.t('Moved from {date} due to earlier delays', { date: I18n.formatDate(reminder.plannedDate, { month: 'short', day: 'numeric' }) })}</small>`
+            : `<small>${I18n.translateContent(reminder.stageTitle)}</small>`;
         
         return `
-            <div class="notification-banner ${formatted.class}">
-                <span class="notification-icon">${formatted.icon}</span>
+            <a class="notification-banner ${formatted.class}${muted ? ' muted' : ''}" href="${this.getReminderUrl(reminder)}">
+                <span class="notification-icon">${muted ? '🔕' : formatted.icon}</span>
                 <div class="notification-content">
-                    <strong>${upcoming.farmName}</strong>
+                    <strong>${reminder.farmName}</strong>
                     <div>${formatted.text}</div>
+                    ${plannedText}
                 </div>
-            </div>
+            </a>
         `;
     }
 };
@@ -0,0 +1,74 @@
+/**
+ * Photo helpers for MADB (MagtanimAyDiBiro)
+ * Shrinks camera photos on the phone before they are stored in IndexedDB
+ */
+
+const PHOTO_MAX_SIZE = 1280; // Longest side in pixels
+const PHOTO_QUALITY = 0.7;
+const PHOTO_TYPE = 'image/jpeg';
+
+/**
+ * Decode an image file, upright according to its EXIF orientation where the browser supports it
+ * @returns {Object} { source, width, height, close }
+ */
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+            return { source: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+        } catch (error) {
+            console.warn('[Photos] createImageBitmap failed, using <img>:', error);
+        }
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not read the photo'));
+            img.src = url;
+        });
+        return { source: image, width: image.naturalWidth, height: image.naturalHeight, close: () => {} };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Compress a photo to a JPEG no larger than PHOTO_MAX_SIZE on its longest side.
+ * A photo that is already small keeps its original file when re-encoding would not make it smaller.
+ * @param {File|Blob} file - Photo from a file input or the camera
+ * @returns {Object} { blob, width, height }
+ */
+async function compressPhoto(file, maxSize = PHOTO_MAX_SIZE, quality = PHOTO_QUALITY) {
+    const image = await decodeImage(file);
+    try {
+        const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+        const width = Math.round(image.width * scale);
+        const height = Math.round(image.height * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image.source, 0, 0, width, height);
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Could not compress the photo'))), PHOTO_TYPE, quality);
+        });
+
+        if (scale === 1 && file.type === PHOTO_TYPE && file.size <= blob.size) {
+            return { blob: file, width, height };
+        }
+        console.log(`[Photos] Compressed ${Math.round(file.size / 1024)} KB to ${Math.round(blob.size / 1024)} KB (${width}×${height})`);
+        return { blob, width, height };
+    } finally {
+        image.close();
+    }
+}
+
+// Export for use in other scripts
+window.PhotoUtils = {
+    MAX_SIZE: PHOTO_MAX_SIZE,
+    compressPhoto
+};
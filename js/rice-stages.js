@@ -91,17 +91,411 @@ const RICE_CULTIVATION_STAGES = [
 const MS_PER_DAY = 1000 * 60 * 60 * 24;
 const TOTAL_CULTIVATION_DAYS = 123; // From rice-guide timeline
 
+const DEFAULT_TEMPLATE_ID = 'tpl_transplanted_inbred';
+
+/**
+ * Copy a stage list with new offsets. Each entry in `timing` is keyed by stage
+ * index and gives the stage offset and the offsets of its tasks in order.
+ */
+function retimeStages(stages, timing) {
+    return stages.map((stage, index) => {
+        const change = timing[index];
+        const copy = JSON.parse(JSON.stringify(stage));
+        if (!change) return copy;
+
+        copy.offset = change.offset;
+        copy.tasks.forEach((task, taskIndex) => {
+            if (change.tasks[taskIndex] != null) {
+                task.offset = change.tasks[taskIndex];
+            }
+        });
+        if (change.desc) {
+            copy.desc = change.desc;
+        }
+        if (change.resourcesPerHectare) {
+            copy.resourcesPerHectare = change.resourcesPerHectare;
+        }
+        return copy;
+    });
+}
+
+const DIRECT_SEEDED_STAGES = [
+    {
+        title: '1. Land Cultivation Phase',
+        desc: 'Plow and level the field carefully; direct-seeded rice needs a very even surface so seeds are not drowned in low spots.',
+        tip: 'Level twice if needed. Puddles left after draining will kill germinating seeds.',
+        tasks: [
+            { text: 'Perform deep plowing (deep tillage to break soil and incorporate organic matter and wait for soil to settle)', offset: 0 },
+            { text: 'Level the field (create uniform water depth and smooth surface)', offset: 21 }
+        ],
+        offset: 0,
+        dashboardLabel: 'Land Prep'
+    },
+    {
+        title: '2. Seed Pre-germination',
+        desc: 'Soak and incubate seeds so they are just sprouting when the field is ready for broadcasting.',
+        tip: 'Use about 40 kg of seed per hectare. Sow within a day after sprouts appear.',
+        tasks: [
+            { text: 'Soak seeds for 24 hours', offset: 22 },
+            { text: 'Incubate soaked seeds for 24–36 hours until sprouts show', offset: 23 }
+        ],
+        offset: 22,
+        dashboardLabel: 'Seeds'
+    },
+    {
+        title: '3. Direct Seeding',
+        desc: 'Drain the field and broadcast or drum-seed the pre-germinated seeds directly on the puddled soil — this marks Day 0 of growth.',
+        tip: 'Keep the soil saturated but not flooded for the first week.',
+        tasks: [
+            { text: 'Drain the field to a saturated surface', offset: 24 },
+            { text: 'Broadcast or drum-seed pre-germinated seeds evenly', offset: 25 },
+            { text: 'Record seeding date (start of growth period)', offset: 25 }
+        ],
+        offset: 24,
+        dashboardLabel: 'Seeding'
+    },
+    {
+        title: '4. Weed Control',
+        desc: 'Direct-seeded fields have no water cover at the start, so weeds must be controlled early.',
+        tip: 'Apply herbicide only on moist soil and follow the label rate.',
+        tasks: [
+            { text: 'Apply pre-emergence herbicide', offset: 27 },
+            { text: 'Gradually flood the field to 2–3 cm', offset: 39 },
+            { text: 'Hand-weed remaining weeds', offset: 45 }
+        ],
+        offset: 27,
+        dashboardLabel: 'Weeding'
+    },
+    {
+        title: '5. Fertilizer & Pesticide Management',
+        desc: 'Apply fertilizers and pesticides on a schedule after seeding. Resources calculated per hectare.',
+        tip: 'Monitor the condition of the rice crop.',
+        tasks: [
+            { text: 'Apply pesticide every 2 weeks and adjust applications depending on the condition of the rice crop', offset: 40 },
+            { text: 'Apply first fertilizer - wait 15 days for side dressing', offset: 40 },
+            { text: 'Apply side dressing - wait 15 days for top dressing ', offset: 55 },
+            { text: 'Apply top dressing ', offset: 70 }
+        ],
+        resourcesPerHectare: {
+            totalFertilizer: '8 bags',
+            totalPesticide: '2 quarts',
+            applications: [
+                { day: 15, fertilizer: '3 bags' },
+                { day: 30, fertilizer: '3 bags' },
+                { day: 45, fertilizer: '2 bags' }
+            ]
+        },
+        offset: 40,
+        dashboardLabel: 'Growth'
+    },
+    {
+        title: '6. Harvesting',
+        desc: 'Rice is ready to harvest ~100 days after seeding when grains reach optimal maturity.',
+        tip: 'Harvest when grains are golden yellow; then dry and store properly.',
+        tasks: [
+            { text: 'Inspect crop maturity (look for golden grains)', offset: 118 },
+            { text: 'Harvest your rice crops with reaper', offset: 125 },
+            { text: 'Dry grains to proper moisture content', offset: 126 },
+            { text: 'Store dried grains in clean, dry bags', offset: 128 }
+        ],
+        offset: 118,
+        dashboardLabel: 'Harvest'
+    }
+];
+
+/**
+ * Built-in crop templates. These are seeded into IndexedDB and can be cloned
+ * and edited from the crop templates page, but not changed in place.
+ */
+const BUILT_IN_TEMPLATES = [
+    {
+        id: DEFAULT_TEMPLATE_ID,
+        name: 'Transplanted Inbred (123 days)',
+        variety: 'Inbred',
+        establishment: 'Transplanted',
+        description: 'Standard transplanting plan with 25-day-old seedlings and ~90 days of growth.',
+        builtIn: true,
+        stages: RICE_CULTIVATION_STAGES
+    },
+    {
+        id: 'tpl_early_inbred',
+        name: 'Early-maturing Inbred (108 days)',
+        variety: 'Inbred',
+        establishment: 'Transplanted',
+        description: 'Transplanted early-maturing inbred with ~75 days of growth after transplanting.',
+        builtIn: true,
+        stages: retimeStages(RICE_CULTIVATION_STAGES, {
+            4: { offset: 46, tasks: [45, 46, 58, 70] },
+            5: {
+                offset: 98,
+                tasks: [98, 105, 106, 108],
+                desc: 'Early-maturing rice is ready to harvest ~75 days after transplanting when grains reach optimal maturity.'
+            }
+        })
+    },
+    {
+        id: 'tpl_hybrid',
+        name: 'Transplanted Hybrid (128 days)',
+        variety: 'Hybrid',
+        establishment: 'Transplanted',
+        description: 'Transplanted hybrid with a heavier fertilizer program and ~95 days of growth.',
+        builtIn: true,
+        stages: retimeStages(RICE_CULTIVATION_STAGES, {
+            4: {
+                offset: 46,
+                tasks: [45, 46, 61, 76],
+                resourcesPerHectare: {
+                    totalFertilizer: '10 bags',
+                    totalPesticide: '2 quarts',
+                    applications: [
+                        { day: 15, fertilizer: '4 bags' },
+                        { day: 30, fertilizer: '3 bags' },
+                        { day: 45, fertilizer: '3 bags' }
+                    ]
+                }
+            },
+            5: {
+                offset: 118,
+                tasks: [118, 125, 126, 128],
+                desc: 'Hybrid rice is ready to harvest ~95 days after transplanting when grains reach optimal maturity.'
+            }
+        })
+    },
+    {
+        id: 'tpl_direct_seeded',
+        name: 'Direct-seeded Inbred (128 days)',
+        variety: 'Inbred',
+        establishment: 'Direct-seeded',
+        description: 'Wet direct seeding of pre-germinated seed with no nursery or transplanting.',
+        builtIn: true,
+        stages: DIRECT_SEEDED_STAGES
+    }
+];
+
+// Templates known to this page, by ID. Built-ins are always available;
+// user-made templates are added by loadTemplates().
+const templateRegistry = {};
+BUILT_IN_TEMPLATES.forEach(template => {
+    templateRegistry[template.id] = template;
+});
+
+/**
+ * Load all crop templates from IndexedDB into the registry, seeding any
+ * built-in template the store does not have yet.
+ * @returns {Array} All known templates
+ */
+async function loadTemplates() {
+    if (!window.IndexedDBStorage) {
+        return Object.values(templateRegistry);
+    }
+
+    const stored = await IndexedDBStorage.getAllCropTemplates();
+    for (const builtIn of BUILT_IN_TEMPLATES) {
+        if (!stored.some(template => template.id === builtIn.id)) {
+            await IndexedDBStorage.saveCropTemplate({ ...builtIn, createdAt: new Date().toISOString() });
+        }
+    }
+
+    stored.forEach(template => {
+        // Built-in definitions always come from code so app updates reach every device
+        if (!template.builtIn) {
+            templateRegistry[template.id] = template;
+        }
+    });
+
+    return Object.values(templateRegistry);
+}
+
+/**
+ * Get a template by ID, falling back to the default transplanting plan
+ */
+function getTemplate(templateId) {
+    return templateRegistry[templateId] || templateRegistry[DEFAULT_TEMPLATE_ID];
+}
+
+/**
+ * Resolve the stages a farm follows from its crop template
+ */
+function getFarmStages(farm) {
+    return getTemplate(farm && farm.templateId).stages;
+}
+
+/**
+ * Total length of a stage plan in days (the latest task or stage offset)
+ */
+function getTotalDays(stages = RICE_CULTIVATION_STAGES) {
+    let total = 0;
+    stages.forEach(stage => {
+        total = Math.max(total, stage.offset);
+        (stage.tasks || []).forEach(task => {
+            if (task.offset != null) total = Math.max(total, task.offset);
+        });
+    });
+    return total;
+}
+
+/**
+ * Make an editable copy of a template
+ * @param {Object} template - The template to clone
+ * @param {string} name - Name for the copy
+ */
+function cloneTemplate(template, name) {
+    const now = new Date().toISOString();
+    return {
+        id: `tpl_${Date.now()}`,
+        name: name || `${template.name} (copy)`,
+        variety: template.variety,
+        establishment: template.establishment,
+        description: template.description,
+        builtIn: false,
+        basedOn: template.id,
+        stages: JSON.parse(JSON.stringify(template.stages)),
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Parse a stored date. Date-only strings ('YYYY-MM-DD') are read as local
+ * midnight so day arithmetic is not skewed by the UTC offset.
+ */
+function parseDate(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * Format a date as a local 'YYYY-MM-DD' key
+ */
+function toDateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whether a value is a real calendar date written as 'YYYY-MM-DD' (so '2025-13-45' and '2025-6-5' are not)
+ */
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toDateKey(parseDate(value)) === value;
+}
+
+function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseDate(to) - parseDate(from)) / MS_PER_DAY);
+}
+
+/**
+ * Build the farm's schedule, re-projected from recorded task completions.
+ *
+ * Every task keeps its planned date (start date + offset). Tasks that are not
+ * done yet are pushed forward by the delay of the latest completed task that
+ * was planned on or before them, so one late task moves everything after it.
+ * Finishing early never pulls later tasks forward.
+ *
+ * @param {string} startDate - Farm start date
+ * @param {Array} taskCompletions - Completions saved by saveTaskCompletion
+ * @param {Array} stages - Stage definitions (defaults to RICE_CULTIVATION_STAGES)
+ */
+function buildSchedule(startDate, taskCompletions = [], stages = RICE_CULTIVATION_STAGES) {
+    const start = parseDate(startDate);
+    const completions = taskCompletions || [];
+    const plannedTotal = getTotalDays(stages);
+
+    const findCompletion = (stageIndex, taskIndex) =>
+        completions.find(tc => tc.stageIndex === stageIndex && tc.taskIndex === taskIndex) || null;
+
+    // Completed tasks ordered by planned offset, used to look up the shift in effect at any day
+    const completedTasks = [];
+    stages.forEach((stage, stageIndex) => {
+        (stage.tasks || []).forEach((task, taskIndex) => {
+            const completion = findCompletion(stageIndex, taskIndex);
+            if (!completion) return;
+
+            const plannedOffset = task.offset != null ? task.offset : stage.offset;
+            const delayDays = completion.delayDays != null
+                ? completion.delayDays
+                : daysBetween(addDays(start, plannedOffset), completion.completedDate);
+            completedTasks.push({ plannedOffset, delayDays, completedDate: completion.completedDate });
+        });
+    });
+    completedTasks.sort((a, b) =>
+        a.plannedOffset - b.plannedOffset || parseDate(a.completedDate) - parseDate(b.completedDate));
+
+    const shiftAt = (offset) => {
+        let shift = 0;
+        completedTasks.forEach(tc => {
+            if (tc.plannedOffset <= offset) {
+                shift = Math.max(0, tc.delayDays);
+            }
+        });
+        return shift;
+    };
+
+    const scheduledStages = stages.map((stage, stageIndex) => {
+        const tasks = (stage.tasks || []).map((task, taskIndex) => {
+            const plannedOffset = task.offset != null ? task.offset : stage.offset;
+            const completion = findCompletion(stageIndex, taskIndex);
+            const projectedOffset = completion
+                ? daysBetween(start, completion.completedDate)
+                : plannedOffset + shiftAt(plannedOffset);
+
+            return {
+                stageIndex,
+                taskIndex,
+                text: typeof task === 'object' ? task.text : task,
+                plannedOffset,
+                projectedOffset,
+                plannedDate: addDays(start, plannedOffset),
+                projectedDate: addDays(start, projectedOffset),
+                completed: !!completion,
+                completedDate: completion ? completion.completedDate : null,
+                delayDays: completion ? completion.delayDays : projectedOffset - plannedOffset
+            };
+        });
+
+        const projectedOffset = stage.offset + shiftAt(stage.offset);
+        return {
+            stageIndex,
+            title: stage.title,
+            plannedOffset: stage.offset,
+            projectedOffset,
+            plannedDate: addDays(start, stage.offset),
+            projectedDate: addDays(start, projectedOffset),
+            tasks
+        };
+    });
+
+    return {
+        startDate: start,
+        shiftDays: shiftAt(plannedTotal),
+        totalDays: plannedTotal + shiftAt(plannedTotal),
+        stages: scheduledStages
+    };
+}
+
 /**
- * Get current stage index based on days elapsed
+ * Get current stage index based on days elapsed and the re-projected schedule
+ * @param {Object} farm - Optional farm whose crop template supplies the stages
  */
-function getCurrentStageIndex(startDate) {
-    const start = new Date(startDate);
-    const today = new Date();
-    const daysElapsed = Math.max(0, Math.floor((today - start) / MS_PER_DAY));
+function getCurrentStageIndex(startDate, taskCompletions = [], farm = null) {
+    const daysElapsed = Math.max(0, daysBetween(startDate, new Date()));
+    const schedule = buildSchedule(startDate, taskCompletions, getFarmStages(farm));
 
     let currentIdx = 0;
-    RICE_CULTIVATION_STAGES.forEach((stage, index) => {
-        if (daysElapsed >= stage.offset) {
+    schedule.stages.forEach((stage, index) => {
+        if (daysElapsed >= stage.projectedOffset) {
             currentIdx = index;
         }
     });
@@ -110,30 +504,34 @@ function getCurrentStageIndex(startDate) {
 }
 
 /**
- * Calculate accurate progress based on rice cultivation timeline
+ * Calculate accurate progress based on rice cultivation timeline.
+ * Recorded task delays stretch the total, so a late season is not shown as done early.
+ * @param {Object} farm - Optional farm whose crop template supplies the stages
  */
-function calculateProgress(startDate) {
-    const start = new Date(startDate);
-    const today = new Date();
-    const daysElapsed = Math.max(0, Math.floor((today - start) / MS_PER_DAY));
+function calculateProgress(startDate, taskCompletions = [], farm = null) {
+    const daysElapsed = Math.max(0, daysBetween(startDate, new Date()));
+    const schedule = buildSchedule(startDate, taskCompletions, getFarmStages(farm));
+    const totalDays = schedule.totalDays;
 
     // Progress is based on days elapsed, capped at 100%
-    const percentage = Math.min((daysElapsed / TOTAL_CULTIVATION_DAYS) * 100, 100);
+    const percentage = Math.min((daysElapsed / totalDays) * 100, 100);
 
     return {
         percentage: percentage,
         daysElapsed: daysElapsed,
-        totalDays: TOTAL_CULTIVATION_DAYS,
-        isComplete: daysElapsed >= TOTAL_CULTIVATION_DAYS,
-        currentStageIndex: getCurrentStageIndex(startDate)
+        totalDays: totalDays,
+        shiftDays: schedule.shiftDays,
+        isComplete: daysElapsed >= totalDays,
+        currentStageIndex: getCurrentStageIndex(startDate, taskCompletions, farm)
     };
 }
 
 /**
  * Get simplified stages for dashboard display
+ * @param {Object} farm - Optional farm whose crop template supplies the stages
  */
-function getDashboardStages() {
-    return RICE_CULTIVATION_STAGES.map(stage => ({
+function getDashboardStages(farm = null) {
+    return getFarmStages(farm).map(stage => ({
         title: stage.title.split('. ')[1] || stage.title, // Remove numbering
         offset: stage.offset,
         label: stage.dashboardLabel
@@ -144,6 +542,17 @@ function getDashboardStages() {
 window.RiceStages = {
     STAGES: RICE_CULTIVATION_STAGES,
     TOTAL_DAYS: TOTAL_CULTIVATION_DAYS,
+    DEFAULT_TEMPLATE_ID,
+    BUILT_IN_TEMPLATES,
+    loadTemplates,
+    getTemplate,
+    getFarmStages,
+    getTotalDays,
+    cloneTemplate,
+    parseDate,
+    toDateKey,
+    isDateKey,
+    buildSchedule,
     getCurrentStageIndex,
     calculateProgress,
     getDashboardStages
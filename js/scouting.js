@@ -0,0 +1,177 @@
+/**
+ * Pest and Disease Scouting
+ * Scouting records are stored in the 'scouting' store:
+ *   { id, farmId, seasonId, date, pestId, severity (1–4), areaPercent (0–100), stageIndex,
+ *     expenseId? (pesticide expense the observation led to), notes?, updatedAt }
+ * Shared between the scouting page, the dashboard and the rice guide.
+ */
+
+// Common rice pests and diseases in Northern Luzon.
+// actionSeverity is the severity at which a treatment is recommended.
+const PESTS = [
+    { id: 'stem-borer', name: 'Stem borer', type: 'pest', actionSeverity: 2 },
+    { id: 'rice-bug', name: 'Rice bug', type: 'pest', actionSeverity: 2 },
+    { id: 'brown-planthopper', name: 'Brown planthopper', type: 'pest', actionSeverity: 2 },
+    { id: 'green-leafhopper', name: 'Green leafhopper', type: 'pest', actionSeverity: 2 },
+    { id: 'rice-black-bug', name: 'Rice black bug', type: 'pest', actionSeverity: 2 },
+    { id: 'leaffolder', name: 'Leaffolder', type: 'pest', actionSeverity: 3 },
+    { id: 'armyworm', name: 'Armyworm / cutworm', type: 'pest', actionSeverity: 2 },
+    { id: 'golden-apple-snail', name: 'Golden apple snail', type: 'pest', actionSeverity: 2 },
+    { id: 'rats', name: 'Rats', type: 'pest', actionSeverity: 2 },
+    { id: 'rice-blast', name: 'Rice blast', type: 'disease', actionSeverity: 2 },
+    { id: 'bacterial-leaf-blight', name: 'Bacterial leaf blight', type: 'disease', actionSeverity: 3 },
+    { id: 'sheath-blight', name: 'Sheath blight', type: 'disease', actionSeverity: 3 },
+    { id: 'tungro', name: 'Tungro', type: 'disease', actionSeverity: 1 },
+    { id: 'brown-spot', name: 'Brown spot', type: 'disease', actionSeverity: 3 },
+    { id: 'other', name: 'Other pest or disease', type: 'other', actionSeverity: 3 }
+];
+
+const SEVERITY_LEVELS = [
+    { value: 1, label: 'Low' },
+    { value: 2, label: 'Moderate' },
+    { value: 3, label: 'High' },
+    { value: 4, label: 'Severe' }
+];
+
+// A treatment is also recommended when this much of the field is affected
+const TREATMENT_AREA_PERCENT = 25;
+
+// Observations older than this no longer trigger advice (pesticide is applied every 2 weeks)
+const ADVICE_WINDOW_DAYS = 14;
+
+// Task text that marks a spraying task in a crop plan
+const TREATMENT_TASK_PATTERN = /pesticide|insecticide|fungicide|molluscicide|spray/i;
+
+const MS_PER_SCOUTING_DAY = 24 * 60 * 60 * 1000;
+
+function getPest(pestId) {
+    return PESTS.find(pest => pest.id === pestId) || PESTS[PESTS.length - 1];
+}
+
+function getSeverityLabel(severity) {
+    const level = SEVERITY_LEVELS.find(l => l.value === severity);
+    return level ? level.label : '';
+}
+
+/**
+ * Stage that was active on a date, from the farm's re-projected schedule
+ * @param {Object} schedule - RiceStages.buildSchedule() result
+ * @param {string|Date} date - Observation date
+ * @returns {number} Stage index (0 before the first stage starts)
+ */
+function getStageIndexOn(schedule, date) {
+    const day = RiceStages.parseDate(date);
+    let stageIndex = 0;
+    schedule.stages.forEach((stage, index) => {
+        if (stage.projectedDate <= day) {
+            stageIndex = index;
+        }
+    });
+    return stageIndex;
+}
+
+/**
+ * Whether an observation is bad enough to treat
+ */
+function needsTreatment(record) {
+    return record.severity >= getPest(record.pestId).actionSeverity
+        || (Number(record.areaPercent) || 0) >= TREATMENT_AREA_PERCENT;
+}
+
+// Newest first by date, then by last edit
+function compareScoutingRecords(a, b) {
+    return b.date.localeCompare(a.date) || String(b.updatedAt || '').localeCompare(String(a.updatedAt || ''));
+}
+
+/**
+ * Pests and diseases that should be treated now: the latest observation of each,
+ * when it is recent, over the action threshold and not yet linked to a pesticide expense.
+ * @param {Array} records - Scouting records for one farm
+ * @param {Date} today - Defaults to now
+ * @returns {Array} [{ pest, record }], most severe first
+ */
+function getTreatmentAdvice(records = [], today = new Date()) {
+    const latestByPest = new Map();
+    [...records].sort(compareScoutingRecords).forEach(record => {
+        if (!latestByPest.has(record.pestId)) {
+            latestByPest.set(record.pestId, record);
+        }
+    });
+
+    const cutoff = RiceStages.parseDate(today).getTime() - ADVICE_WINDOW_DAYS * MS_PER_SCOUTING_DAY;
+    return [...latestByPest.values()]
+        .filter(record => RiceStages.parseDate(record.date).getTime() >= cutoff)
+        .filter(record => !record.expenseId && needsTreatment(record))
+        .sort((a, b) => b.severity - a.severity)
+        .map(record => ({ pest: getPest(record.pestId), record }));
+}
+
+/**
+ * Weekly severity of every pest and disease seen in the last few weeks
+ * @param {Array} records - Scouting records for one farm
+ * @param {Object} options - { weeks: number of weeks to show, today }
+ * @returns {Object} { weekStarts: [Date], rows: [{ pest, weekly: [highest severity, 0 when not seen],
+ *   latest, direction: 'up' | 'down' | 'steady' }] }, most severe first
+ */
+function getTrends(records = [], options = {}) {
+    const { weeks = 6, today = new Date() } = options;
+    const end = RiceStages.parseDate(today);
+    const firstWeek = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (weeks * 7 - 1));
+    const weekStarts = Array.from({ length: weeks }, (_, i) =>
+        new Date(firstWeek.getFullYear(), firstWeek.getMonth(), firstWeek.getDate() + i * 7));
+
+    const byPest = new Map();
+    [...records].sort(compareScoutingRecords).reverse().forEach(record => {
+        const day = RiceStages.parseDate(record.date);
+        if (day < firstWeek || day > end) return;
+
+        const week = Math.floor(Math.round((day - firstWeek) / MS_PER_SCOUTING_DAY) / 7);
+        if (!byPest.has(record.pestId)) {
+            byPest.set(record.pestId, { pest: getPest(record.pestId), weekly: new Array(weeks).fill(0), seen: [] });
+        }
+        const row = byPest.get(record.pestId);
+        row.weekly[week] = Math.max(row.weekly[week], record.severity);
+        row.seen.push(record);
+    });
+
+    const rows = [...byPest.values()].map(({ pest, weekly, seen }) => {
+        const latest = seen[seen.length - 1];
+        const previous = seen[seen.length - 2];
+        const direction = !previous || previous.severity === latest.severity
+            ? 'steady'
+            : latest.severity > previous.severity ? 'up' : 'down';
+        return { pest, weekly, latest, direction };
+    });
+    rows.sort((a, b) => b.latest.severity - a.latest.severity || compareScoutingRecords(a.latest, b.latest));
+
+    return { weekStarts, rows };
+}
+
+/**
+ * The next spraying task still to do, from the current stage on
+ * @param {Object} schedule - RiceStages.buildSchedule() result
+ * @param {number} fromStageIndex - The farm's current stage
+ * @returns {Object|null} The scheduled task, or null when none is left
+ */
+function findTreatmentTask(schedule, fromStageIndex = 0) {
+    for (const stage of schedule.stages.slice(fromStageIndex)) {
+        const task = stage.tasks.find(t => !t.completed && TREATMENT_TASK_PATTERN.test(t.text));
+        if (task) return task;
+    }
+    return null;
+}
+
+// Export for use in other scripts
+window.PestScouting = {
+    PESTS,
+    SEVERITY_LEVELS,
+    TREATMENT_AREA_PERCENT,
+    ADVICE_WINDOW_DAYS,
+    getPest,
+    getSeverityLabel,
+    getStageIndexOn,
+    needsTreatment,
+    getTreatmentAdvice,
+    getTrends,
+    findTreatmentTask
+};
@@ -0,0 +1,98 @@
+/**
+ * Farm Seasons
+ * A farm is a permanent parcel; each planting of it is a season with its own start date,
+ * cropping, crop plan, task completions and records (see IndexedDBStorage for the stored shape).
+ * Shared between the farm list, the season setup and the farm report.
+ */
+
+/**
+ * A farm's seasons, oldest first
+ */
+function getSortedSeasons(farm) {
+    return [...(farm.seasons || [])].sort((a, b) =>
+        (a.startDate || '').localeCompare(b.startDate || '') || (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Display name of a season, e.g. "First cropping 2026"
+ */
+function getSeasonLabel(season) {
+    return `${I18n.t(`${season.cropping} cropping`)} ${RiceStages.parseDate(season.startDate).getFullYear()}`;
+}
+
+/**
+ * Task delays of one season, measured against its crop plan
+ * @param {Object} view - The farm viewed at the season
+ * @returns {Object} { tasksDone, tasksTotal, lateTasks, averageDelay (days, null before any task is done), shiftDays }
+ */
+function getSeasonDelays(view) {
+    const schedule = RiceStages.buildSchedule(view.startDate, view.taskCompletions, RiceStages.getFarmStages(view));
+    const tasks = schedule.stages.reduce((all, stage) => all.concat(stage.tasks), []);
+    const done = tasks.filter(task => task.completed);
+    return {
+        tasksDone: done.length,
+        tasksTotal: tasks.length,
+        lateTasks: done.filter(task => task.delayDays > 0).length,
+        averageDelay: done.length > 0 ? done.reduce((sum, task) => sum + task.delayDays, 0) / done.length : null,
+        shiftDays: schedule.shiftDays
+    };
+}
+
+/**
+ * Cost, yield and delays of every season of a farm, oldest first.
+ * Each row also carries its change from the season before (null for the first season
+ * or when either season has no figure yet).
+ * @param {Object} farm - The farm (any season view)
+ * @param {Object} records - { expenses, harvests, sales } of the whole farm
+ * @returns {Array} [{ seasonId, number, label, startDate, cropping, completed, current, totalCost, costPerHa,
+ *   harvestKg, yieldPerHa, costPerKg, netProfit, tasksDone, tasksTotal, lateTasks, averageDelay, shiftDays,
+ *   change: { costPerHa, yieldPerHa, costPerKg, averageDelay } }]
+ */
+function compareSeasons(farm, { expenses = [], harvests = [], sales = [] } = {}) {
+    const size = Number(farm.size) || 0;
+    const ofSeason = (records, seasonId) =>
+        records.filter(record => IndexedDBStorage.getRecordSeasonId(record) === seasonId);
+    const difference = (current, previous) => current != null && previous != null ? current - previous : null;
+
+    const rows = [];
+    getSortedSeasons(farm).forEach((season, index) => {
+        const view = IndexedDBStorage.getFarmSeasonView(farm, season.id);
+        const summary = FarmFinance.summarize(
+            ofSeason(expenses, season.id), ofSeason(harvests, season.id), ofSeason(sales, season.id));
+
+        const row = {
+            seasonId: season.id,
+            number: index + 1,
+            label: getSeasonLabel(season),
+            startDate: season.startDate,
+            cropping: season.cropping,
+            completed: !!season.completed,
+            current: season.id === farm.currentSeasonId,
+            totalCost: summary.totalCost,
+            costPerHa: size > 0 ? summary.totalCost / size : null,
+            harvestKg: summary.harvestKg,
+            yieldPerHa: size > 0 && summary.harvestKg > 0 ? summary.harvestKg / size : null,
+            costPerKg: summary.costPerKg,
+            netProfit: summary.netProfit,
+            ...getSeasonDelays(view)
+        };
+
+        const previous = rows[rows.length - 1];
+        row.change = previous ? {
+            costPerHa: difference(row.costPerHa, previous.costPerHa),
+            yieldPerHa: difference(row.yieldPerHa, previous.yieldPerHa),
+            costPerKg: difference(row.costPerKg, previous.costPerKg),
+            averageDelay: difference(row.averageDelay, previous.averageDelay)
+        } : null;
+        rows.push(row);
+    });
+    return rows;
+}
+
+// Export for use in other scripts
+window.FarmSeasons = {
+    getSortedSeasons,
+    getSeasonLabel,
+    getSeasonDelays,
+    compareSeasons
+};
@@ -0,0 +1,276 @@
+/**
+ * Background Sync for MADB (MagtanimAyDiBiro)
+ * Sends the change outbox (see db.js) to a sync server and pulls down changes made on other devices.
+ * Runs in pages and in the service worker (for the 'sync-farm-data' Background Sync event).
+ *
+ * Protocol, relative to the configured endpoint (tools/sync-server.js is a reference server):
+ *   POST {endpoint}/push  { deviceId, changes: [{ seq, store, op, id, record, changedAt }] }
+ *        → { results: [{ seq, status: 'applied' | 'rejected', current? }] }
+ *   GET  {endpoint}/pull?since={cursor}&deviceId={id}
+ *        → { changes: [{ store, op, id, record, changedAt, deviceId, seq }], cursor, hasMore }
+ *
+ * Conflicts are resolved the same way on the server and on every device: the change with the
+ * later `changedAt` wins; on a tie the higher `deviceId` wins; between two changes from the same
+ * device the later outbox `seq` wins. A rejected push returns the winning change as `current`.
+ */
+
+const SYNC_TAG = 'sync-farm-data';
+const SYNC_SETTINGS_KEY = 'syncSettings';
+const SYNC_STATE_KEY = 'syncState';
+const DEVICE_ID_KEY = 'deviceId';
+const SYNC_RETRY_DELAYS_MS = [1000, 2000, 4000, 8000];
+const SYNC_BATCH_SIZE = 100;
+
+/**
+ * Order two changes by the conflict rule
+ * @returns {number} > 0 when a wins, < 0 when b wins, 0 for the same change
+ */
+function compareChanges(a, b) {
+    const timeA = new Date(a.changedAt).getTime() || 0;
+    const timeB = new Date(b.changedAt).getTime() || 0;
+    if (timeA !== timeB) return timeA - timeB;
+    if (a.deviceId !== b.deviceId) return String(a.deviceId) > String(b.deviceId) ? 1 : -1;
+    return (a.seq || 0) - (b.seq || 0);
+}
+
+function isNewer(a, b) {
+    return compareChanges(a, b) > 0;
+}
+
+/**
+ * ID for this device, created on first use
+ */
+async function getDeviceId() {
+    let deviceId = await IndexedDBStorage.getSetting(DEVICE_ID_KEY);
+    if (!deviceId) {
+        deviceId = `dev_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        await IndexedDBStorage.setSetting(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * Sync settings: { enabled, endpoint }
+ */
+async function getSyncSettings() {
+    const stored = await IndexedDBStorage.getSetting(SYNC_SETTINGS_KEY);
+    return { enabled: false, endpoint: '', ...(stored || {}) };
+}
+
+async function saveSyncSettings(settings) {
+    await IndexedDBStorage.setSetting(SYNC_SETTINGS_KEY, {
+        enabled: !!settings.enabled,
+        endpoint: (settings.endpoint || '').trim().replace(/\/+$/, '')
+    });
+}
+
+/**
+ * Sync progress: { cursor, lastSyncAt, lastError, lastErrorAt }
+ */
+async function getSyncState() {
+    const stored = await IndexedDBStorage.getSetting(SYNC_STATE_KEY);
+    return { cursor: 0, lastSyncAt: null, lastError: null, lastErrorAt: null, ...(stored || {}) };
+}
+
+async function updateSyncState(changes) {
+    const state = await getSyncState();
+    await IndexedDBStorage.setSetting(SYNC_STATE_KEY, { ...state, ...changes });
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch JSON, retrying network failures and server errors (5xx, 429) with exponential backoff.
+ * Other HTTP errors are not retried.
+ */
+async function fetchJSONWithRetry(url, options = {}) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= SYNC_RETRY_DELAYS_MS.length; attempt++) {
+        if (attempt > 0) {
+            const delay = SYNC_RETRY_DELAYS_MS[attempt - 1];
+            console.log(`[Sync] Retrying in ${delay} ms (attempt ${attempt + 1})`);
+            await wait(delay);
+        }
+
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            lastError = error;
+            continue;
+        }
+
+        if (response.ok) {
+            return response.json();
+        }
+        lastError = new Error(`Sync server responded ${response.status}`);
+        if (response.status < 500 && response.status !== 429) {
+            break;
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Send the outbox in batches. Entries the server answered for are removed;
+ * for rejected ones the server's winning version is applied locally.
+ * @returns {number} Number of changes sent
+ */
+async function pushOutbox(endpoint, deviceId) {
+    let sent = 0;
+
+    while (true) {
+        const batch = (await IndexedDBStorage.getOutbox()).slice(0, SYNC_BATCH_SIZE);
+        if (batch.length === 0) break;
+
+        const response = await fetchJSONWithRetry(`${endpoint}/push`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ deviceId, changes: batch })
+        });
+        const results = Array.isArray(response.results) ? response.results : [];
+        const answered = results.map(result => result.seq);
+        if (answered.length === 0) {
+            throw new Error('Sync server did not accept any changes');
+        }
+
+        await IndexedDBStorage.removeOutboxEntries(answered);
+        const winners = results.filter(result => result.status === 'rejected' && result.current);
+        if (winners.length > 0) {
+            await IndexedDBStorage.applyRemoteChanges(winners.map(result => result.current), isNewer, deviceId);
+        }
+        sent += answered.length;
+    }
+
+    return sent;
+}
+
+/**
+ * Pull changes from other devices since the saved cursor
+ * @returns {Object} { applied, skipped }
+ */
+async function pullChanges(endpoint, deviceId) {
+    const totals = { applied: 0, skipped: 0 };
+    let { cursor } = await getSyncState();
+
+    while (true) {
+        const response = await fetchJSONWithRetry(
+            `${endpoint}/pull?since=${encodeURIComponent(cursor)}&deviceId=${encodeURIComponent(deviceId)}`
+        );
+        const changes = Array.isArray(response.changes) ? response.changes : [];
+        if (changes.length > 0) {
+            const stats = await IndexedDBStorage.applyRemoteChanges(changes, isNewer, deviceId);
+            totals.applied += stats.applied;
+            totals.skipped += stats.skipped;
+        }
+
+        // A page can be empty when it held only this device's own changes, so only
+        // `hasMore` ends the pull; a cursor that stops moving ends it too, to never loop
+        const nextCursor = response.cursor != null ? response.cursor : cursor;
+        const moved = nextCursor !== cursor;
+        cursor = nextCursor;
+        await updateSyncState({ cursor });
+        if (!response.hasMore || !moved) break;
+    }
+
+    return totals;
+}
+
+let syncInProgress = null;
+
+/**
+ * Push the outbox, then pull remote changes. Concurrent calls share one run.
+ * @returns {Object} { pushed, applied, skipped } or { skipped: true } when sync is off
+ */
+function syncNow() {
+    if (syncInProgress) {
+        return syncInProgress;
+    }
+
+    syncInProgress = (async () => {
+        const settings = await getSyncSettings();
+        if (!settings.enabled || !settings.endpoint) {
+            return { skipped: true };
+        }
+
+        const deviceId = await getDeviceId();
+        try {
+            const pushed = await pushOutbox(settings.endpoint, deviceId);
+            const pulled = await pullChanges(settings.endpoint, deviceId);
+            await updateSyncState({ lastSyncAt: new Date().toISOString(), lastError: null, lastErrorAt: null });
+            console.log(`[Sync] Sent ${pushed} changes, applied ${pulled.applied} remote changes`);
+
+            if (typeof self.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+                self.dispatchEvent(new CustomEvent('madb-sync-complete', { detail: { pushed, ...pulled } }));
+            }
+            return { pushed, ...pulled };
+        } catch (error) {
+            console.error('[Sync] Sync failed:', error);
+            await updateSyncState({ lastError: error.message, lastErrorAt: new Date().toISOString() });
+            throw error;
+        }
+    })().finally(() => {
+        syncInProgress = null;
+    });
+
+    return syncInProgress;
+}
+
+/**
+ * Ask for a sync. Uses Background Sync when a service worker controls the page, so the
+ * browser retries once the phone is back online; otherwise syncs from the page if online.
+ */
+async function requestSync() {
+    const settings = await getSyncSettings();
+    if (!settings.enabled || !settings.endpoint) return;
+
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) {
+            await registration.sync.register(SYNC_TAG);
+            console.log('[Sync] Background sync registered');
+            return;
+        }
+    }
+
+    if (navigator.onLine === false) {
+        console.log('[Sync] Offline, will sync when the connection returns');
+        return;
+    }
+    syncNow().catch(() => {});
+}
+
+let scheduledSync = null;
+
+/**
+ * Request a sync shortly after local changes, grouping bursts of writes
+ */
+function scheduleSync() {
+    clearTimeout(scheduledSync);
+    scheduledSync = setTimeout(() => requestSync().catch(error => console.warn('[Sync] Could not request sync:', error)), 2000);
+}
+
+// In pages: sync after local changes, when the connection returns, and when the app opens
+if (typeof document !== 'undefined') {
+    self.addEventListener('madb-outbox-changed', scheduleSync);
+    self.addEventListener('online', scheduleSync);
+    document.addEventListener('DOMContentLoaded', scheduleSync);
+}
+
+// Export for use in other scripts
+window.FarmSync = {
+    SYNC_TAG,
+    compareChanges,
+    isNewer,
+    getDeviceId,
+    getSyncSettings,
+    saveSyncSettings,
+    getSyncState,
+    syncNow,
+    requestSync,
+    scheduleSync
+};
@@ -0,0 +1,174 @@
+/**
+ * Water and Rainfall Log
+ * One record per farm and day in the 'waterLog' store:
+ *   { id: 'water_{farmId}_{date}', farmId, date, rainfallMm?, irrigated, irrigationHours?,
+ *     waterDepthCm? (standing water), notes?, updatedAt }
+ * Weather is typed in by hand or imported from a CSV file; nothing is fetched online.
+ * Shared between the water page, the dashboard and NotificationManager.
+ */
+
+// Stages that need standing water: soaking and leveling the land, and the crop from transplanting to grain filling.
+// Direct-seeded fields start without water cover, so seeding stages are not listed.
+const WATER_CRITICAL_PATTERN = /land|level|transplant|fertilizer|reproductive|flowering|panicle/i;
+
+// Stages in which the field should be drained
+const WATER_DRAIN_PATTERN = /harvest/i;
+
+// A day with at least this much rain counts as watering the field
+const EFFECTIVE_RAIN_MM = 10;
+
+// Days without irrigation or heavy rain before a critical stage is flagged
+const DRY_SPELL_DAYS = 7;
+
+function getWaterLogId(farmId, date) {
+    return `water_${farmId}_${date}`;
+}
+
+/**
+ * 'critical' when the stage needs standing water, 'drain' when the field should be dry, otherwise null
+ */
+function getStageWaterNeed(stage) {
+    if (WATER_DRAIN_PATTERN.test(stage.title)) return 'drain';
+    if (WATER_CRITICAL_PATTERN.test(stage.title)) return 'critical';
+    return null;
+}
+
+/**
+ * Whether the field got water that day, from irrigation or heavy rain
+ */
+function isWateredDay(record) {
+    return !!record.irrigated || (Number(record.rainfallMm) || 0) >= EFFECTIVE_RAIN_MM;
+}
+
+function daysBetweenWaterDates(from, to) {
+    return Math.round((RiceStages.parseDate(to) - RiceStages.parseDate(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Water problems for a farm, checked stage by stage against its schedule.
+ * Only stages since the first logged day are checked, so a farm that does not keep a log gets no warnings.
+ * @param {Array} records - Water log records for one farm
+ * @param {Object} schedule - RiceStages.buildSchedule() result
+ * @param {Date} today - Defaults to now
+ * @returns {Array} [{ type: 'no-water' | 'dry-spell' | 'dry-field' | 'standing-water', stageIndex,
+ *   stageTitle, current, days?, date?, depthCm? }]
+ */
+function getWaterWarnings(records = [], schedule, today = new Date()) {
+    if (!records.length) return [];
+
+    const day = RiceStages.parseDate(today);
+    const sorted = [...records].sort((a, b) => a.date.localeCompare(b.date));
+    const firstLogged = RiceStages.parseDate(sorted[0].date);
+    const warnings = [];
+
+    schedule.stages.forEach((stage, index) => {
+        const need = getStageWaterNeed(stage);
+        const next = schedule.stages[index + 1];
+        const start = stage.projectedDate;
+        const current = !next || next.projectedDate > day;
+        const end = current ? day : new Date(next.projectedDate.getFullYear(), next.projectedDate.getMonth(), next.projectedDate.getDate() - 1);
+        if (!need || start > day || end < firstLogged) return;
+
+        const inStage = sorted.filter(record => {
+            const date = RiceStages.parseDate(record.date);
+            return date >= start && date <= end;
+        });
+        const lastDepth = [...inStage].reverse().find(record => record.waterDepthCm != null);
+        const base = { stageIndex: index, stageTitle: stage.title, current };
+
+        if (need === 'critical') {
+            const watered = inStage.filter(isWateredDay);
+            // Count only the part of the stage that was logged
+            const checkedFrom = start > firstLogged ? start : firstLogged;
+            const checkedDays = daysBetweenWaterDates(checkedFrom, end) + 1;
+
+            if (!watered.length) {
+                if (checkedDays >= DRY_SPELL_DAYS) {
+                    warnings.push({ ...base, type: 'no-water', days: checkedDays });
+                }
+            } else if (current) {
+                const lastWatered = watered[watered.length - 1].date;
+                const dryDays = daysBetweenWaterDates(lastWatered, day);
+                if (dryDays >= DRY_SPELL_DAYS) {
+                    warnings.push({ ...base, type: 'dry-spell', days: dryDays, date: lastWatered });
+                }
+            }
+            if (current && lastDepth && Number(lastDepth.waterDepthCm) === 0) {
+                warnings.push({ ...base, type: 'dry-field', date: lastDepth.date });
+            }
+        } else if (current && lastDepth && Number(lastDepth.waterDepthCm) > 0) {
+            warnings.push({ ...base, type: 'standing-water', date: lastDepth.date, depthCm: Number(lastDepth.waterDepthCm) });
+        }
+    });
+
+    return warnings;
+}
+
+/**
+ * Season totals for the summary
+ * @returns {Object} { rainfallMm, rainyDays, irrigationCount, irrigationHours, lastDepth (record or null) }
+ */
+function summarizeWaterLog(records = []) {
+    const sorted = [...records].sort((a, b) => a.date.localeCompare(b.date));
+    const lastDepth = [...sorted].reverse().find(record => record.waterDepthCm != null) || null;
+
+    return {
+        rainfallMm: sorted.reduce((sum, r) => sum + (Number(r.rainfallMm) || 0), 0),
+        rainyDays: sorted.filter(r => (Number(r.rainfallMm) || 0) > 0).length,
+        irrigationCount: sorted.filter(r => r.irrigated).length,
+        irrigationHours: sorted.reduce((sum, r) => sum + (r.irrigated ? Number(r.irrigationHours) || 0 : 0), 0),
+        lastDepth
+    };
+}
+
+/**
+ * One entry per day from `from` to `to` for charting; days without a record have nulls
+ * @returns {Array} [{ date, rainfallMm, irrigated, irrigationHours, waterDepthCm }]
+ */
+function getDailyWaterSeries(records, from, to) {
+    const byDate = new Map(records.map(record => [record.date, record]));
+    const start = RiceStages.parseDate(from);
+    const days = Math.max(0, daysBetweenWaterDates(start, to)) + 1;
+
+    return Array.from({ length: days }, (_, i) => {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        const record = byDate.get(RiceStages.toDateKey(date));
+        return {
+            date,
+            rainfallMm: record && record.rainfallMm != null ? Number(record.rainfallMm) : null,
+            irrigated: !!(record && record.irrigated),
+            irrigationHours: record && record.irrigationHours != null ? Number(record.irrigationHours) : null,
+            waterDepthCm: record && record.waterDepthCm != null ? Number(record.waterDepthCm) : null
+        };
+    });
+}
+
+/**
+ * Read an irrigation cell from a CSV file: hours ("3"), yes/no words, or blank for no irrigation
+ * @returns {Object|null} { irrigated, hours }, or null when the value is not understood
+ */
+function parseIrrigationCell(value) {
+    const text = (value || '').trim().toLowerCase();
+    if (text === '' || /^(no|n|false|none|hindi|wala|saan|awan)$/.test(text)) {
+        return { irrigated: false, hours: null };
+    }
+    if (/^(yes|y|true|x|oo|opo|wen|✓)$/.test(text)) {
+        return { irrigated: true, hours: null };
+    }
+    const hours = CSVUtils.parseCSVNumber(text);
+    if (hours === null || hours < 0) return null;
+    return { irrigated: hours > 0, hours: hours > 0 ? hours : null };
+}
+
+// Export for use in other scripts
+window.WaterLog = {
+    EFFECTIVE_RAIN_MM,
+    DRY_SPELL_DAYS,
+    getWaterLogId,
+    getStageWaterNeed,
+    isWateredDay,
+    getWaterWarnings,
+    summarizeWaterLog,
+    getDailyWaterSeries,
+    parseIrrigationCell
+};
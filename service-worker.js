@@ -1,23 +1,89 @@
-const CACHE_NAME = 'madb-v1.0.0';
-const STATIC_CACHE = 'madb-static-v1.0.0';
-const DYNAMIC_CACHE = 'madb-dynamic-v1.0.0';
-
-// Static assets to cache immediately
-const STATIC_ASSETS = [
-  '/',
-  '/css/main.css',
-  '/manifest.json',
+/**
+ * MADB service worker
+ * Precaches the whole app shell so every page opens offline. The asset list and its
+ * version below are generated: run `node tools/generate-asset-manifest.js` after
+ * adding or changing any page, script, stylesheet or icon.
+ */
+
+// <asset-manifest> generated by tools/generate-asset-manifest.js, do not edit by hand
+const ASSET_VERSION = 'f00988b013';
+const APP_SHELL = [
+  './',
+  'analytics.html',
+  'crop-templates.html',
+  'dashboard.html',
+  'equipment.html',
+  'farm-report.html',
+  'farm-setup.html',
+  'harvest-sales.html',
+  'icon-192x192.svg',
+  'index.html',
+  'journal.html',
+  'labor.html',
+  'manage-farms.html',
+  'manifest.json',
+  'notification-history.html',
+  'notification-settings.html',
+  'offline.html',
+  'resource-tracker.html',
+  'rice-guide.html',
+  'scouting.html',
+  'water.html',
+  'css/main.css',
+  'js/analytics.js',
+  'js/backup-format.js',
+  'js/budget.js',
+  'js/calendar.js',
+  'js/csv.js',
+  'js/db.js',
+  'js/equipment.js',
+  'js/finance.js',
+  'js/i18n.js',
+  'js/inventory.js',
+  'js/labor.js',
+  'js/notifications.js',
+  'js/photos.js',
+  'js/rice-stages.js',
+  'js/scouting.js',
+  'js/seasons.js',
+  'js/sync.js',
+  'js/water.js',
+  'js/locales/fil.js',
+  'js/locales/ilo.js'
+];
+// </asset-manifest>
+
+// The app's scripts attach their APIs to `window`, which a worker calls `self`
+self.window = self;
+importScripts(
+  'js/i18n.js', 'js/locales/fil.js', 'js/locales/ilo.js',
+  'js/db.js', 'js/sync.js', 'js/rice-stages.js', 'js/notifications.js'
+);
+
+// Cache names carry the asset version, so a new deploy gets fresh caches
+const SHELL_CACHE = `madb-shell-${ASSET_VERSION}`;
+const RUNTIME_CACHE = `madb-runtime-${ASSET_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, RUNTIME_CACHE];
+
+const OFFLINE_PAGE = 'offline.html';
+
+// Third-party scripts cached on a best-effort basis (install must not fail without them)
+const CDN_ASSETS = [
   'https://cdn.jsdelivr.net/npm/chart.js'
 ];
 
-// Install event - cache static assets
+// Install event - precache the app shell
 self.addEventListener('install', event => {
-  console.log('[Service Worker] Installing...');
+  console.log(`[Service Worker] Installing ${ASSET_VERSION}...`);
   event.waitUntil(
-    caches.open(STATIC_CACHE)
+    caches.open(SHELL_CACHE)
       .then(cache => {
-        console.log('[Service Worker] Caching static assets...');
-        return cache.addAll(STATIC_ASSETS);
+        console.log(`[Service Worker] Caching ${APP_SHELL.length} app shell assets...`);
+        return cache.addAll(APP_SHELL)
+          .then(() => caches.open(RUNTIME_CACHE))
+          .then(runtime => Promise.all(CDN_ASSETS.map(url =>
+            runtime.add(url).catch(error => console.warn('[Service Worker] Could not cache', url, error))
+          )));
       })
       .then(() => {
         console.log('[Service Worker] Installation complete');
@@ -25,11 +91,12 @@ self.addEventListener('install', event => {
       })
       .catch(error => {
         console.error('[Service Worker] Installation failed:', error);
+        throw error;
       })
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - delete caches from other asset versions
 self.addEventListener('activate', event => {
   console.log('[Service Worker] Activating...');
   event.waitUntil(
@@ -37,7 +104,7 @@ self.addEventListener('activate', event => {
       .then(cacheNames => {
         return Promise.all(
           cacheNames
-            .filter(cacheName => cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE)
+            .filter(cacheName => cacheName.startsWith('madb-') && !CURRENT_CACHES.includes(cacheName))
             .map(cacheName => {
               console.log('[Service Worker] Deleting old cache:', cacheName);
               return caches.delete(cacheName);
@@ -56,79 +123,47 @@ self.addEventListener('fetch', event => {
   const { request } = event;
   const url = new URL(request.url);
 
-  // Handle different types of requests
   if (request.method !== 'GET') {
     return;
   }
 
   // Skip caching for external analytics, etc.
-  if (url.hostname !== location.hostname && !url.href.includes('cdn.jsdelivr.net')) {
+  if (url.origin !== location.origin && !CDN_ASSETS.some(asset => request.url.startsWith(asset))) {
     return;
   }
 
-  // Cache-first strategy for static assets
-  if (STATIC_ASSETS.some(asset => request.url.includes(asset))) {
+  // Pages: app shell copy first (query strings like ?farm= share one page), then network, then the offline page
+  if (request.mode === 'navigate') {
     event.respondWith(
-      caches.match(request)
-        .then(response => {
-          if (response) {
-            return response;
-          }
-          return fetch(request)
-            .then(response => {
-              // Don't cache if not a valid response
-              if (!response || response.status !== 200 || response.type !== 'basic') {
-                return response;
-              }
+      caches.match(request, { ignoreSearch: true })
+        .then(cached => cached || fetch(request)
+          .then(response => {
+            if (response && response.status === 200) {
               const responseClone = response.clone();
-              caches.open(STATIC_CACHE)
+              caches.open(RUNTIME_CACHE)
                 .then(cache => cache.put(request, responseClone));
-              return response;
-            })
-            .catch(() => {
-              // Return offline fallback for HTML pages
-              if (request.headers.get('accept').includes('text/html')) {
-                return caches.match('/welcome.html');
-              }
-            });
-        })
-    );
-    return;
-  }
-
-  // Network-first strategy for dynamic content (HTML pages)
-  if (request.headers.get('accept').includes('text/html')) {
-    event.respondWith(
-      fetch(request)
-        .then(response => {
-          const responseClone = response.clone();
-          caches.open(DYNAMIC_CACHE)
-            .then(cache => cache.put(request, responseClone));
-          return response;
-        })
-        .catch(() => {
-          return caches.match(request)
-            .then(response => {
-              if (response) {
-                return response;
-              }
-              // Fallback to welcome page if no cached version
-              return caches.match('/welcome.html');
-            });
-        })
+            }
+            return response;
+          }))
+        .catch(() => caches.match(OFFLINE_PAGE))
     );
     return;
   }
 
-  // Stale-while-revalidate for other resources
+  // Other resources: app shell assets straight from the cache (they only change with a new
+  // asset version); everything else stale-while-revalidate
   event.respondWith(
     caches.match(request)
       .then(response => {
+        if (response && isShellRequest(url)) {
+          return response;
+        }
+
         const fetchPromise = fetch(request)
           .then(networkResponse => {
             if (networkResponse && networkResponse.status === 200) {
               const networkResponseClone = networkResponse.clone();
-              caches.open(DYNAMIC_CACHE)
+              caches.open(RUNTIME_CACHE)
                 .then(cache => cache.put(request, networkResponseClone));
             }
             return networkResponse;
@@ -143,6 +178,16 @@ self.addEventListener('fetch', event => {
   );
 });
 
+/**
+ * Whether a same-origin URL is one of the precached app shell assets
+ */
+function isShellRequest(url) {
+  if (url.origin !== location.origin) return false;
+  const scopePath = new URL(self.registration.scope).pathname;
+  const relative = url.pathname.startsWith(scopePath) ? url.pathname.slice(scopePath.length) : url.pathname;
+  return APP_SHELL.includes(relative || './');
+}
+
 // Handle background sync for offline data
 self.addEventListener('sync', event => {
   console.log('[Service Worker] Background sync triggered:', event.tag);
@@ -152,43 +197,93 @@ self.addEventListener('sync', event => {
   }
 });
 
-// Background sync function (placeholder for future offline data sync)
+// Send the outbox and pull remote changes. A failed sync rethrows so the
+// browser keeps the 'sync-farm-data' registration and retries later.
 async function syncFarmData() {
   try {
     console.log('[Service Worker] Syncing farm data...');
-    // This could be used to sync IndexedDB data when back online
-    // For now, just log the sync attempt
+    const result = await FarmSync.syncNow();
+    console.log('[Service Worker] Sync finished:', result);
   } catch (error) {
     console.error('[Service Worker] Sync failed:', error);
+    throw error;
   }
 }
 
-// Handle push notifications (placeholder for future features)
+// Check farm reminders in the language the farmer chose in the app
+async function checkReminders() {
+  await I18n.loadLanguage();
+  return NotificationManager.checkAllFarms();
+}
+
+// Check farm reminders when the browser wakes the worker (periodic background sync),
+// so farmers are reminded even on days they do not open the app
+self.addEventListener('periodicsync', event => {
+  console.log('[Service Worker] Periodic sync triggered:', event.tag);
+
+  if (event.tag === NotificationManager.REMINDER_SYNC_TAG) {
+    event.waitUntil(checkReminders());
+  }
+});
+
+// Handle push notifications. A payload with a title is shown as is; its farmId,
+// stageIndex and taskIndex decide the page the notification opens. A payload
+// without a title asks the worker to check reminders now.
 self.addEventListener('push', event => {
   console.log('[Service Worker] Push received:', event);
 
-  if (event.data) {
-    const data = event.data.json();
-    const options = {
-      body: data.body,
-      icon: '/icon-192x192.png',
-      badge: '/icon-96x96.png',
-      vibrate: [100, 50, 100],
-      data: data.data
-    };
-
-    event.waitUntil(
-      self.registration.showNotification(data.title, options)
-    );
+  const data = event.data ? event.data.json() : {};
+  if (!data.title) {
+    event.waitUntil(checkReminders());
+    return;
   }
+
+  const url = data.url || data.data?.url || (data.farmId ? NotificationManager.getReminderUrl(data) : 'dashboard.html');
+  const options = {
+    body: data.body,
+    icon: 'icon-192x192.svg',
+    badge: 'icon-192x192.svg',
+    vibrate: [100, 50, 100],
+    tag: data.tag,
+    data: {
+      url,
+      farmId: data.farmId || null,
+      stageIndex: data.stageIndex ?? null,
+      taskIndex: data.taskIndex ?? null
+    }
+  };
+
+  event.waitUntil(
+    self.registration.showNotification(data.title, options)
+  );
 });
 
-// Handle notification clicks
+// Handle notification clicks: open the farm and task the notification is about,
+// reusing an open app window when there is one. Opening a reminder acknowledges it
+// in the notification ledger.
 self.addEventListener('notificationclick', event => {
   console.log('[Service Worker] Notification clicked:', event);
   event.notification.close();
 
-  event.waitUntil(
-    clients.openWindow(event.notification.data?.url || '/dashboard.html')
-  );
+  const url = new URL(event.notification.data?.url || 'dashboard.html', self.registration.scope).href;
+  const notificationId = event.notification.data?.notificationId;
+
+  event.waitUntil((async () => {
+    if (notificationId) {
+      const ledger = await NotificationManager.getLedger();
+      if (ledger[notificationId]) {
+        await NotificationManager.acknowledgeNotification(ledger[notificationId]);
+      }
+    }
+
+    const windows = await clients.matchAll({ type: 'window' });
+    const existing = windows.find(client => client.url.startsWith(self.registration.scope));
+    if (existing) {
+      const navigated = await existing.navigate(url).catch(() => null);
+      if (navigated) {
+        return navigated.focus();
+      }
+    }
+    return clients.openWindow(url);
+  })());
 });
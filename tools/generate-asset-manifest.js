@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Generate the service worker's app shell list for MADB (MagtanimAyDiBiro)
+ *
+ * Collects every page, script, stylesheet and icon the app needs offline, hashes
+ * their contents into ASSET_VERSION, and writes both into service-worker.js between
+ * the `// <asset-manifest>` markers. Any change to an asset changes the version, so
+ * browsers install the new service worker and drop the old caches.
+ *
+ * Usage:
+ *   node tools/generate-asset-manifest.js          # update service-worker.js
+ *   node tools/generate-asset-manifest.js --check  # exit 1 if service-worker.js is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const SERVICE_WORKER = path.join(ROOT, 'service-worker.js');
+const START_MARKER = '// <asset-manifest>';
+const END_MARKER = '// </asset-manifest>';
+
+// Files in these folders (and the root) that make up the app shell
+const SHELL_SOURCES = [
+    { dir: '.', pattern: /\.(html|json|svg|png)$/ },
+    { dir: 'css', pattern: /\.css$/ },
+    { dir: 'js', pattern: /\.js$/ },
+    { dir: 'js/locales', pattern: /\.js$/ }
+];
+
+// Root files that are not part of the app
+const EXCLUDED = new Set(['requests.jsonl', 'package.json', 'package-lock.json']);
+
+function listAssets() {
+    const assets = [];
+    SHELL_SOURCES.forEach(({ dir, pattern }) => {
+        fs.readdirSync(path.join(ROOT, dir))
+            .filter(name => pattern.test(name) && !EXCLUDED.has(name))
+            .filter(name => fs.statSync(path.join(ROOT, dir, name)).isFile())
+            .sort()
+            .forEach(name => assets.push(dir === '.' ? name : `${dir}/${name}`));
+    });
+    return assets;
+}
+
+function hashAssets(assets) {
+    const hash = crypto.createHash('sha256');
+    assets.forEach(asset => {
+        hash.update(asset);
+        hash.update(fs.readFileSync(path.join(ROOT, asset)));
+    });
+    return hash.digest('hex').slice(0, 10);
+}
+
+function buildBlock(version, assets, newline) {
+    return [
+        `${START_MARKER} generated by tools/generate-asset-manifest.js, do not edit by hand`,
+        `const ASSET_VERSION = '${version}';`,
+        'const APP_SHELL = [',
+        "  './',",
+        ...assets.map((asset, i) => `  '${asset}'${i < assets.length - 1 ? ',' : ''}`),
+        '];',
+        END_MARKER
+    ].join(newline);
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const source = fs.readFileSync(SERVICE_WORKER, 'utf8');
+    const start = source.indexOf(START_MARKER);
+    const end = source.indexOf(END_MARKER);
+
+    if (start === -1 || end === -1 || end < start) {
+        console.error(`[Assets] Could not find the ${START_MARKER} block in service-worker.js`);
+        process.exit(1);
+    }
+
+    const assets = listAssets();
+    // Keep the file's own line endings, so regenerating only touches the lines that changed
+    const newline = source.includes('\r\n') ? '\r\n' : '\n';
+    const block = buildBlock(hashAssets(assets), assets, newline);
+    const updated = source.slice(0, start) + block + source.slice(end + END_MARKER.length);
+
+    if (updated === source) {
+        console.log(`[Assets] service-worker.js is up to date (${assets.length} assets)`);
+        return;
+    }
+    if (checkOnly) {
+        console.error('[Assets] service-worker.js is out of date. Run: node tools/generate-asset-manifest.js');
+        process.exit(1);
+    }
+
+    fs.writeFileSync(SERVICE_WORKER, updated);
+    console.log(`[Assets] Wrote ${assets.length} assets to service-worker.js`);
+}
+
+main();
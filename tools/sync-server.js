@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Reference sync server for MADB (MagtanimAyDiBiro)
+ *
+ * Implements the protocol used by js/sync.js so background sync can be tried locally.
+ * Keeps the latest change for every record and resolves conflicts with the same rule
+ * as the app: later `changedAt` wins, then higher `deviceId`, then higher outbox `seq`.
+ *
+ *   POST /push  { deviceId, changes }  → { results: [{ seq, status, current? }] }
+ *   GET  /pull?since=<cursor>&deviceId=<id>  → { changes, cursor, hasMore }
+ *
+ * Usage:
+ *   node tools/sync-server.js [--port 8787] [--data sync-data.json]
+ * Then set the sync endpoint in Manage Farms to http://localhost:8787
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PULL_PAGE_SIZE = 200;
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+function getArg(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const PORT = Number(getArg('port', process.env.PORT || 8787));
+const DATA_FILE = getArg('data', null);
+
+// Latest change per record, keyed by `${store}/${id}`; each carries the server cursor it was stored at
+let records = {};
+let lastCursor = 0;
+
+function loadData() {
+    if (!DATA_FILE || !fs.existsSync(DATA_FILE)) return;
+    const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    records = saved.records || {};
+    lastCursor = saved.lastCursor || 0;
+    console.log(`[Sync Server] Loaded ${Object.keys(records).length} records from ${DATA_FILE}`);
+}
+
+function saveData() {
+    if (!DATA_FILE) return;
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ records, lastCursor }));
+    fs.renameSync(tempFile, path.resolve(DATA_FILE));
+}
+
+/**
+ * Same conflict rule as FarmSync.compareChanges in js/sync.js
+ */
+function compareChanges(a, b) {
+    const timeA = new Date(a.changedAt).getTime() || 0;
+    const timeB = new Date(b.changedAt).getTime() || 0;
+    if (timeA !== timeB) return timeA - timeB;
+    if (a.deviceId !== b.deviceId) return String(a.deviceId) > String(b.deviceId) ? 1 : -1;
+    return (a.seq || 0) - (b.seq || 0);
+}
+
+function isValidChange(change) {
+    return change && typeof change.store === 'string' && change.id != null &&
+        (change.op === 'delete' || (change.op === 'put' && change.record && typeof change.record === 'object'));
+}
+
+function handlePush(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return [400, { error: 'Request body must be a JSON object' }];
+    }
+    const { deviceId, changes } = body;
+    if (!deviceId || !Array.isArray(changes)) {
+        return [400, { error: 'deviceId and changes are required' }];
+    }
+
+    const results = changes.map(change => {
+        if (!isValidChange(change)) {
+            return { seq: change && change.seq, status: 'invalid' };
+        }
+
+        const incoming = {
+            store: change.store,
+            op: change.op,
+            id: change.id,
+            record: change.op === 'put' ? change.record : null,
+            changedAt: change.changedAt,
+            deviceId,
+            seq: change.seq
+        };
+        const key = `${incoming.store}/${incoming.id}`;
+        const current = records[key];
+
+        if (current && compareChanges(incoming, current) <= 0) {
+            return { seq: change.seq, status: 'rejected', current };
+        }
+
+        lastCursor++;
+        records[key] = { ...incoming, cursor: lastCursor };
+        return { seq: change.seq, status: 'applied' };
+    });
+
+    saveData();
+    const applied = results.filter(result => result.status === 'applied').length;
+    console.log(`[Sync Server] Push from ${deviceId}: ${applied} applied, ${results.length - applied} not applied`);
+    return [200, { results }];
+}
+
+function handlePull(query) {
+    const since = Number(query.get('since')) || 0;
+    const deviceId = query.get('deviceId');
+
+    const newer = Object.values(records)
+        .filter(change => change.cursor > since)
+        .sort((a, b) => a.cursor - b.cursor);
+    const page = newer.slice(0, PULL_PAGE_SIZE);
+    const cursor = page.length ? page[page.length - 1].cursor : Math.max(since, 0);
+
+    // A device already has its own changes, but the cursor still moves past them
+    const changes = page.filter(change => change.deviceId !== deviceId);
+    return [200, { changes, cursor, hasMore: newer.length > page.length }];
+}
+
+function send(res, status, payload) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(payload === undefined ? '' : JSON.stringify(payload));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = url.pathname.replace(/\/+$/, '');
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    try {
+        if (req.method === 'POST' && route.endsWith('/push')) {
+            const body = JSON.parse((await readBody(req)) || '{}');
+            send(res, ...handlePush(body));
+        } else if (req.method === 'GET' && route.endsWith('/pull')) {
+            send(res, ...handlePull(url.searchParams));
+        } else {
+            send(res, 404, { error: 'Not found' });
+        }
+    } catch (error) {
+        const status = error instanceof SyntaxError ? 400 : 500;
+        console.error('[Sync Server] Request failed:', error.message);
+        send(res, status, { error: error.message });
+    }
+}
+
+function main() {
+    loadData();
+    http.createServer(handleRequest).listen(PORT, () => {
+        console.log(`[Sync Server] Listening on http://localhost:${PORT}${DATA_FILE ? ` (saving to ${DATA_FILE})` : ''}`);
+    });
+}
+
+main();
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Tests js/sync.js against the reference sync server (tools/sync-server.js)
+ *
+ * Starts the server on a spare port and runs FarmSync in a sandbox, with the parts of
+ * IndexedDBStorage it uses kept in memory.
+ *
+ * Usage:
+ *   node --test tools/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function startServer() {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const server = spawn(process.execPath, [path.join(__dirname, 'sync-server.js'), '--port', String(port)]);
+    return new Promise((resolve, reject) => {
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes('Listening')) {
+                resolve({ server, endpoint: `http://localhost:${port}` });
+            }
+        });
+        server.on('error', reject);
+        server.on('exit', code => reject(new Error(`Sync server exited with ${code}`)));
+    });
+}
+
+/**
+ * A device: FarmSync loaded from js/sync.js over an in-memory outbox and settings store
+ */
+function createDevice(deviceId, endpoint) {
+    const settings = new Map([
+        ['deviceId', deviceId],
+        ['syncSettings', { enabled: true, endpoint }]
+    ]);
+    let outbox = [];
+    const received = [];
+
+    const IndexedDBStorage = {
+        async getSetting(key) { return settings.has(key) ? settings.get(key) : null; },
+        async setSetting(key, value) { settings.set(key, value); },
+        async getOutbox() { return outbox.slice(); },
+        async removeOutboxEntries(seqs) { outbox = outbox.filter(entry => !seqs.includes(entry.seq)); },
+        async applyRemoteChanges(changes) {
+            received.push(...changes);
+            return { applied: changes.length, skipped: 0 };
+        }
+    };
+
+    const sandbox = {
+        console: { log() {}, warn() {}, error() {} },
+        fetch,
+        setTimeout,
+        clearTimeout,
+        IndexedDBStorage
+    };
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'js/sync.js'), 'utf8'), sandbox);
+
+    return {
+        received,
+        queue(count, prefix) {
+            for (let i = 0; i < count; i++) {
+                outbox.push({
+                    seq: outbox.length + 1,
+                    store: 'expenses',
+                    op: 'put',
+                    id: `${prefix}_${i}`,
+                    record: { id: `${prefix}_${i}`, amount: i },
+                    changedAt: new Date().toISOString()
+                });
+            }
+        },
+        syncNow: () => sandbox.FarmSync.syncNow()
+    };
+}
+
+test('a pull does not stop at a page holding only the device\'s own changes', async (t) => {
+    const { server, endpoint } = await startServer();
+    t.after(() => server.kill());
+
+    // More own changes than one pull page (PULL_PAGE_SIZE is 200), then one from another device.
+    // The pull starts from the beginning, as on a phone whose sync state was reset.
+    const pusher = createDevice('dev_a', endpoint);
+    pusher.queue(250, 'exp_a');
+    assert.strictEqual((await pusher.syncNow()).pushed, 250);
+    const phoneB = createDevice('dev_b', endpoint);
+    phoneB.queue(1, 'exp_b');
+    await phoneB.syncNow();
+
+    const phoneA = createDevice('dev_a', endpoint);
+    const result = await phoneA.syncNow();
+    assert.strictEqual(result.applied, 1);
+    assert.deepStrictEqual(phoneA.received.map(change => change.id), ['exp_b_0']);
+});